@@ -0,0 +1,9 @@
+// Jest 透過 babel-jest 將擴充功能的 ES 模組轉換為 CommonJS
+// 只在測試環境套用，webpack 的 babel-loader 使用 webpack.config.js 中的設定
+module.exports = {
+  env: {
+    test: {
+      presets: [["@babel/preset-env", { targets: { node: "current" } }]],
+    },
+  },
+};
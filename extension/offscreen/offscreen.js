@@ -0,0 +1,332 @@
+/**
+ * offscreen.js
+ * 由背景腳本驅動的 offscreen 文件，處理 Service Worker 無法執行的工作：
+ * 重組內容腳本經由 Port 分段傳來的 Blob 並建立 object URL、以 Web Audio 解碼音訊計算持續時間或轉換格式
+ */
+
+import { Logger } from "../scripts/utils/logger.js";
+import {
+  BLOB_TRANSFER_CONSTANTS,
+  DOWNLOAD_GATE_CONSTANTS,
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+  OFFSCREEN_CONSTANTS,
+  RPC_CONSTANTS,
+} from "../scripts/utils/constants.js";
+import { callRuntime, serveRequest } from "../scripts/utils/rpc.js";
+import { getAudioDurationFromBlob } from "../scripts/page-context/audio-analyzer.js";
+import { encodeWav } from "../scripts/utils/wav-encoder.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.OFFSCREEN);
+
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== BLOB_TRANSFER_CONSTANTS.PORT_NAME) {
+    return;
+  }
+
+  handleTransferPort(port);
+});
+
+// 背景腳本可要求 offscreen 文件執行的工作
+const MESSAGE_HANDLERS = {
+  [MESSAGE_ACTIONS.GET_OFFSCREEN_AUDIO_DURATION]: handleGetAudioDuration,
+  [MESSAGE_ACTIONS.FETCH_OFFSCREEN_AUDIO]: handleFetchAudio,
+  [MESSAGE_ACTIONS.REVOKE_OFFSCREEN_URL]: handleRevokeObjectUrl,
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // 內容腳本的訊息也會送到這裡，只處理發送給 offscreen 文件的訊息
+  if (!message || message.target !== OFFSCREEN_CONSTANTS.MESSAGE_TARGET) {
+    return false;
+  }
+
+  return serveRequest(MESSAGE_HANDLERS, message, sendResponse);
+});
+
+/**
+ * 下載並以 Web Audio 解碼音訊，計算持續時間
+ *
+ * @param {Object} message - 包含 url 的訊息
+ * @returns {Promise<Object>} - { durationMs, blobType, blobSize }
+ * @private
+ */
+async function handleGetAudioDuration(message) {
+  const { blob } = await fetchAudio(message.url);
+  const durationMs = await getAudioDurationFromBlob(blob);
+
+  logger.debug("已計算音訊持續時間", {
+    url: message.url.substring(0, 50) + "...",
+    durationMs,
+  });
+
+  return { durationMs, blobType: blob.type, blobSize: blob.size };
+}
+
+/**
+ * 下載音訊，需要時轉換格式，建立要下載的內容的 object URL
+ * 背景腳本檢查同一份內容後才交給 chrome.downloads，不會在檢查後重新下載，下載結束後撤銷 object URL
+ *
+ * @param {Object} message - 包含 url 和選用的 format 的訊息
+ * @returns {Promise<Object>} - { finalUrl, objectUrl, blobType, blobSize, headerBytes }
+ * @private
+ */
+async function handleFetchAudio(message) {
+  const { blob, finalUrl } = await fetchAudio(message.url);
+  const content = message.format
+    ? await convertAudio(blob, message.format)
+    : blob;
+  const objectUrl = URL.createObjectURL(content);
+
+  logger.info("音訊下載完成", {
+    url: message.url.substring(0, 50) + "...",
+    format: message.format,
+    blobSize: content.size,
+  });
+
+  return {
+    finalUrl,
+    objectUrl,
+    blobType: content.type,
+    blobSize: content.size,
+    headerBytes: await readHeaderBytes(content),
+  };
+}
+
+/**
+ * 下載音訊內容
+ * offscreen 文件是擴充功能頁面，具有 host_permissions，可以直接存取 CDN
+ *
+ * @param {string} url - 音訊 URL
+ * @returns {Promise<Object>} - { blob, finalUrl }，finalUrl 為重新導向後的位置
+ * @private
+ */
+async function fetchAudio(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(
+    () => controller.abort(),
+    OFFSCREEN_CONSTANTS.AUDIO_DECODE_TIMEOUT
+  );
+
+  try {
+    const response = await fetch(url, {
+      credentials: "omit",
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new Error(
+        `無法獲取音訊內容: ${response.status} ${response.statusText}`
+      );
+    }
+
+    return { blob: await response.blob(), finalUrl: response.url || url };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 以 Web Audio 解碼音訊並編碼為指定格式
+ *
+ * @param {Blob} blob - 原始音訊
+ * @param {string} format - OFFSCREEN_CONSTANTS.CONVERSION_FORMATS 中的格式
+ * @returns {Promise<Blob>} - 轉換後的音訊
+ * @private
+ */
+async function convertAudio(blob, format) {
+  if (format !== OFFSCREEN_CONSTANTS.CONVERSION_FORMATS.WAV) {
+    throw new Error(`不支援的轉換格式: ${format}`);
+  }
+
+  // decodeAudioData 會重新取樣為 context 的取樣率，聲道數不受 context 影響
+  const audioContext = new OfflineAudioContext(
+    1,
+    1,
+    OFFSCREEN_CONSTANTS.WAV_SAMPLE_RATE
+  );
+  const audioBuffer = await audioContext.decodeAudioData(
+    await blob.arrayBuffer()
+  );
+
+  return new Blob([encodeWav(audioBuffer)], {
+    type: OFFSCREEN_CONSTANTS.WAV_MIME_TYPE,
+  });
+}
+
+/**
+ * 撤銷 offscreen 文件建立的 object URL
+ *
+ * @param {Object} message - 包含 objectUrl 的訊息
+ * @returns {Object} - 空的結果
+ * @private
+ */
+function handleRevokeObjectUrl(message) {
+  URL.revokeObjectURL(message.objectUrl);
+  logger.debug("已撤銷 object URL", { objectUrl: message.objectUrl });
+  return {};
+}
+
+/**
+ * 處理一次 Blob 分段傳輸
+ * 每收到一個分段就回報進度，內容腳本收到進度後才送出下一個分段，避免訊息堆積
+ *
+ * @param {chrome.runtime.Port} port - 內容腳本建立的 Port
+ * @private
+ */
+function handleTransferPort(port) {
+  let transfer = null;
+
+  port.onMessage.addListener((message) => {
+    try {
+      switch (message.type) {
+        case "start":
+          transfer = { ...message, chunks: [], receivedBytes: 0 };
+          logger.debug("開始接收 Blob 分段", {
+            requestId: message.requestId,
+            totalBytes: message.totalBytes,
+          });
+          break;
+
+        case "chunk": {
+          const bytes = decodeBase64(message.data);
+          transfer.chunks.push(bytes);
+          transfer.receivedBytes += bytes.byteLength;
+          port.postMessage({
+            type: "progress",
+            receivedBytes: transfer.receivedBytes,
+            totalBytes: transfer.totalBytes,
+          });
+          break;
+        }
+
+        case "end":
+          completeTransfer(port, transfer).catch((error) => {
+            logger.error("重組 Blob 時發生錯誤", { error });
+            port.postMessage({ type: "error", error: error.message });
+          });
+          transfer = null;
+          break;
+
+        default:
+          logger.warn("未知的分段傳輸訊息", { type: message.type });
+      }
+    } catch (error) {
+      logger.error("處理 Blob 分段時發生錯誤", { error });
+      port.postMessage({ type: "error", error: error.message });
+      transfer = null;
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (transfer) {
+      logger.warn("Blob 分段傳輸中斷", { requestId: transfer.requestId });
+      transfer = null;
+    }
+  });
+}
+
+/**
+ * 重組 Blob 並請背景腳本下載
+ * 傳輸指定了 convertTo 時，先轉換格式再下載轉換結果
+ *
+ * @param {chrome.runtime.Port} port - 內容腳本建立的 Port
+ * @param {Object} transfer - 傳輸狀態
+ * @returns {Promise<void>}
+ * @private
+ */
+async function completeTransfer(port, transfer) {
+  if (transfer.receivedBytes !== transfer.totalBytes) {
+    throw new Error(
+      `Blob 大小不符: ${transfer.receivedBytes} / ${transfer.totalBytes}`
+    );
+  }
+
+  let blob = new Blob(transfer.chunks, { type: transfer.blobType });
+  if (transfer.convertTo) {
+    blob = await convertAudio(blob, transfer.convertTo);
+  }
+  const objectUrl = URL.createObjectURL(blob);
+
+  logger.info("Blob 重組完成", {
+    requestId: transfer.requestId,
+    convertTo: transfer.convertTo,
+    blobSize: blob.size,
+  });
+
+  // 背景腳本以檔頭確認內容為支援的音訊格式
+  const headerBytes = await readHeaderBytes(blob);
+
+  // 背景腳本在下載開始後才回應，可能需要等待使用者選擇儲存位置
+  callRuntime(
+    MESSAGE_ACTIONS.BLOB_TRANSFER_COMPLETE,
+    {
+      objectUrl,
+      blobType: blob.type,
+      blobSize: blob.size,
+      headerBytes,
+      lastModified: transfer.lastModified,
+      sentAtMs: transfer.sentAtMs,
+      requestId: transfer.requestId,
+    },
+    { timeout: RPC_CONSTANTS.DOWNLOAD_TIMEOUT }
+  )
+    .then((response) => {
+      port.postMessage({ type: "complete", filename: response.filename });
+    })
+    .catch((error) => {
+      logger.error("背景腳本下載失敗", {
+        code: error.code,
+        error: error.message,
+      });
+      URL.revokeObjectURL(objectUrl);
+      // 未通過下載安全檢查時，內容腳本依錯誤代碼顯示原因
+      port.postMessage({
+        type: "error",
+        error: error.message,
+        code: error.code,
+      });
+    });
+}
+
+/**
+ * 讀取 Blob 開頭的位元組，供背景腳本的下載安全檢查確認檔頭
+ *
+ * @param {Blob} blob - 要下載的 Blob
+ * @returns {Promise<string>} - 開頭位元組的 base64 字串
+ * @private
+ */
+async function readHeaderBytes(blob) {
+  const header = blob.slice(0, DOWNLOAD_GATE_CONSTANTS.SNIFF_BYTE_COUNT);
+  return encodeBase64(new Uint8Array(await header.arrayBuffer()));
+}
+
+/**
+ * 將 base64 字串解碼為位元組陣列
+ *
+ * @param {string} base64data - base64 字串
+ * @returns {Uint8Array} - 位元組陣列
+ * @private
+ */
+function decodeBase64(base64data) {
+  const binary = atob(base64data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * 將位元組陣列編碼為 base64 字串
+ *
+ * @param {Uint8Array} bytes - 位元組陣列
+ * @returns {string} - base64 字串
+ * @private
+ */
+function encodeBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+}
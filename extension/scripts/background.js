@@ -8,12 +8,23 @@ import { initMenuManager } from "./background/menu-manager.js";
 import { initDownloadManager } from "./background/download-manager.js";
 import { initMessageHandler } from "./background/message-handler.js";
 import { initWebRequestInterceptor } from "./background/web-request-interceptor.js";
-import { createDataStore, cleanupOldItems } from "./background/data-store.js";
+import { initTabLifecycle } from "./background/tab-lifecycle.js";
+import { initPageContextRegistration } from "./background/page-context-registrar.js";
+import {
+  initAlarmManager,
+  registerAlarmTask,
+} from "./background/alarm-manager.js";
+import {
+  createDataStore,
+  rehydrateDataStore,
+  cleanupOldItems,
+} from "./background/data-store.js";
 import { Logger } from "./utils/logger.js";
 import {
   UI_CONSTANTS,
   TIME_CONSTANTS,
   MODULE_NAMES,
+  ALARM_NAMES,
 } from "./utils/constants.js";
 import {
   checkOnboardingStatus,
@@ -49,12 +60,24 @@ function initialize() {
     const voiceMessages = createDataStore();
     logger.debug("語音訊息資料存儲已創建");
 
+    // 從 session storage 恢復 Service Worker 重啟前的資料
+    rehydrateDataStore(voiceMessages);
+    logger.debug("已開始恢復語音訊息資料");
+
+    // 初始化排程管理器，必須在其他模組註冊維護工作前完成
+    initAlarmManager();
+    logger.debug("排程管理器已初始化");
+
+    // 註冊 MAIN world 的頁面上下文腳本，在頁面載入初期就設置攔截器
+    initPageContextRegistration();
+    logger.debug("已開始註冊頁面上下文腳本");
+
     // 初始化右鍵選單管理器
     initMenuManager();
     logger.debug("右鍵選單管理器已初始化");
 
     // 初始化下載管理器
-    initDownloadManager();
+    initDownloadManager(voiceMessages);
     logger.debug("下載管理器已初始化");
 
     // 初始化訊息處理器
@@ -66,10 +89,16 @@ function initialize() {
     initWebRequestInterceptor(voiceMessages);
     logger.debug("webRequest 攔截器已初始化");
 
-    // 設置定期清理過期項目
-    setInterval(() => {
-      cleanupOldItems(voiceMessages);
-    }, TIME_CONSTANTS.CLEANUP_INTERVAL); // 每 30 分鐘清理一次
+    // 初始化標籤頁生命週期管理，標籤頁關閉或切換對話時移除過時的項目
+    initTabLifecycle(voiceMessages);
+    logger.debug("標籤頁生命週期管理已初始化");
+
+    // 設置定期清理過期項目，cleanupOldItems 會先等待資料恢復完成
+    registerAlarmTask(
+      ALARM_NAMES.STORE_CLEANUP,
+      TIME_CONSTANTS.CLEANUP_INTERVAL, // 每 30 分鐘清理一次
+      () => cleanupOldItems(voiceMessages)
+    );
 
     logger.info("背景腳本初始化完成");
     return voiceMessages; // 返回語音訊息資料存儲，以便其他函數使用
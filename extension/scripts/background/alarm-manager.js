@@ -0,0 +1,98 @@
+/**
+ * alarm-manager.js
+ * 使用 chrome.alarms 執行定期維護工作
+ * Service Worker 被暫停時 setInterval 不會觸發，chrome.alarms 則會喚醒 Service Worker 並在重啟後保留排程
+ */
+
+import { Logger } from "../utils/logger.js";
+import { MODULE_NAMES } from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.ALARM_MANAGER);
+
+// 以排程名稱為鍵的維護工作
+const alarmTasks = new Map();
+
+// 是否已註冊 onAlarm 監聽器
+let isListening = false;
+
+/**
+ * 初始化排程管理器
+ * 必須在 Service Worker 啟動時同步呼叫，才能收到喚醒 Service Worker 的 onAlarm 事件
+ */
+export function initAlarmManager() {
+  if (isListening) {
+    return;
+  }
+
+  if (!chrome || !chrome.alarms) {
+    logger.error("chrome.alarms API 不可用");
+    return;
+  }
+
+  chrome.alarms.onAlarm.addListener(handleAlarm);
+  isListening = true;
+
+  logger.info("排程管理器已初始化");
+}
+
+/**
+ * 註冊定期執行的維護工作
+ * 排程本身由 Chrome 保存，只有在不存在或週期改變時才重新建立，避免每次重啟都重設倒數
+ *
+ * @param {string} name - 排程名稱，使用 ALARM_NAMES 中的值
+ * @param {number} intervalMs - 執行間隔（毫秒）
+ * @param {Function} task - 維護工作，可以是 async 函數
+ */
+export function registerAlarmTask(name, intervalMs, task) {
+  alarmTasks.set(name, task);
+
+  if (!chrome || !chrome.alarms) {
+    return;
+  }
+
+  const periodInMinutes = intervalMs / 60000;
+
+  chrome.alarms.get(name, (existingAlarm) => {
+    if (existingAlarm && existingAlarm.periodInMinutes === periodInMinutes) {
+      logger.debug("沿用現有排程", {
+        name,
+        scheduledTime: new Date(existingAlarm.scheduledTime).toISOString(),
+      });
+      return;
+    }
+
+    chrome.alarms.create(name, {
+      delayInMinutes: periodInMinutes,
+      periodInMinutes,
+    });
+    logger.debug("已建立排程", { name, periodInMinutes });
+  });
+}
+
+/**
+ * 處理排程觸發
+ *
+ * @param {Object} alarm - chrome.alarms 的排程物件
+ * @private
+ */
+async function handleAlarm(alarm) {
+  const task = alarmTasks.get(alarm.name);
+  if (!task) {
+    // 舊版本建立的排程會被 Chrome 保留，已不再使用時直接清除
+    logger.warn("收到未註冊的排程，將其清除", { name: alarm.name });
+    chrome.alarms.clear(alarm.name);
+    return;
+  }
+
+  try {
+    logger.debug("執行排程維護工作", { name: alarm.name });
+    await task();
+  } catch (error) {
+    logger.error("執行排程維護工作時發生錯誤", {
+      name: alarm.name,
+      error: error.message,
+      stack: error.stack,
+    });
+  }
+}
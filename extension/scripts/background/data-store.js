@@ -2,12 +2,23 @@
  * data-store.js
  * 提供統一的資料結構來管理語音訊息元素和下載 URL 的對應關係
  * 使用單例模式確保整個擴充功能中只有一個 voiceMessages 實例
+ * 資料會寫入 chrome.storage.session，讓 Service Worker 重啟後仍能恢復
  */
 
 import { generateVoiceMessageId } from "../utils/id-generator.js";
 import { secondsToMilliseconds } from "../utils/time-utils.js";
+import {
+  isDurationMatch,
+  getSecondsTextPrecision,
+} from "../utils/duration-utils.js";
+import { getAssetKey, getUrlExpiry } from "./url-cache.js";
 import { Logger } from "../utils/logger.js";
-import { MODULE_NAMES } from "../utils/constants.js";
+import {
+  DOM_CONSTANTS,
+  DURATION_PRECISION,
+  MODULE_NAMES,
+  STORAGE_CONSTANTS,
+} from "../utils/constants.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.DATA_STORE);
@@ -35,31 +46,348 @@ export function createDataStore() {
     // 以 ID 為鍵的 Map，儲存完整語音訊息資料
     items: new Map(),
 
+    // 以標籤頁 ID 為鍵的 Map，值為該標籤頁項目 ID 的 Set
+    itemsByTab: new Map(),
+
+    // 項目儲存時通知的監聽器，不會寫入 session storage
+    itemListeners: new Set(),
+
+    // 是否已從 chrome.storage.session 恢復資料
+    isHydrated: false,
+
+    // 恢復資料的 Promise，由 rehydrateDataStore 設置
+    ready: null,
+
+    // 等待中的 session storage 寫入計時器，連續的變更合併為一次寫入
+    persistTimer: null,
+
     // 輔助函數
     isDurationMatch,
     registerDownloadUrl,
     findPendingItemByDuration,
     findItemByDuration,
+    findCapturedItemByUrl,
     getDownloadUrlForElement,
+    saveItem,
+    subscribeToItemUpdates,
+    refreshDownloadUrl,
+    removeItem,
+    removeItemsForTab,
+    getItemsForTab,
+    persistDataStore,
   };
 
   return voiceMessagesInstance;
 }
 
 /**
- * 判斷兩個持續時間是否在容忍度範圍內匹配
+ * 從 chrome.storage.session 恢復語音訊息資料
+ * 在恢復完成前已註冊的項目會保留，並與恢復的資料合併
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @returns {Promise<void>} - 恢復完成的 Promise
+ */
+export function rehydrateDataStore(voiceMessages) {
+  // 避免重複恢復
+  if (voiceMessages.ready) {
+    return voiceMessages.ready;
+  }
+
+  voiceMessages.ready = (async () => {
+    try {
+      const result = await chrome.storage.session.get(
+        STORAGE_CONSTANTS.VOICE_MESSAGES_KEY
+      );
+      const storedItems = result[STORAGE_CONSTANTS.VOICE_MESSAGES_KEY] || [];
+
+      let restoredCount = 0;
+      for (const item of storedItems) {
+        // 恢復期間新註冊的項目較新，不覆蓋
+        if (item && item.id && !voiceMessages.items.has(item.id)) {
+          voiceMessages.items.set(item.id, { ...item, element: null });
+          indexItemByTab(voiceMessages, item);
+          restoredCount++;
+        }
+      }
+
+      logger.info("已從 session storage 恢復語音訊息資料", {
+        restoredCount,
+        mapSize: voiceMessages.items.size,
+      });
+    } catch (error) {
+      logger.error("從 session storage 恢復資料時發生錯誤", {
+        error: error.message,
+      });
+    } finally {
+      voiceMessages.isHydrated = true;
+    }
+
+    // 將合併後的結果寫回，確保恢復期間的新項目也被保存
+    await persistDataStore(voiceMessages);
+  })();
+
+  return voiceMessages.ready;
+}
+
+/**
+ * 將語音訊息資料寫入 chrome.storage.session
+ * 在資料恢復完成前不會寫入，避免覆蓋尚未讀取的資料
+ * 立即寫入，並取代等待中的延後寫入
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @returns {Promise<void>}
+ */
+export async function persistDataStore(voiceMessages) {
+  clearTimeout(voiceMessages.persistTimer);
+  voiceMessages.persistTimer = null;
+
+  if (!voiceMessages.isHydrated) {
+    logger.debug("資料尚未恢復，延後寫入 session storage");
+    return;
+  }
+
+  // DOM 元素無法序列化，只保存純資料
+  const serializedItems = Array.from(voiceMessages.items.values()).map(
+    ({ element, ...item }) => item
+  );
+
+  try {
+    await chrome.storage.session.set({
+      [STORAGE_CONSTANTS.VOICE_MESSAGES_KEY]: serializedItems,
+    });
+    logger.debug("已將語音訊息資料寫入 session storage", {
+      itemsCount: serializedItems.length,
+    });
+  } catch (error) {
+    logger.error("寫入 session storage 時發生錯誤", {
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 延後將語音訊息資料寫入 session storage
+ * 掃描對話時會連續儲存多個項目，等待期間的變更合併為一次完整寫入
+ * Service Worker 在等待期間被終止時，最後 STORAGE_CONSTANTS.PERSIST_DEBOUNCE 毫秒內的變更會遺失，
+ * 因此等待時間保持很短；Service Worker 只會在閒置一段時間後才被終止，實際上很少發生
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @private
+ */
+function schedulePersist(voiceMessages) {
+  if (voiceMessages.persistTimer) {
+    return;
+  }
+
+  voiceMessages.persistTimer = setTimeout(
+    () => persistDataStore(voiceMessages),
+    STORAGE_CONSTANTS.PERSIST_DEBOUNCE
+  );
+}
+
+/**
+ * 儲存單一語音訊息項目並寫入 session storage
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} item - 語音訊息項目，必須包含 id
+ * @returns {Object} - 儲存的項目
+ */
+export function saveItem(voiceMessages, item) {
+  voiceMessages.items.set(item.id, item);
+  indexItemByTab(voiceMessages, item);
+  schedulePersist(voiceMessages);
+  notifyItemListeners(voiceMessages, item);
+  return item;
+}
+
+/**
+ * 訂閱項目更新，每次 saveItem 儲存項目時呼叫監聽器
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Function} listener - 監聽器，參數為被儲存的項目
+ * @returns {Function} - 取消訂閱的函數
+ */
+export function subscribeToItemUpdates(voiceMessages, listener) {
+  voiceMessages.itemListeners.add(listener);
+  return () => voiceMessages.itemListeners.delete(listener);
+}
+
+/**
+ * 通知所有項目更新監聽器
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} item - 被儲存的項目
+ * @private
+ */
+function notifyItemListeners(voiceMessages, item) {
+  for (const listener of Array.from(voiceMessages.itemListeners)) {
+    try {
+      listener(item);
+    } catch (error) {
+      logger.error("項目更新監聽器發生錯誤", { error: error.message });
+    }
+  }
+}
+
+/**
+ * 以重新簽名的 URL 更新同一個音訊檔案的所有項目
+ * 頁面重新請求語音訊息時，CDN URL 的路徑不變，但 oh=/oe= 簽名會更新
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} downloadUrl - 新擷取的 URL
+ * @returns {number} - 被更新的項目數量
+ */
+export function refreshDownloadUrl(voiceMessages, downloadUrl) {
+  const assetKey = getAssetKey(downloadUrl);
+  const expiresAtMs = getUrlExpiry(downloadUrl);
+  let updatedCount = 0;
+
+  for (const item of Array.from(voiceMessages.items.values())) {
+    if (
+      !item.downloadUrl ||
+      item.downloadUrl === downloadUrl ||
+      getAssetKey(item.downloadUrl) !== assetKey
+    ) {
+      continue;
+    }
+
+    // 只以較晚過期的簽名取代舊的 URL
+    if (item.expiresAtMs && (!expiresAtMs || expiresAtMs <= item.expiresAtMs)) {
+      continue;
+    }
+
+    item.downloadUrl = downloadUrl;
+    item.expiresAtMs = expiresAtMs;
+    saveItem(voiceMessages, item);
+    updatedCount++;
+  }
+
+  if (updatedCount > 0) {
+    logger.debug("已更新重新簽名的下載 URL", {
+      updatedCount,
+      expiresAt: expiresAtMs ? new Date(expiresAtMs).toISOString() : null,
+    });
+  }
+
+  return updatedCount;
+}
+
+/**
+ * 移除單一語音訊息項目並寫入 session storage
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} id - 語音訊息 ID
+ * @returns {boolean} - 如果項目存在並被移除則返回 true
+ */
+export function removeItem(voiceMessages, id) {
+  if (!deleteItem(voiceMessages, id)) {
+    return false;
+  }
+
+  schedulePersist(voiceMessages);
+  return true;
+}
+
+/**
+ * 移除屬於指定標籤頁的項目並寫入 session storage
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {number} tabId - 標籤頁 ID
+ * @param {Function} [shouldRemove] - 判斷項目是否要移除的函數，默認移除全部
+ * @returns {number} - 被移除的項目數量
+ */
+export function removeItemsForTab(
+  voiceMessages,
+  tabId,
+  shouldRemove = () => true
+) {
+  let removedCount = 0;
+
+  for (const item of getItemsForTab(voiceMessages, tabId)) {
+    if (shouldRemove(item) && deleteItem(voiceMessages, item.id)) {
+      removedCount++;
+    }
+  }
+
+  if (removedCount > 0) {
+    schedulePersist(voiceMessages);
+  }
+
+  return removedCount;
+}
+
+/**
+ * 取得屬於指定標籤頁的所有項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {number} tabId - 標籤頁 ID
+ * @returns {Object[]} - 該標籤頁的項目陣列
+ */
+export function getItemsForTab(voiceMessages, tabId) {
+  const ids = voiceMessages.itemsByTab.get(tabId);
+  if (!ids) {
+    return [];
+  }
+
+  return Array.from(ids)
+    .map((id) => voiceMessages.items.get(id))
+    .filter(Boolean);
+}
+
+/**
+ * 將項目加入標籤頁索引，沒有標籤頁 ID 的項目不建立索引
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} item - 語音訊息項目
+ * @private
+ */
+function indexItemByTab(voiceMessages, item) {
+  if (!isKnownTabId(item.tabId)) {
+    return;
+  }
+
+  if (!voiceMessages.itemsByTab.has(item.tabId)) {
+    voiceMessages.itemsByTab.set(item.tabId, new Set());
+  }
+  voiceMessages.itemsByTab.get(item.tabId).add(item.id);
+}
+
+/**
+ * 從 items 和標籤頁索引中刪除項目，不寫入 session storage
  *
- * @param {number} duration1Ms - 第一個持續時間（毫秒）
- * @param {number} duration2Ms - 第二個持續時間（毫秒）
- * @param {number} [toleranceMs=5] - 容忍度（毫秒）
- * @returns {boolean} - 如果兩個持續時間匹配則返回 true
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} id - 語音訊息 ID
+ * @returns {boolean} - 如果項目存在並被刪除則返回 true
+ * @private
  */
-export function isDurationMatch(duration1Ms, duration2Ms, toleranceMs = 5) {
-  if (typeof duration1Ms !== "number" || typeof duration2Ms !== "number") {
+function deleteItem(voiceMessages, id) {
+  const item = voiceMessages.items.get(id);
+  if (!item) {
     return false;
   }
 
-  return Math.abs(duration1Ms - duration2Ms) <= toleranceMs;
+  voiceMessages.items.delete(id);
+
+  const tabItemIds = voiceMessages.itemsByTab.get(item.tabId);
+  if (tabItemIds) {
+    tabItemIds.delete(id);
+    if (tabItemIds.size === 0) {
+      voiceMessages.itemsByTab.delete(item.tabId);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * 判斷是否為有效的標籤頁 ID
+ * webRequest 對非標籤頁發起的請求（例如 Service Worker）使用 -1
+ *
+ * @param {*} tabId - 標籤頁 ID
+ * @returns {boolean} - 如果為有效的標籤頁 ID 則返回 true
+ */
+export function isKnownTabId(tabId) {
+  return typeof tabId === "number" && tabId >= 0;
 }
 
 /**
@@ -68,19 +396,31 @@ export function isDurationMatch(duration1Ms, duration2Ms, toleranceMs = 5) {
  * @param {Object} voiceMessages - 語音訊息資料存儲
  * @param {number} durationMs - 持續時間（毫秒）
  * @param {string} downloadUrl - 下載 URL
- * @param {string} [lastModified] - Last-Modified 標頭值
- * @param {string} [blobType] - Blob 的 MIME 類型
- * @param {number} [blobSize] - Blob 的大小（位元）
+ * @param {Object} [metadata] - 附加資訊
+ * @param {number} [metadata.durationPrecisionMs] - 持續時間的精度（毫秒），由產生持續時間的來源標記
+ * @param {string} [metadata.lastModified] - Last-Modified 標頭值
+ * @param {string} [metadata.blobType] - Blob 的 MIME 類型
+ * @param {number} [metadata.blobSize] - Blob 的大小（位元）
+ * @param {number} [metadata.sentAtMs] - 語音訊息的發送時間（毫秒），來自 audioclip 檔名
+ * @param {number} [metadata.tabId] - 擷取到 URL 的標籤頁 ID，未知時為 null
+ * @param {string} [metadata.threadKey] - 擷取時標籤頁所在的對話識別碼，未知時為 null
  * @returns {string} - 語音訊息 ID
  */
 export function registerDownloadUrl(
   voiceMessages,
   durationMs,
   downloadUrl,
-  lastModified = null,
-  blobType = null,
-  blobSize = null
+  metadata = {}
 ) {
+  const {
+    durationPrecisionMs = DURATION_PRECISION.MILLISECOND,
+    lastModified = null,
+    blobType = null,
+    blobSize = null,
+    sentAtMs = null,
+    tabId = null,
+    threadKey = null,
+  } = metadata;
   const blobSizeKB = blobSize ? (blobSize / 1024).toFixed(2) : "N/A";
 
   logger.debug("註冊下載 URL", {
@@ -89,6 +429,9 @@ export function registerDownloadUrl(
     lastModified,
     blobType,
     blobSizeKB,
+    sentAtMs,
+    tabId,
+    threadKey,
     mapSize: voiceMessages.items.size,
   });
 
@@ -100,15 +443,17 @@ export function registerDownloadUrl(
     blobSizeKB,
     downloadUrlHint: downloadUrl ? downloadUrl.substring(0, 30) + "..." : null,
     lastModified,
+    sentAtMs,
     timestamp: new Date().toISOString(),
   };
 
   logger.debug("DATASTORE-REGISTER", registerData);
 
-  // 檢查是否有匹配此持續時間的元素
+  // 只有同一個語音訊息檔案才更新既有項目
+  // 持續時間相同的不同語音訊息必須各自保存，交由匹配器區分
   for (const [id, item] of voiceMessages.items.entries()) {
-    if (isDurationMatch(item.durationMs, durationMs)) {
-      // 如果有匹配元素，更新它的屬性
+    if (isSameCapturedAsset(item, durationMs, downloadUrl, metadata)) {
+      // 如果有匹配項目，更新它的屬性
       logger.debug("找到匹配項目，更新資訊", {
         id,
         oldUrl: item.downloadUrl
@@ -119,6 +464,7 @@ export function registerDownloadUrl(
 
       // 更新屬性
       item.downloadUrl = downloadUrl;
+      item.expiresAtMs = getUrlExpiry(downloadUrl);
 
       // 更新其他屬性（如果提供了）
       if (lastModified) {
@@ -130,6 +476,9 @@ export function registerDownloadUrl(
       if (blobSize) {
         item.blobSize = blobSize;
       }
+      if (sentAtMs) {
+        item.sentAtMs = sentAtMs;
+      }
 
       // 記錄更新診斷資訊
       const updateData = {
@@ -142,6 +491,8 @@ export function registerDownloadUrl(
 
       logger.debug("DATASTORE-UPDATE", updateData);
 
+      saveItem(voiceMessages, item);
+
       return id;
     }
   }
@@ -159,15 +510,20 @@ export function registerDownloadUrl(
     id,
     element: null,
     durationMs,
+    durationPrecisionMs,
     downloadUrl,
     lastModified,
     blobType,
     blobSize,
+    sentAtMs,
+    tabId: isKnownTabId(tabId) ? tabId : null,
+    threadKey,
+    expiresAtMs: getUrlExpiry(downloadUrl),
     timestamp: Date.now(),
     isPending: true, // 使用屬性標記狀態
   };
 
-  voiceMessages.items.set(id, newItem);
+  saveItem(voiceMessages, newItem);
 
   logger.debug("新項目已添加", { mapSize: voiceMessages.items.size });
   logger.debug("新項目詳情", {
@@ -196,16 +552,105 @@ export function registerDownloadUrl(
   return id;
 }
 
+/**
+ * 判斷既有項目是否與新擷取的 URL 為同一個語音訊息檔案
+ * 只比對同一個標籤頁的擷取項目（isPending），並且只在相同類型的 URL 之間合併
+ *
+ * @param {Object} item - 既有項目
+ * @param {number} durationMs - 新 URL 的持續時間（毫秒）
+ * @param {string} downloadUrl - 新 URL
+ * @param {Object} metadata - 新 URL 的附加資訊
+ * @returns {boolean} - 如果為同一個檔案則返回 true
+ * @private
+ */
+function isSameCapturedAsset(item, durationMs, downloadUrl, metadata) {
+  if (!item.isPending || !item.downloadUrl) {
+    return false;
+  }
+
+  // 項目依標籤頁分開保存，各標籤頁的 URL 由各自的元素匹配
+  const tabId = isKnownTabId(metadata.tabId) ? metadata.tabId : null;
+  if ((item.tabId ?? null) !== tabId) {
+    return false;
+  }
+
+  // 相同的 CDN 路徑代表同一個檔案，只是簽名不同
+  if (getAssetKey(item.downloadUrl) === getAssetKey(downloadUrl)) {
+    return true;
+  }
+
+  // CDN URL 和 Blob URL 分開保存，兩者都可能是下載來源
+  const isBlob = (url) => url.startsWith("blob:");
+  if (isBlob(item.downloadUrl) !== isBlob(downloadUrl)) {
+    return false;
+  }
+
+  if (
+    !isDurationMatch(
+      item.durationMs,
+      durationMs,
+      item.durationPrecisionMs,
+      metadata.durationPrecisionMs
+    )
+  ) {
+    return false;
+  }
+
+  // 相同的發送時間代表同一則語音訊息，例如簽名更新後重新請求
+  if (item.sentAtMs && metadata.sentAtMs) {
+    return item.sentAtMs === metadata.sentAtMs;
+  }
+
+  return !!item.blobSize && item.blobSize === metadata.blobSize;
+}
+
 /**
  * 尋找指定持續時間的待處理項目
  *
  * @param {Object} voiceMessages - 語音訊息資料存儲
  * @param {number} durationMs - 持續時間（毫秒）
+ * @param {number} [durationPrecisionMs] - 持續時間的精度（毫秒）
  * @returns {Object|null} - 待處理項目，如果找不到則返回 null
  */
-export function findPendingItemByDuration(voiceMessages, durationMs) {
+export function findPendingItemByDuration(
+  voiceMessages,
+  durationMs,
+  durationPrecisionMs
+) {
+  for (const item of voiceMessages.items.values()) {
+    if (
+      item.isPending &&
+      isDurationMatch(
+        item.durationMs,
+        durationMs,
+        item.durationPrecisionMs,
+        durationPrecisionMs
+      )
+    ) {
+      return item;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 找出擷取到同一個音訊檔案的項目，用於取得 Last-Modified 和發送時間
+ * 以資源識別碼比對，簽名不同的 URL 仍視為同一個檔案
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 音訊檔案的 URL
+ * @returns {Object|null} - 擷取項目，如果找不到則返回 null
+ */
+export function findCapturedItemByUrl(voiceMessages, url) {
+  const assetKey = getAssetKey(url);
+
   for (const item of voiceMessages.items.values()) {
-    if (item.isPending && isDurationMatch(item.durationMs, durationMs)) {
+    if (
+      item.isPending &&
+      item.downloadUrl &&
+      getAssetKey(item.downloadUrl) === assetKey
+    ) {
       return item;
     }
   }
@@ -218,7 +663,7 @@ export function findPendingItemByDuration(voiceMessages, durationMs) {
  *
  * @param {Object} voiceMessages - 語音訊息資料存儲
  * @param {Element} element - 語音訊息元素
- * @returns {Object|null} - 包含 downloadUrl 和 lastModified 的物件，如果找不到則返回 null
+ * @returns {Object|null} - 包含 downloadUrl、lastModified 和 sentAtMs 的物件，如果找不到則返回 null
  */
 export function getDownloadUrlForElement(voiceMessages, element) {
   if (!element) {
@@ -230,7 +675,7 @@ export function getDownloadUrlForElement(voiceMessages, element) {
   logger.debug("voiceMessages Map 大小", { size: voiceMessages.items.size });
 
   // 檢查元素是否有 data-voice-message-id 屬性
-  const id = element.getAttribute("data-voice-message-id");
+  const id = element.getAttribute(DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE);
   logger.debug("元素 ID", { id });
 
   if (id && voiceMessages.items.has(id)) {
@@ -246,14 +691,17 @@ export function getDownloadUrlForElement(voiceMessages, element) {
     return {
       downloadUrl: item.downloadUrl,
       lastModified: item.lastModified,
+      sentAtMs: item.sentAtMs,
     };
   }
 
   // 如果沒有 ID 或 ID 不存在，嘗試通過持續時間查找
   if (element.hasAttribute("aria-valuemax")) {
-    const durationSec = parseFloat(element.getAttribute("aria-valuemax"));
+    const durationText = element.getAttribute("aria-valuemax");
+    const durationSec = parseFloat(durationText);
     if (!isNaN(durationSec)) {
       const durationMs = secondsToMilliseconds(durationSec);
+      const durationPrecisionMs = getSecondsTextPrecision(durationText);
       logger.debug("嘗試通過持續時間查找", { durationMs });
 
       // 輸出所有項目的持續時間，用於調試
@@ -270,7 +718,11 @@ export function getDownloadUrlForElement(voiceMessages, element) {
 
       logger.debug("項目持續時間詳情", { items: itemsInfo });
 
-      const item = findItemByDuration(voiceMessages, durationMs);
+      const item = findItemByDuration(
+        voiceMessages,
+        durationMs,
+        durationPrecisionMs
+      );
       if (item && item.downloadUrl) {
         logger.debug("通過持續時間找到匹配項目", {
           id: item.id,
@@ -281,6 +733,7 @@ export function getDownloadUrlForElement(voiceMessages, element) {
         return {
           downloadUrl: item.downloadUrl,
           lastModified: item.lastModified,
+          sentAtMs: item.sentAtMs,
         };
       }
     }
@@ -292,35 +745,75 @@ export function getDownloadUrlForElement(voiceMessages, element) {
 }
 
 /**
- * 根據持續時間查找項目（包括已處理和待處理的項目）
+ * 根據持續時間查找唯一的擷取項目
+ * 需要區分多個相同持續時間的語音訊息時，請使用 voice-message-matcher.js 的 findBestMatch
  *
  * @param {Object} voiceMessages - 語音訊息資料存儲
  * @param {number} durationMs - 持續時間（毫秒）
+ * @param {number} [durationPrecisionMs] - 持續時間的精度（毫秒）
  * @returns {Object|null} - 找到的項目，如果找不到則返回 null
  */
-export function findItemByDuration(voiceMessages, durationMs) {
-  for (const item of voiceMessages.items.values()) {
-    if (isDurationMatch(item.durationMs, durationMs)) {
-      return item;
-    }
+export function findItemByDuration(
+  voiceMessages,
+  durationMs,
+  durationPrecisionMs
+) {
+  const matchingItems = Array.from(voiceMessages.items.values()).filter(
+    (item) =>
+      item.isPending &&
+      item.downloadUrl &&
+      isDurationMatch(
+        item.durationMs,
+        durationMs,
+        item.durationPrecisionMs,
+        durationPrecisionMs
+      )
+  );
+
+  // 多個擷取項目持續時間相同時無法確定是哪一個，不靜默猜測
+  if (matchingItems.length > 1) {
+    logger.debug("多個項目持續時間相同，無法確定匹配項目", {
+      durationMs,
+      count: matchingItems.length,
+    });
+    return null;
   }
 
-  return null;
+  return matchingItems[0] || null;
 }
 
 /**
  * 清理過期的語音訊息項目
+ * 會先等待資料恢復完成，確保清理的是持久化後的完整資料
  *
  * @param {Object} voiceMessages - 語音訊息資料存儲
- * @param {number} [maxAgeMs=3600000] - 最大存活時間（毫秒），默認為 1 小時
+ * @param {number} [maxAgeMs=STORAGE_CONSTANTS.ITEM_MAX_AGE] - 最大存活時間（毫秒），默認為 1 小時
+ * @returns {Promise<number>} - 被清理的項目數量
  */
-export function cleanupOldItems(voiceMessages, maxAgeMs = 3600000) {
+export async function cleanupOldItems(
+  voiceMessages,
+  maxAgeMs = STORAGE_CONSTANTS.ITEM_MAX_AGE
+) {
+  await rehydrateDataStore(voiceMessages);
+
   const now = Date.now();
+  let removedCount = 0;
 
   for (const [id, item] of voiceMessages.items.entries()) {
     // 檢查項目是否過期
     if (now - item.timestamp > maxAgeMs) {
-      voiceMessages.items.delete(id);
+      deleteItem(voiceMessages, id);
+      removedCount++;
     }
   }
+
+  if (removedCount > 0) {
+    await persistDataStore(voiceMessages);
+    logger.debug("已清理過期項目", {
+      removedCount,
+      mapSize: voiceMessages.items.size,
+    });
+  }
+
+  return removedCount;
 }
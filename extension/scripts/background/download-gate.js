@@ -0,0 +1,277 @@
+/**
+ * download-gate.js
+ * 交給 chrome.downloads 之前的安全檢查
+ * 只允許支援的 CDN 上的 HTTPS URL 和 offscreen 文件建立的 Blob URL，
+ * 並確認 MIME 類型、檔案大小和檔頭都符合支援的音訊格式，其餘一律拒絕並說明原因
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  BLOB_MONITOR_CONSTANTS,
+  DOWNLOAD_GATE_CONSTANTS,
+  MESSAGE_ERROR_CODES,
+  MODULE_NAMES,
+} from "../utils/constants.js";
+import { createRpcError } from "../utils/rpc.js";
+import { isCdnUrl } from "../utils/url-utils.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.DOWNLOAD_GATE);
+
+// 拒絕下載時顯示給使用者的原因
+const BLOCKED_REASONS = {
+  URL: "Download blocked: this link is not from Messenger's media servers.",
+  MIME_TYPE: "Download blocked: the file is not an audio file.",
+  SIZE: "Download blocked: the file size is not valid for a voice message.",
+  CONTENT:
+    "Download blocked: the file content does not match a supported audio format.",
+};
+
+// 支援的音訊格式，依檔頭辨識，下載時使用對應的副檔名
+const AUDIO_FORMATS = [
+  { name: "mp4", extension: ".mp4", matches: isMp4Header },
+  { name: "ogg", extension: ".ogg", matches: isOggHeader },
+  { name: "aac", extension: ".aac", matches: isAdtsHeader },
+  { name: "mp3", extension: ".mp3", matches: isMp3Header },
+  { name: "wav", extension: ".wav", matches: isWavHeader },
+];
+
+/**
+ * 檢查 CDN 上的語音訊息 URL 是否可以下載，在發出任何請求之前呼叫
+ *
+ * @param {string} url - 下載 URL
+ * @throws {Error} - 不在支援的 CDN 上時 code 為 DOWNLOAD_BLOCKED
+ */
+export function checkRemoteUrl(url) {
+  if (!isCdnUrl(url)) {
+    throw createBlockedError(BLOCKED_REASONS.URL, {
+      url: String(url).substring(0, 50),
+    });
+  }
+}
+
+/**
+ * 檢查 offscreen 文件從 CDN 下載的內容是否可以下載
+ * 檢查的是之後交給 chrome.downloads 的同一份內容，不會在檢查後重新向 CDN 請求
+ *
+ * @param {Object} fetched - fetchAudioInOffscreen 的結果
+ * @param {string} fetched.finalUrl - 重新導向後的位置
+ * @param {string} fetched.objectUrl - offscreen 文件建立的 object URL
+ * @param {string} [fetched.blobType] - 伺服器回報或轉換結果的 MIME 類型
+ * @param {number} [fetched.blobSize] - 檔案大小
+ * @param {string} [fetched.headerBytes] - 檔案開頭位元組的 base64 字串
+ * @returns {Object} - 辨識出的音訊格式 { name, extension }
+ * @throws {Error} - 未通過檢查時 code 為 DOWNLOAD_BLOCKED
+ */
+export function checkFetchedDownload(fetched) {
+  // 重新導向後的位置也必須在支援的 CDN 上
+  checkRemoteUrl(fetched.finalUrl);
+  return checkTransferredDownload(fetched);
+}
+
+/**
+ * 檢查 offscreen 文件重組完成的 Blob 是否可以下載
+ *
+ * @param {Object} transfer - BLOB_TRANSFER_COMPLETE 訊息
+ * @param {string} transfer.objectUrl - offscreen 文件建立的 object URL
+ * @param {string} [transfer.blobType] - 頁面回報的 MIME 類型
+ * @param {number} [transfer.blobSize] - 重組後的檔案大小
+ * @param {string} [transfer.headerBytes] - 檔案開頭位元組的 base64 字串
+ * @returns {Object} - 辨識出的音訊格式 { name, extension }
+ * @throws {Error} - 未通過檢查時 code 為 DOWNLOAD_BLOCKED
+ */
+export function checkTransferredDownload(transfer) {
+  if (!isExtensionBlobUrl(transfer.objectUrl)) {
+    throw createBlockedError(BLOCKED_REASONS.URL, {
+      url: String(transfer.objectUrl).substring(0, 50),
+    });
+  }
+
+  return checkContent({
+    mimeType: transfer.blobType,
+    size: transfer.blobSize,
+    headerBytes: decodeBase64(transfer.headerBytes || ""),
+  });
+}
+
+/**
+ * 檢查 MIME 類型、檔案大小和檔頭
+ *
+ * @param {Object} content - 檔案資訊
+ * @param {string} [content.mimeType] - MIME 類型
+ * @param {number|null} [content.size] - 檔案大小，未知時為 null
+ * @param {Uint8Array} content.headerBytes - 檔案開頭的位元組
+ * @returns {Object} - 辨識出的音訊格式 { name, extension }
+ * @private
+ */
+function checkContent({ mimeType, size, headerBytes }) {
+  // 沒有類型時無法檢查，只依檔頭判斷內容
+  const normalizedType = normalizeMimeType(mimeType);
+  if (
+    normalizedType &&
+    !DOWNLOAD_GATE_CONSTANTS.ALLOWED_MIME_TYPES.includes(normalizedType) &&
+    !DOWNLOAD_GATE_CONSTANTS.GENERIC_MIME_TYPES.includes(normalizedType)
+  ) {
+    throw createBlockedError(BLOCKED_REASONS.MIME_TYPE, { mimeType });
+  }
+
+  // 伺服器沒有回報大小時無法檢查，仍以檔頭確認內容
+  if (
+    size !== null &&
+    size !== undefined &&
+    (size < DOWNLOAD_GATE_CONSTANTS.MIN_FILE_SIZE ||
+      size > BLOB_MONITOR_CONSTANTS.MAX_VALID_AUDIO_SIZE)
+  ) {
+    throw createBlockedError(BLOCKED_REASONS.SIZE, { size });
+  }
+
+  const format = AUDIO_FORMATS.find((candidate) =>
+    candidate.matches(headerBytes)
+  );
+  if (!format) {
+    throw createBlockedError(BLOCKED_REASONS.CONTENT, {
+      mimeType,
+      headerBytes: Array.from(headerBytes.subarray(0, 8)),
+    });
+  }
+
+  logger.debug("下載已通過安全檢查", {
+    mimeType: normalizedType,
+    size,
+    format: format.name,
+  });
+  return { name: format.name, extension: format.extension };
+}
+
+/**
+ * 檢查是否為擴充功能自己（offscreen 文件）建立的 Blob URL
+ *
+ * @param {string} url - 要檢查的 URL
+ * @returns {boolean} - 是否允許下載
+ * @private
+ */
+function isExtensionBlobUrl(url) {
+  // getURL("") 為 "chrome-extension://<id>/"，Blob URL 為 "blob:chrome-extension://<id>/<uuid>"
+  return (
+    typeof url === "string" &&
+    url.startsWith(`blob:${chrome.runtime.getURL("")}`)
+  );
+}
+
+/**
+ * 取得不含參數的小寫 MIME 類型
+ *
+ * @param {string} [mimeType] - MIME 類型，例如 "audio/mp4; codecs=mp4a.40.2"
+ * @returns {string} - 正規化的 MIME 類型
+ * @private
+ */
+function normalizeMimeType(mimeType) {
+  return (mimeType || "").split(";")[0].trim().toLowerCase();
+}
+
+/**
+ * @param {Uint8Array} bytes - 檔頭
+ * @returns {boolean} - 是否為 MP4/M4A（offset 4 為 "ftyp"）
+ * @private
+ */
+function isMp4Header(bytes) {
+  return hasAsciiAt(bytes, 4, "ftyp");
+}
+
+/**
+ * @param {Uint8Array} bytes - 檔頭
+ * @returns {boolean} - 是否為 Ogg（"OggS"）
+ * @private
+ */
+function isOggHeader(bytes) {
+  return hasAsciiAt(bytes, 0, "OggS");
+}
+
+/**
+ * @param {Uint8Array} bytes - 檔頭
+ * @returns {boolean} - 是否為 ADTS 格式的 AAC（同步字組且 layer 為 0）
+ * @private
+ */
+function isAdtsHeader(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0;
+}
+
+/**
+ * @param {Uint8Array} bytes - 檔頭
+ * @returns {boolean} - 是否為 MP3（ID3 標籤，或同步字組且 layer 不為 0 的 MPEG 音訊框架）
+ * @private
+ */
+function isMp3Header(bytes) {
+  if (hasAsciiAt(bytes, 0, "ID3")) {
+    return true;
+  }
+  return (
+    bytes.length >= 2 &&
+    bytes[0] === 0xff &&
+    (bytes[1] & 0xe0) === 0xe0 &&
+    (bytes[1] & 0x06) !== 0
+  );
+}
+
+/**
+ * @param {Uint8Array} bytes - 檔頭
+ * @returns {boolean} - 是否為 WAV（"RIFF" 且 offset 8 為 "WAVE"），offscreen 文件的轉換結果
+ * @private
+ */
+function isWavHeader(bytes) {
+  return hasAsciiAt(bytes, 0, "RIFF") && hasAsciiAt(bytes, 8, "WAVE");
+}
+
+/**
+ * 檢查指定位置的位元組是否為指定的 ASCII 字串
+ *
+ * @param {Uint8Array} bytes - 檔頭
+ * @param {number} offset - 起始位置
+ * @param {string} text - ASCII 字串
+ * @returns {boolean} - 是否相符
+ * @private
+ */
+function hasAsciiAt(bytes, offset, text) {
+  if (bytes.length < offset + text.length) {
+    return false;
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * 將 base64 字串解碼為位元組陣列，格式錯誤時返回空陣列
+ *
+ * @param {string} base64data - base64 字串
+ * @returns {Uint8Array} - 位元組陣列
+ * @private
+ */
+function decodeBase64(base64data) {
+  try {
+    const binary = atob(base64data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  } catch (error) {
+    return new Uint8Array(0);
+  }
+}
+
+/**
+ * 建立下載被拒絕的錯誤，並記錄原因
+ *
+ * @param {string} reason - 顯示給使用者的原因
+ * @param {Object} [details] - 記錄用的額外資訊
+ * @returns {Error} - code 為 DOWNLOAD_BLOCKED 的 Error
+ * @private
+ */
+function createBlockedError(reason, details = {}) {
+  logger.warn("下載未通過安全檢查", { reason, ...details });
+  return createRpcError(MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED, reason);
+}
@@ -4,8 +4,31 @@
  */
 
 import { generateVoiceMessageFilename } from "../utils/time-utils.js";
+import { notifyTab } from "./tab-notifier.js";
+import {
+  createPendingDownload,
+  initPendingDownloads,
+} from "./pending-downloads.js";
+import { getAssetKey, getUrlExpiry, isUrlExpiringSoon } from "./url-cache.js";
+import {
+  ensureOffscreenDocument,
+  fetchAudioInOffscreen,
+  revokeObjectUrl,
+  revokeObjectUrlAfterDownload,
+} from "./offscreen-manager.js";
+import { checkFetchedDownload, checkRemoteUrl } from "./download-gate.js";
 import { Logger } from "../utils/logger.js";
-import { DOWNLOAD_CONSTANTS } from "../utils/constants.js";
+import {
+  DOWNLOAD_CONSTANTS,
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  OFFSCREEN_CONSTANTS,
+  RPC_CONSTANTS,
+  STORAGE_CONSTANTS,
+  TIME_CONSTANTS,
+  UI_CONSTANTS,
+} from "../utils/constants.js";
+import { callTab } from "../utils/rpc.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger("download-manager");
@@ -13,11 +36,27 @@ const logger = Logger.createModuleLogger("download-manager");
 // 儲存最後一次右鍵點擊的資訊
 let lastRightClickedInfo = null;
 
+// 語音訊息資料存儲，用於等待重新取得的 URL
+let voiceMessagesStore = null;
+
+// 右鍵選單項目對應的轉換格式，null 表示下載原始檔案
+const MENU_CONVERSIONS = {
+  [UI_CONSTANTS.CONTEXT_MENU_ID]: null,
+  [UI_CONSTANTS.CONTEXT_MENU_WAV_ID]:
+    OFFSCREEN_CONSTANTS.CONVERSION_FORMATS.WAV,
+};
+
 /**
  * 初始化下載管理器
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
  */
-export function initDownloadManager() {
+export function initDownloadManager(voiceMessages) {
   logger.info("初始化下載管理器");
+  voiceMessagesStore = voiceMessages;
+
+  // 通知 Service Worker 重啟前仍在等待 URL 的標籤頁
+  initPendingDownloads();
 
   // 監聽右鍵選單點擊事件
   chrome.contextMenus.onClicked.addListener((info, tab) => {
@@ -26,27 +65,72 @@ export function initDownloadManager() {
       hasLastRightClickedInfo: !!lastRightClickedInfo,
     });
 
-    if (info.menuItemId === "downloadVoiceMessage") {
-      if (lastRightClickedInfo) {
-        logger.info("開始下載語音訊息", {
-          url: lastRightClickedInfo.downloadUrl
-            ? lastRightClickedInfo.downloadUrl.substring(0, 50) + "..."
-            : null,
-          lastModified: lastRightClickedInfo.lastModified,
-        });
-        downloadVoiceMessage(
-          lastRightClickedInfo.downloadUrl,
-          lastRightClickedInfo.lastModified
-        );
-      } else {
-        logger.error("無法下載，沒有右鍵點擊資訊");
-      }
+    if (Object.hasOwn(MENU_CONVERSIONS, info.menuItemId)) {
+      handleDownloadMenuClick(MENU_CONVERSIONS[info.menuItemId]).catch(
+        (error) => {
+          logger.error("處理下載選單點擊時發生錯誤", {
+            error: error.message,
+            stack: error.stack,
+          });
+          notifyTab(
+            tab ? tab.id : lastRightClickedInfo?.tabId,
+            "Could not download this voice message. Please try again.",
+            "error"
+          );
+        }
+      );
     }
   });
 }
 
+/**
+ * 處理下載選單的點擊，依最後一次右鍵點擊的資訊下載語音訊息
+ * 等待下載完成，未預期的錯誤交由呼叫端提示使用者
+ *
+ * @param {string|null} convertTo - 下載前要轉換成的格式，null 表示下載原始檔案
+ * @returns {Promise<void>}
+ */
+async function handleDownloadMenuClick(convertTo) {
+  const rightClickedInfo = await getLastRightClickedInfo();
+
+  // Service Worker 重啟後，等待資料存儲恢復完成再比對已擷取的 URL
+  await voiceMessagesStore.ready;
+
+  if (rightClickedInfo && rightClickedInfo.ambiguous) {
+    logger.warn("有多個可能的下載 URL，不進行下載", {
+      elementId: rightClickedInfo.elementId,
+      durationMs: rightClickedInfo.durationMs,
+    });
+    notifyTab(
+      rightClickedInfo.tabId,
+      "Several voice messages have the same length. Play this one first, then try again.",
+      "warning"
+    );
+  } else if (rightClickedInfo && !rightClickedInfo.downloadUrl) {
+    // 尚未擷取到 URL，建立等待中的下載工作，URL 出現後自動下載
+    logger.info("尚未找到下載 URL，等待語音訊息載入", {
+      elementId: rightClickedInfo.elementId,
+      durationMs: rightClickedInfo.durationMs,
+    });
+    createPendingDownload(voiceMessagesStore, rightClickedInfo, (info) =>
+      downloadWithFreshUrl(info, convertTo)
+    );
+  } else if (rightClickedInfo) {
+    logger.info("開始下載語音訊息", {
+      url: rightClickedInfo.downloadUrl.substring(0, 50) + "...",
+      lastModified: rightClickedInfo.lastModified,
+      sentAtMs: rightClickedInfo.sentAtMs,
+      convertTo,
+    });
+    await downloadWithFreshUrl(rightClickedInfo, convertTo);
+  } else {
+    logger.error("無法下載，沒有右鍵點擊資訊");
+  }
+}
+
 /**
  * 設置最後一次右鍵點擊的資訊
+ * 同時寫入 chrome.storage.session，Service Worker 在右鍵點擊和點擊選單之間重啟時仍能下載
  *
  * @param {Object} info - 右鍵點擊資訊
  */
@@ -59,17 +143,282 @@ export function setLastRightClickedInfo(info) {
       ? info.downloadUrl.substring(0, 50) + "..."
       : null,
     lastModified: info.lastModified,
+    sentAtMs: info.sentAtMs,
     tabId: info.tabId,
   });
+
+  chrome.storage.session
+    .set({ [STORAGE_CONSTANTS.RIGHT_CLICK_INFO_KEY]: info })
+    .catch((error) => {
+      logger.error("寫入右鍵點擊資訊時發生錯誤", { error: error.message });
+    });
+}
+
+/**
+ * 取得最後一次右鍵點擊的資訊
+ * Service Worker 重啟後記憶體中的資訊已遺失，改從 chrome.storage.session 讀取
+ *
+ * @returns {Promise<Object|null>} - 右鍵點擊資訊，沒有時返回 null
+ */
+async function getLastRightClickedInfo() {
+  if (lastRightClickedInfo) {
+    return lastRightClickedInfo;
+  }
+
+  try {
+    const result = await chrome.storage.session.get(
+      STORAGE_CONSTANTS.RIGHT_CLICK_INFO_KEY
+    );
+    lastRightClickedInfo =
+      result[STORAGE_CONSTANTS.RIGHT_CLICK_INFO_KEY] || null;
+    logger.debug("已從 session storage 恢復右鍵點擊資訊", {
+      hasLastRightClickedInfo: !!lastRightClickedInfo,
+    });
+  } catch (error) {
+    logger.error("讀取右鍵點擊資訊時發生錯誤", { error: error.message });
+  }
+
+  return lastRightClickedInfo;
+}
+
+/**
+ * 確認下載 URL 尚未過期後下載語音訊息
+ * 簽名 URL 已過期或即將過期時，先重新取得有效的 URL
+ *
+ * @param {Object} info - 右鍵點擊資訊
+ * @param {string|null} [convertTo] - 下載前要轉換成的格式
+ */
+async function downloadWithFreshUrl(info, convertTo = null) {
+  let downloadUrl = info.downloadUrl;
+
+  if (downloadUrl && isUrlExpiringSoon(downloadUrl)) {
+    logger.info("下載 URL 已過期或即將過期，重新取得", {
+      elementId: info.elementId,
+      url: downloadUrl.substring(0, 50) + "...",
+    });
+
+    downloadUrl = await reacquireDownloadUrl(info);
+    if (!downloadUrl) {
+      logger.warn("無法重新取得下載 URL", { elementId: info.elementId });
+      notifyTab(
+        info.tabId,
+        "This voice message link has expired. Play the message once, then try again.",
+        "warning"
+      );
+      return;
+    }
+
+    // 之後的下載直接使用新的 URL
+    info.downloadUrl = downloadUrl;
+  }
+
+  // 頁面建立的 Blob URL 無法直接下載，改由內容腳本分段傳送到 offscreen 文件
+  if (downloadUrl.startsWith("blob:")) {
+    await requestBlobTransfer(info, convertTo);
+    return;
+  }
+
+  await downloadVoiceMessage(
+    downloadUrl,
+    info.lastModified,
+    info.sentAtMs,
+    info.tabId,
+    convertTo
+  );
+}
+
+/**
+ * 請內容腳本將 Blob 內容分段傳送到 offscreen 文件下載
+ *
+ * @param {Object} info - 右鍵點擊資訊
+ * @param {string|null} [convertTo] - offscreen 文件在下載前要轉換成的格式
+ */
+async function requestBlobTransfer(info, convertTo = null) {
+  try {
+    await ensureOffscreenDocument();
+  } catch (error) {
+    logger.error("建立 offscreen 文件失敗", { error });
+    notifyTab(
+      info.tabId,
+      "Could not prepare the download. Please try again.",
+      "error"
+    );
+    return;
+  }
+
+  // 內容腳本傳輸完成並開始下載後才回應，失敗時已在頁面上提示
+  try {
+    const { filename } = await callTab(
+      info.tabId,
+      MESSAGE_ACTIONS.DOWNLOAD_BLOB,
+      {
+        blobUrl: info.downloadUrl,
+        lastModified: info.lastModified,
+        sentAtMs: info.sentAtMs,
+        requestId: `${info.elementId}-${Date.now()}`,
+        convertTo,
+      },
+      { timeout: RPC_CONSTANTS.BLOB_TRANSFER_TIMEOUT }
+    );
+    logger.info("Blob 下載已開始", { tabId: info.tabId, filename });
+  } catch (error) {
+    logger.error("請求傳送 Blob 內容失敗", {
+      tabId: info.tabId,
+      code: error.code,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 重新取得即將過期的下載 URL
+ * 依序嘗試：資料存儲中已有的新 URL、直接確認舊 URL 仍然有效、
+ * 最後才請頁面以靜音方式重新載入語音訊息，整個過程不會播放出聲
+ *
+ * @param {Object} info - 右鍵點擊資訊
+ * @returns {Promise<string|null>} - 可用的下載 URL，無法取得時返回 null
+ */
+async function reacquireDownloadUrl(info) {
+  const assetKey = getAssetKey(info.downloadUrl);
+
+  // 其他請求可能已經取得新的 URL
+  const existingUrl = findFreshUrl(assetKey);
+  if (existingUrl) {
+    return existingUrl;
+  }
+
+  // 簽名還沒過期時直接使用，只是預留的時間不足，不需要頁面重新載入
+  if (await isUrlStillValid(info.downloadUrl)) {
+    logger.debug("下載 URL 仍然有效，直接使用", {
+      elementId: info.elementId,
+    });
+    return info.downloadUrl;
+  }
+
+  let primed = false;
+  try {
+    ({ primed } = await callTab(info.tabId, MESSAGE_ACTIONS.RELOAD_MEDIA, {
+      elementId: info.elementId,
+    }));
+  } catch (error) {
+    logger.debug("請求重新載入語音訊息失敗", {
+      tabId: info.tabId,
+      code: error.code,
+      error: error.message,
+    });
+  }
+
+  if (!primed) {
+    return null;
+  }
+
+  return waitForFreshUrl(assetKey, TIME_CONSTANTS.URL_REFRESH_TIMEOUT);
+}
+
+/**
+ * 以只請求第一個位元組的方式確認簽名 URL 是否仍然可以下載
+ *
+ * @param {string} url - 下載 URL
+ * @returns {Promise<boolean>} - 如果 CDN 仍然接受這個 URL 則返回 true
+ */
+async function isUrlStillValid(url) {
+  const expiresAtMs = getUrlExpiry(url);
+  if (expiresAtMs !== null && expiresAtMs <= Date.now()) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(url, {
+      headers: { Range: "bytes=0-0" },
+      credentials: "omit",
+      signal: AbortSignal.timeout(TIME_CONSTANTS.URL_PROBE_TIMEOUT),
+    });
+    if (response.body) {
+      response.body.cancel();
+    }
+    return response.ok;
+  } catch (error) {
+    logger.debug("確認下載 URL 時發生錯誤", { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * 在資料存儲中尋找指定檔案尚未過期的 URL
+ *
+ * @param {string} assetKey - 檔案的資源識別碼
+ * @returns {string|null} - 有效的下載 URL，沒有時返回 null
+ */
+function findFreshUrl(assetKey) {
+  const freshItem = Array.from(voiceMessagesStore.items.values()).find((item) =>
+    isFreshUrlFor(item.downloadUrl, assetKey)
+  );
+  return freshItem ? freshItem.downloadUrl : null;
+}
+
+/**
+ * 判斷 URL 是否為指定檔案尚未過期的 URL
+ *
+ * @param {string|null} url - 下載 URL
+ * @param {string} assetKey - 檔案的資源識別碼
+ * @returns {boolean} - 如果是同一個檔案且尚未過期則返回 true
+ */
+function isFreshUrlFor(url, assetKey) {
+  return !!url && getAssetKey(url) === assetKey && !isUrlExpiringSoon(url);
+}
+
+/**
+ * 等待資料存儲中出現指定檔案的有效 URL
+ *
+ * @param {string} assetKey - 檔案的資源識別碼
+ * @param {number} timeoutMs - 最長等待時間（毫秒）
+ * @returns {Promise<string|null>} - 新的下載 URL，逾時則返回 null
+ */
+function waitForFreshUrl(assetKey, timeoutMs) {
+  // 重新載入期間可能已經擷取到新的 URL
+  const existingUrl = findFreshUrl(assetKey);
+  if (existingUrl) {
+    return Promise.resolve(existingUrl);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, timeoutMs);
+
+    const unsubscribe = voiceMessagesStore.subscribeToItemUpdates(
+      voiceMessagesStore,
+      (item) => {
+        if (isFreshUrlFor(item.downloadUrl, assetKey)) {
+          clearTimeout(timer);
+          unsubscribe();
+          resolve(item.downloadUrl);
+        }
+      }
+    );
+  });
 }
 
 /**
  * 下載語音訊息
+ * 由 offscreen 文件下載一次內容並經過下載安全檢查，通過後下載同一份內容，
+ * 未通過時在頁面上說明原因，不交給 chrome.downloads
+ * 指定 convertTo 時由 offscreen 文件轉換格式，檢查的是轉換結果
  *
  * @param {string} url - 下載 URL
  * @param {string} [lastModified] - Last-Modified 標頭值
+ * @param {number} [sentAtMs] - 語音訊息的發送時間（毫秒）
+ * @param {number} [tabId] - 要顯示提示訊息的標籤頁 ID
+ * @param {string|null} [convertTo] - 下載前要轉換成的格式
  */
-export function downloadVoiceMessage(url, lastModified) {
+export async function downloadVoiceMessage(
+  url,
+  lastModified,
+  sentAtMs,
+  tabId,
+  convertTo = null
+) {
   logger.debug("下載語音訊息函數被調用");
 
   if (!url) {
@@ -77,23 +426,50 @@ export function downloadVoiceMessage(url, lastModified) {
     return;
   }
 
-  // 生成檔案名稱
-  const filename = `${generateVoiceMessageFilename(lastModified)}.mp4`;
+  let format;
+  let downloadUrl;
+  try {
+    ({ format, objectUrl: downloadUrl } = await fetchRemoteAudio(
+      url,
+      convertTo
+    ));
+  } catch (error) {
+    logger.error("下載前的檢查失敗，取消下載", {
+      url: url.substring(0, 50) + "...",
+      code: error.code,
+      error: error.message,
+    });
+    notifyTab(
+      tabId,
+      error.code === MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED
+        ? error.message
+        : "Could not download this voice message. Please try again.",
+      "error"
+    );
+    return;
+  }
+
+  // 生成檔案名稱，副檔名依檔頭辨識出的格式決定
+  const baseFilename = generateVoiceMessageFilename(lastModified, sentAtMs);
+  const filename = `${baseFilename}${format.extension}`;
   logger.debug("生成的檔案名稱", { filename });
 
   // 使用 Chrome 下載 API 下載檔案
   logger.debug("準備調用 chrome.downloads.download API");
   chrome.downloads.download(
     {
-      url: url,
+      url: downloadUrl,
       filename: filename,
       saveAs: DOWNLOAD_CONSTANTS.SAVE_AS,
     },
     (downloadId) => {
       if (chrome.runtime.lastError) {
         logger.error("下載失敗", chrome.runtime.lastError);
+        revokeObjectUrl(downloadUrl);
       } else {
         logger.info("下載成功", { downloadId });
+        // 下載結束後才撤銷 object URL
+        revokeObjectUrlAfterDownload(downloadId, downloadUrl);
       }
     }
   );
@@ -105,107 +481,24 @@ export function downloadVoiceMessage(url, lastModified) {
 }
 
 /**
- * 處理 blob 內容下載訊息
+ * 在 offscreen 文件中下載 CDN 上的語音訊息，需要時轉換格式，並檢查要下載的內容
+ * 只向 CDN 請求一次，通過檢查的內容就是交給 chrome.downloads 的內容
  *
- * @param {Object} message - 訊息物件
- * @param {Object} sender - 發送者資訊
- * @param {Function} sendResponse - 回應函數
+ * @param {string} url - 下載 URL
+ * @param {string|null} convertTo - 要轉換成的格式，不轉換時為 null
+ * @returns {Promise<Object>} - { format, objectUrl }，format 為辨識出的音訊格式
  */
-export function downloadBlobContent(message, sender, sendResponse) {
-  try {
-    logger.debug("處理 blob 內容下載訊息", {
-      blobType: message.blobType,
-      base64Length: message.base64data ? message.base64data.length : 0,
-      requestId: message.requestId,
-      timestamp: message.timestamp,
-    });
-
-    // 檢查必要的參數
-    if (!message.base64data || !message.blobType) {
-      logger.error("缺少必要的參數");
-      sendResponse({ success: false, error: "缺少必要的參數" });
-      return;
-    }
-
-    // 注意：在背景腳本（Service Worker）中不能使用 URL.createObjectURL
-
-    // 直接使用 base64 資料，不需要轉換為 blob
-    logger.debug("使用 base64 資料直接下載:", {
-      blobType: message.blobType,
-      base64Length: message.base64data.length,
-    });
-
-    // 根據 MIME 類型決定副檔名
-    let fileExtension = ".bin";
-    if (
-      message.blobType.includes("audio/mpeg") ||
-      message.blobType.includes("audio/mp3")
-    ) {
-      fileExtension = ".mp3";
-    } else if (
-      message.blobType.includes("audio/mp4") ||
-      message.blobType.includes("video/mp4")
-    ) {
-      fileExtension = ".mp4";
-    } else if (message.blobType.includes("audio/wav")) {
-      fileExtension = ".wav";
-    } else if (message.blobType.includes("audio/ogg")) {
-      fileExtension = ".ogg";
-    } else if (message.blobType.includes("audio/aac")) {
-      fileExtension = ".aac";
-    }
-
-    // 生成檔案名稱
-    const timestamp = message.timestamp
-      ? new Date(message.timestamp)
-      : new Date();
-    const formattedDate = timestamp
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, 19);
-    const filename = `voice-message-${formattedDate}${fileExtension}`;
-
-    // 創建 Data URL
-    const dataUrl = `data:${message.blobType};base64,${message.base64data}`;
-
-    // 下載檔案
-    chrome.downloads.download(
-      {
-        url: dataUrl,
-        filename: filename,
-        saveAs: DOWNLOAD_CONSTANTS.SAVE_AS,
-      },
-      (downloadId) => {
-        if (chrome.runtime.lastError) {
-          logger.error("下載檔案時發生錯誤", {
-            error: chrome.runtime.lastError,
-          });
-          sendResponse({
-            success: false,
-            error: chrome.runtime.lastError.message,
-          });
-          return;
-        }
+async function fetchRemoteAudio(url, convertTo) {
+  checkRemoteUrl(url);
 
-        logger.info("已開始下載檔案", {
-          downloadId,
-          filename,
-          blobType: message.blobType,
-        });
-
-        sendResponse({
-          success: true,
-          message: "已開始下載檔案",
-          downloadId,
-          filename,
-        });
-      }
-    );
+  const fetched = await fetchAudioInOffscreen(url, convertTo);
+  try {
+    return {
+      format: checkFetchedDownload(fetched),
+      objectUrl: fetched.objectUrl,
+    };
   } catch (error) {
-    logger.error("處理 blob 內容下載時發生錯誤", {
-      error: error.message,
-      stack: error.stack,
-    });
-    sendResponse({ success: false, error: error.message });
+    revokeObjectUrl(fetched.objectUrl);
+    throw error;
   }
 }
@@ -1,10 +1,14 @@
 /**
  * audio-url-registration-handler.js
- * 處理 Audio URL 註冊相關的訊息
+ * 處理 Audio URL 註冊和頁面上下文回報音訊回應的訊息
  */
 
 import Logger from "../../utils/logger.js";
-import { MODULE_NAMES } from "../../utils/constants.js";
+import { MESSAGE_ERROR_CODES, MODULE_NAMES } from "../../utils/constants.js";
+import { createErrorResponse } from "../../utils/message-protocol.js";
+import { notifyElementUpdated } from "./element-registration-handler.js";
+import { getTabThreadKey } from "../tab-lifecycle.js";
+import { handleReportedAudioResponse } from "../web-request-interceptor.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(
@@ -28,7 +32,16 @@ export function handleAudioUrlRegistration(
   sendResponse
 ) {
   // 取得基本資訊
-  const { audioUrl, durationMs, timestamp } = message;
+  const {
+    audioUrl,
+    durationMs,
+    durationPrecisionMs,
+    sentAtMs,
+    lastModified,
+    blobType,
+    blobSize,
+    timestamp,
+  } = message;
 
   logger.debug("處理 Audio URL 註冊訊息", {
     audioUrl: audioUrl,
@@ -39,20 +52,24 @@ export function handleAudioUrlRegistration(
   // 確保我們有 voiceMessagesStore
   if (!voiceMessagesStore) {
     logger.error("voiceMessagesStore 不存在");
-    sendResponse({
-      success: false,
-      message: "內部錯誤：voiceMessagesStore 不存在",
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+        "內部錯誤：voiceMessagesStore 不存在"
+      )
+    );
     return true;
   }
 
   // 確保有必要的資訊
   if (!audioUrl || !durationMs) {
     logger.error("缺少必要的 Audio URL 或持續時間資訊");
-    sendResponse({
-      success: false,
-      message: "缺少必要的 Audio URL 或持續時間資訊",
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE,
+        "缺少必要的 Audio URL 或持續時間資訊"
+      )
+    );
     return true;
   }
 
@@ -61,11 +78,23 @@ export function handleAudioUrlRegistration(
     const id = voiceMessagesStore.registerDownloadUrl(
       voiceMessagesStore,
       durationMs,
-      audioUrl
+      audioUrl,
+      {
+        durationPrecisionMs,
+        lastModified,
+        blobType,
+        blobSize,
+        sentAtMs,
+        tabId: sender.tab?.id,
+        threadKey: getTabThreadKey(sender.tab?.id),
+      }
     );
 
     logger.info(`成功註冊 Audio URL，ID: ${id}，持續時間: ${durationMs}ms`);
 
+    // 如果 URL 匹配到已偵測的元素，通知內容腳本更新 UI
+    notifyElementUpdated(voiceMessagesStore, id);
+
     // 輸出當前 voiceMessagesStore 的狀態
     logger.debug("voiceMessagesStore 當前項目數量", {
       itemsCount: voiceMessagesStore.items.size,
@@ -81,11 +110,51 @@ export function handleAudioUrlRegistration(
       error: error.message,
       stack: error.stack,
     });
-    sendResponse({
-      success: false,
-      message: `註冊 Audio URL 時發生錯誤: ${error.message}`,
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+        `註冊 Audio URL 時發生錯誤: ${error.message}`
+      )
+    );
   }
 
   return true; // 保持連接開啟，以便異步回應
 }
+
+/**
+ * 處理頁面上下文回報的音訊回應
+ * 回報只有 URL 和回應標頭，持續時間由 offscreen 文件計算後再註冊
+ *
+ * @param {Object} voiceMessagesStore - 語音訊息資料存儲
+ * @param {Object} message - 訊息物件，包含 audioUrl 和回應標頭
+ * @param {Object} sender - 發送者資訊
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+export function handleAudioResponseReport(
+  voiceMessagesStore,
+  message,
+  sender,
+  sendResponse
+) {
+  const { audioUrl, contentType, contentLength, lastModified } = message;
+
+  const accepted = handleReportedAudioResponse(
+    voiceMessagesStore,
+    audioUrl,
+    {
+      contentType: contentType ?? null,
+      contentLength: contentLength ?? null,
+      lastModified: lastModified ?? null,
+    },
+    sender.tab?.id ?? -1
+  );
+
+  logger.debug("處理頁面上下文回報的音訊回應", {
+    audioUrl: audioUrl.substring(0, 50) + "...",
+    accepted,
+  });
+
+  sendResponse({ success: true, accepted });
+  return true;
+}
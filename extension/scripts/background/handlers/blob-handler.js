@@ -4,7 +4,17 @@
  */
 
 import Logger from "../../utils/logger.js";
-import { MODULE_NAMES } from "../../utils/constants.js";
+import {
+  DOWNLOAD_CONSTANTS,
+  MESSAGE_ERROR_CODES,
+  MODULE_NAMES,
+} from "../../utils/constants.js";
+import { createErrorResponse } from "../../utils/message-protocol.js";
+import { generateVoiceMessageFilename } from "../../utils/time-utils.js";
+import { notifyElementUpdated } from "./element-registration-handler.js";
+import { getTabThreadKey } from "../tab-lifecycle.js";
+import { revokeObjectUrlAfterDownload } from "../offscreen-manager.js";
+import { checkTransferredDownload } from "../download-gate.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.BLOB_HANDLER);
@@ -26,7 +36,17 @@ export function handleBlobUrl(
   sendResponse
 ) {
   // 取得基本資訊
-  const { blobUrl, blobType, blobSize, durationMs, timestamp } = message;
+  const {
+    blobUrl,
+    blobType,
+    blobSize,
+    durationMs,
+    durationPrecisionMs,
+    sentAtMs,
+    lastModified,
+    sourceUrl,
+    timestamp,
+  } = message;
   const urlFeatures = blobUrl ? blobUrl.substring(0, 30) + "..." : null;
 
   logger.debug("處理 Blob URL 註冊訊息", {
@@ -40,36 +60,54 @@ export function handleBlobUrl(
   // 確保我們有 voiceMessagesStore
   if (!voiceMessagesStore) {
     logger.error("voiceMessagesStore 不存在");
-    sendResponse({
-      success: false,
-      message: "內部錯誤：voiceMessagesStore 不存在",
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+        "內部錯誤：voiceMessagesStore 不存在"
+      )
+    );
     return true;
   }
 
   // 確保有必要的資訊
   if (!blobUrl || !durationMs) {
     logger.error("缺少必要的 Blob URL 或持續時間資訊");
-    sendResponse({
-      success: false,
-      message: "缺少必要的 Blob URL 或持續時間資訊",
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE,
+        "缺少必要的 Blob URL 或持續時間資訊"
+      )
+    );
     return true;
   }
 
   try {
+    // Blob 來自 CDN 回應時，webRequest 已從 responseHeaders 取得 Content-Disposition 等資訊
+    const sourceItem = sourceUrl
+      ? voiceMessagesStore.findCapturedItemByUrl(voiceMessagesStore, sourceUrl)
+      : null;
+
     // 使用 registerDownloadUrl 函數將 Blob URL 註冊到 voiceMessagesStore
     const id = voiceMessagesStore.registerDownloadUrl(
       voiceMessagesStore,
       durationMs,
       blobUrl,
-      null, // 沒有 lastModified 資訊
-      blobType,
-      blobSize
+      {
+        durationPrecisionMs,
+        lastModified: lastModified || sourceItem?.lastModified,
+        blobType,
+        blobSize,
+        sentAtMs: sentAtMs || sourceItem?.sentAtMs,
+        tabId: sender.tab?.id,
+        threadKey: getTabThreadKey(sender.tab?.id),
+      }
     );
 
     logger.info(`成功註冊 Blob URL，ID: ${id}，持續時間: ${durationMs}ms`);
 
+    // 如果 URL 匹配到已偵測的元素，通知內容腳本更新 UI
+    notifyElementUpdated(voiceMessagesStore, id);
+
     // 輸出當前 voiceMessagesStore 的狀態
     logger.debug("voiceMessagesStore 當前項目數量", {
       itemsCount: voiceMessagesStore.items.size,
@@ -85,10 +123,12 @@ export function handleBlobUrl(
       error: error.message,
       stack: error.stack,
     });
-    sendResponse({
-      success: false,
-      message: `註冊 Blob URL 時發生錯誤: ${error.message}`,
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+        `註冊 Blob URL 時發生錯誤: ${error.message}`
+      )
+    );
   }
 
   return true; // 保持連接開啟，以便異步回應
@@ -129,115 +169,81 @@ export function handleBlobDetection(message, sender, sendResponse) {
 }
 
 /**
- * 處理 blob 內容下載訊息
+ * 處理 offscreen 文件重組完成的 Blob，使用其 object URL 下載檔案
+ * Blob 的內容來自頁面，先經過下載安全檢查，未通過時以錯誤回應說明原因
  *
- * @param {Object} message - 訊息物件
+ * @param {Object} message - 訊息物件，包含 objectUrl、blobType、headerBytes 等資訊
  * @param {Object} sender - 發送者資訊
  * @param {Function} sendResponse - 回應函數
  * @returns {boolean} - 是否需要保持連接開啟
  */
-export function handleBlobContent(message, sender, sendResponse) {
-  try {
-    logger.debug("處理 blob 內容下載訊息", {
-      blobType: message.blobType,
-      base64Length: message.base64data ? message.base64data.length : 0,
-      requestId: message.requestId,
-      timestamp: message.timestamp,
-    });
-
-    // 檢查必要的參數
-    if (!message.base64data || !message.blobType) {
-      logger.error("缺少必要的參數");
-      sendResponse({ success: false, error: "缺少必要的參數" });
-      return true;
-    }
-
-    // 注意：在背景腳本（Service Worker）中不能使用 URL.createObjectURL
-
-    // 直接使用 base64 資料，不需要轉換為 blob
-    logger.debug("使用 base64 資料直接下載:", {
-      blobType: message.blobType,
-      base64Length: message.base64data.length,
-    });
-
-    // 根據 MIME 類型決定副檔名
-    const fileExtension = getFileExtensionForMimeType(message.blobType);
-
-    // 生成檔案名稱
-    const timestamp = message.timestamp
-      ? new Date(message.timestamp)
-      : new Date();
-    const formattedDate = timestamp
-      .toISOString()
-      .replace(/[:.]/g, "-")
-      .slice(0, 19);
-    const filename = `voice-message-${formattedDate}${fileExtension}`;
+export function handleBlobTransferComplete(message, sender, sendResponse) {
+  logger.debug("處理 Blob 分段傳輸完成訊息", {
+    blobType: message.blobType,
+    blobSize: message.blobSize,
+    requestId: message.requestId,
+  });
 
-    // 創建 Data URL
-    const dataUrl = `data:${message.blobType};base64,${message.base64data}`;
+  // 檢查必要的參數
+  if (!message.objectUrl) {
+    logger.error("缺少必要的參數");
+    sendResponse(
+      createErrorResponse(MESSAGE_ERROR_CODES.INVALID_MESSAGE, "缺少必要的參數")
+    );
+    return true;
+  }
 
-    // 下載檔案
-    chrome.downloads.download(
-      {
-        url: dataUrl,
-        filename: filename,
-        saveAs: false,
-      },
-      (downloadId) => {
-        if (chrome.runtime.lastError) {
-          logger.error("下載檔案時發生錯誤", {
-            error: chrome.runtime.lastError,
-          });
-          sendResponse({
-            success: false,
-            error: chrome.runtime.lastError.message,
-          });
-          return;
-        }
-
-        logger.info("已開始下載檔案", {
-          downloadId,
-          filename,
-          blobType: message.blobType,
-        });
+  let format;
+  try {
+    format = checkTransferredDownload(message);
+  } catch (error) {
+    sendResponse(createErrorResponse(error.code, error.message));
+    return true;
+  }
 
-        sendResponse({
-          success: true,
-          message: "已開始下載檔案",
-          downloadId,
-          filename,
+  // 生成檔案名稱，副檔名依檔頭辨識出的格式決定
+  const filename = `${generateVoiceMessageFilename(
+    message.lastModified,
+    message.sentAtMs
+  )}${format.extension}`;
+
+  chrome.downloads.download(
+    {
+      url: message.objectUrl,
+      filename: filename,
+      saveAs: DOWNLOAD_CONSTANTS.SAVE_AS,
+    },
+    (downloadId) => {
+      if (chrome.runtime.lastError) {
+        logger.error("下載檔案時發生錯誤", {
+          error: chrome.runtime.lastError,
         });
+        sendResponse(
+          createErrorResponse(
+            MESSAGE_ERROR_CODES.DOWNLOAD_FAILED,
+            chrome.runtime.lastError.message
+          )
+        );
+        return;
       }
-    );
-  } catch (error) {
-    logger.error("處理 blob 內容下載時發生錯誤", {
-      error: error.message,
-      stack: error.stack,
-    });
-    sendResponse({ success: false, error: error.message });
-  }
 
-  return true; // 保持連接開啟，以便異步回應
-}
+      // 下載結束後才撤銷 object URL，避免下載讀取到已撤銷的 URL
+      revokeObjectUrlAfterDownload(downloadId, message.objectUrl);
+
+      logger.info("已開始下載檔案", {
+        downloadId,
+        filename,
+        blobType: message.blobType,
+      });
+
+      sendResponse({
+        success: true,
+        message: "已開始下載檔案",
+        downloadId,
+        filename,
+      });
+    }
+  );
 
-/**
- * 根據 MIME 類型獲取適當的檔案副檔名
- *
- * @param {string} mimeType - MIME 類型
- * @returns {string} - 檔案副檔名（包含點號）
- * @private
- */
-function getFileExtensionForMimeType(mimeType) {
-  if (mimeType.includes("audio/mpeg") || mimeType.includes("audio/mp3")) {
-    return ".mp3";
-  } else if (mimeType.includes("audio/mp4") || mimeType.includes("video/mp4")) {
-    return ".mp4";
-  } else if (mimeType.includes("audio/wav")) {
-    return ".wav";
-  } else if (mimeType.includes("audio/ogg")) {
-    return ".ogg";
-  } else if (mimeType.includes("audio/aac")) {
-    return ".aac";
-  }
-  return ".bin"; // 預設二進制檔案副檔名
+  return true; // 保持連接開啟，以便異步回應
 }
@@ -3,8 +3,20 @@
  * 處理語音訊息元素註冊相關的訊息
  */
 
+import {
+  findBestMatch,
+  findElementsForItem,
+} from "../voice-message-matcher.js";
+import { getSenderThreadKey } from "../tab-lifecycle.js";
+import { getAssetKey } from "../url-cache.js";
 import Logger from "../../utils/logger.js";
-import { MODULE_NAMES } from "../../utils/constants.js";
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MODULE_NAMES,
+} from "../../utils/constants.js";
+import { createErrorResponse } from "../../utils/message-protocol.js";
+import { callTab } from "../../utils/rpc.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(
@@ -26,38 +38,66 @@ export function handleElementRegistration(
   sender,
   sendResponse
 ) {
-  const { elementId, durationMs } = message;
+  const { elementId, durationMs, durationPrecisionMs, durationOrder, pageUrl } =
+    message;
+  const threadKey = getSenderThreadKey(sender, pageUrl);
   logger.debug("處理語音訊息元素註冊訊息", {
     elementId,
     durationMs,
+    durationPrecisionMs,
+    durationOrder,
     tabId: sender.tab?.id,
+    threadKey,
   });
 
   if (!elementId || !durationMs || !voiceMessagesStore) {
     logger.error("缺少必要資訊或 voiceMessagesStore 不存在");
-    sendResponse({ success: false, error: "缺少必要資訊" });
+    sendResponse(
+      createErrorResponse(MESSAGE_ERROR_CODES.INVALID_MESSAGE, "缺少必要資訊")
+    );
     return true;
   }
 
   try {
+    // 頁面上下文可能已經回報這個元素實際播放的 URL，保留確切的綁定
+    const existingItem = voiceMessagesStore.items.get(elementId);
+    if (existingItem && existingItem.isExactBinding) {
+      Object.assign(existingItem, {
+        durationMs,
+        durationPrecisionMs,
+        durationOrder,
+        threadKey,
+      });
+      voiceMessagesStore.saveItem(voiceMessagesStore, existingItem);
+
+      sendResponse({
+        success: true,
+        downloadUrl: existingItem.downloadUrl,
+        lastModified: existingItem.lastModified,
+      });
+      return true;
+    }
+
     // 在 voiceMessages 中建立新項目
-    voiceMessagesStore.items.set(elementId, {
+    voiceMessagesStore.saveItem(voiceMessagesStore, {
       id: elementId,
       durationMs,
+      durationPrecisionMs,
+      durationOrder,
       downloadUrl: null,
       lastModified: null,
       timestamp: Date.now(),
       tabId: sender.tab?.id,
+      threadKey,
     });
 
     // 檢查是否有待處理的下載 URL 可以匹配
-    const matchingItem = findMatchingPendingItem(
+    const { item: matchingItem, ambiguous } = findMatchingPendingItem(
       voiceMessagesStore,
-      elementId,
-      durationMs
+      voiceMessagesStore.items.get(elementId)
     );
 
-    if (matchingItem) {
+    if (matchingItem && !ambiguous) {
       // 如果找到匹配項目，更新元素的下載 URL
       updateElementWithMatchingItem(
         voiceMessagesStore,
@@ -77,6 +117,13 @@ export function handleElementRegistration(
         downloadUrl: matchingItem.downloadUrl,
         lastModified: matchingItem.lastModified,
       });
+    } else if (ambiguous) {
+      logger.debug("有多個可能的待處理項目，暫不匹配", { elementId });
+      sendResponse({
+        success: true,
+        ambiguous: true,
+        message: "元素已註冊，但有多個可能的下載 URL",
+      });
     } else {
       logger.debug("未找到匹配的待處理項目");
       sendResponse({
@@ -86,7 +133,9 @@ export function handleElementRegistration(
     }
   } catch (error) {
     logger.error("處理語音訊息元素註冊訊息時發生錯誤:", error);
-    sendResponse({ success: false, error: error.message });
+    sendResponse(
+      createErrorResponse(MESSAGE_ERROR_CODES.INTERNAL_ERROR, error.message)
+    );
   }
 
   return true; // 保持連接開啟，以便異步回應
@@ -96,29 +145,28 @@ export function handleElementRegistration(
  * 查找匹配的待處理項目
  *
  * @param {Object} voiceMessagesStore - 語音訊息資料存儲
- * @param {string} elementId - 當前元素 ID
- * @param {number} durationMs - 持續時間（毫秒）
- * @returns {Object|null} - 匹配的項目或 null
+ * @param {Object} elementItem - 元素項目
+ * @returns {Object} - 匹配結果 { item, ambiguous }
  * @private
  */
-function findMatchingPendingItem(voiceMessagesStore, elementId, durationMs) {
-  // 使用容差值尋找匹配的項目
-  const tolerance = 5; // 容差值（毫秒）
+function findMatchingPendingItem(voiceMessagesStore, elementItem) {
+  const match = findBestMatch(voiceMessagesStore, {
+    elementId: elementItem.id,
+    durationMs: elementItem.durationMs,
+    durationPrecisionMs: elementItem.durationPrecisionMs,
+    tabId: elementItem.tabId,
+    threadKey: elementItem.threadKey,
+    durationOrder: elementItem.durationOrder,
+  });
 
-  for (const [id, item] of voiceMessagesStore.items) {
-    if (
-      id !== elementId && // 不是自己
-      item.downloadUrl && // 有下載 URL
-      item.durationMs && // 有持續時間
-      Math.abs(item.durationMs - durationMs) <= tolerance
-    ) {
-      // 持續時間匹配
-      logger.debug("找到匹配的待處理項目", { item });
-      return item;
-    }
+  if (match.item) {
+    logger.debug("找到匹配的待處理項目", {
+      id: match.item.id,
+      ambiguous: match.ambiguous,
+    });
   }
 
-  return null;
+  return match;
 }
 
 /**
@@ -137,6 +185,10 @@ function updateElementWithMatchingItem(
   const currentItem = voiceMessagesStore.items.get(elementId);
   currentItem.downloadUrl = matchingItem.downloadUrl;
   currentItem.lastModified = matchingItem.lastModified;
+  currentItem.sentAtMs = matchingItem.sentAtMs;
+  currentItem.expiresAtMs = matchingItem.expiresAtMs;
+  currentItem.boundItemId = matchingItem.id;
+  voiceMessagesStore.saveItem(voiceMessagesStore, currentItem);
 
   logger.debug("已更新元素的下載 URL:", {
     elementId,
@@ -144,24 +196,65 @@ function updateElementWithMatchingItem(
   });
 }
 
+/**
+ * 當新擷取的下載 URL 可以確定對應到已註冊的元素時，更新元素並通知內容腳本更新 UI
+ * 供 URL 註冊流程在 registerDownloadUrl 之後呼叫
+ *
+ * @param {Object} voiceMessagesStore - 語音訊息資料存儲
+ * @param {string} id - registerDownloadUrl 返回的項目 ID
+ */
+export function notifyElementUpdated(voiceMessagesStore, id) {
+  const matchingItem = voiceMessagesStore.items.get(id);
+  if (!matchingItem || !matchingItem.downloadUrl) {
+    return;
+  }
+
+  // 已由媒體元素確切綁定的元素只補上檔案資訊，不重新匹配
+  const assetKey = getAssetKey(matchingItem.downloadUrl);
+  for (const elementItem of voiceMessagesStore.items.values()) {
+    if (
+      elementItem.isExactBinding &&
+      getAssetKey(elementItem.downloadUrl) === assetKey
+    ) {
+      elementItem.boundItemId = matchingItem.id;
+      elementItem.lastModified = matchingItem.lastModified;
+      elementItem.sentAtMs = matchingItem.sentAtMs;
+      voiceMessagesStore.saveItem(voiceMessagesStore, elementItem);
+    }
+  }
+
+  for (const elementItem of findElementsForItem(voiceMessagesStore, id)) {
+    updateElementWithMatchingItem(
+      voiceMessagesStore,
+      elementItem.id,
+      matchingItem
+    );
+    notifyContentScriptToUpdateUI(
+      elementItem.tabId,
+      elementItem.id,
+      matchingItem.downloadUrl
+    );
+  }
+}
+
 /**
  * 通知內容腳本更新 UI
  *
  * @param {number|undefined} tabId - 標籤頁 ID
  * @param {string} elementId - 元素 ID
  * @param {string} downloadUrl - 下載 URL
- * @private
  */
-function notifyContentScriptToUpdateUI(tabId, elementId, downloadUrl) {
+export function notifyContentScriptToUpdateUI(tabId, elementId, downloadUrl) {
   if (tabId) {
-    try {
-      chrome.tabs.sendMessage(tabId, {
-        action: "updateVoiceMessageElement",
-        elementId: elementId,
-        downloadUrl: downloadUrl,
+    callTab(tabId, MESSAGE_ACTIONS.UPDATE_ELEMENT, {
+      elementId: elementId,
+      downloadUrl: downloadUrl,
+    }).catch((error) => {
+      logger.debug("發送更新訊息到內容腳本失敗", {
+        tabId,
+        code: error.code,
+        error: error.message,
       });
-    } catch (error) {
-      logger.error("發送更新訊息到內容腳本時發生錯誤:", error);
-    }
+    });
   }
 }
@@ -0,0 +1,101 @@
+/**
+ * media-binding-handler.js
+ * 處理頁面上下文回報的語音訊息元素與媒體 URL 的確切對應關係
+ */
+
+import Logger from "../../utils/logger.js";
+import { MESSAGE_ERROR_CODES, MODULE_NAMES } from "../../utils/constants.js";
+import { createErrorResponse } from "../../utils/message-protocol.js";
+import { getUrlExpiry } from "../url-cache.js";
+import { getTabThreadKey } from "../tab-lifecycle.js";
+import { notifyContentScriptToUpdateUI } from "./element-registration-handler.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.MEDIA_BINDING_HANDLER);
+
+/**
+ * 處理媒體綁定訊息
+ * 頁面實際播放的 URL 就是該語音訊息的檔案，直接綁定到元素，不經過持續時間匹配
+ *
+ * @param {Object} voiceMessagesStore - 語音訊息資料存儲
+ * @param {Object} message - 訊息物件，包含 elementId、url 和 durationMs
+ * @param {Object} sender - 發送者資訊
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+export function handleMediaBinding(
+  voiceMessagesStore,
+  message,
+  sender,
+  sendResponse
+) {
+  const { elementId, url, durationMs, durationPrecisionMs } = message;
+  const tabId = sender.tab?.id;
+
+  logger.debug("處理媒體綁定訊息", {
+    elementId,
+    url: url ? url.substring(0, 50) + "..." : null,
+    durationMs,
+    tabId,
+  });
+
+  if (!elementId || !url || !voiceMessagesStore) {
+    logger.error("缺少必要資訊或 voiceMessagesStore 不存在");
+    sendResponse(
+      createErrorResponse(MESSAGE_ERROR_CODES.INVALID_MESSAGE, "缺少必要資訊")
+    );
+    return true;
+  }
+
+  try {
+    const existingItem = voiceMessagesStore.items.get(elementId);
+    const capturedItem = voiceMessagesStore.findCapturedItemByUrl(
+      voiceMessagesStore,
+      url
+    );
+
+    // 元素尚未由 DOM 偵測器註冊時，直接建立元素項目
+    const elementItem = existingItem || {
+      id: elementId,
+      durationMs: durationMs || null,
+      durationPrecisionMs,
+      timestamp: Date.now(),
+      tabId,
+      threadKey: getTabThreadKey(tabId),
+    };
+
+    elementItem.downloadUrl = url;
+    elementItem.expiresAtMs = getUrlExpiry(url);
+    elementItem.isExactBinding = true;
+    if (capturedItem) {
+      elementItem.boundItemId = capturedItem.id;
+      elementItem.lastModified = capturedItem.lastModified;
+      elementItem.sentAtMs = capturedItem.sentAtMs;
+    }
+    if (!elementItem.durationMs && durationMs) {
+      elementItem.durationMs = durationMs;
+      elementItem.durationPrecisionMs = durationPrecisionMs;
+    }
+
+    voiceMessagesStore.saveItem(voiceMessagesStore, elementItem);
+
+    logger.info("已綁定語音訊息元素與媒體 URL", {
+      elementId,
+      capturedItemId: capturedItem ? capturedItem.id : null,
+    });
+
+    notifyContentScriptToUpdateUI(tabId, elementId, url);
+
+    sendResponse({ success: true, elementId });
+  } catch (error) {
+    logger.error("處理媒體綁定訊息時發生錯誤", {
+      error: error.message,
+      stack: error.stack,
+    });
+    sendResponse(
+      createErrorResponse(MESSAGE_ERROR_CODES.INTERNAL_ERROR, error.message)
+    );
+  }
+
+  return true; // 保持連接開啟，以便異步回應
+}
@@ -0,0 +1,58 @@
+/**
+ * page-context-handler.js
+ * 處理頁面上下文注入方式的查詢與回報
+ */
+
+import { isPageContextRegistered } from "../page-context-registrar.js";
+import Logger from "../../utils/logger.js";
+import { MODULE_NAMES, PAGE_CONTEXT_INJECTION } from "../../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.PAGE_CONTEXT_HANDLER);
+
+/**
+ * 回答內容腳本應使用的頁面上下文注入方式
+ * 頁面上下文腳本已註冊時由 MAIN world 內容腳本載入，否則內容腳本改以 script 標籤注入
+ *
+ * @param {Object} message - 訊息物件
+ * @param {Object} sender - 發送者資訊
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+export function handlePageContextInjectionQuery(message, sender, sendResponse) {
+  isPageContextRegistered().then((registered) => {
+    sendResponse({
+      success: true,
+      injectionPath: registered
+        ? PAGE_CONTEXT_INJECTION.PATHS.MAIN_WORLD
+        : PAGE_CONTEXT_INJECTION.PATHS.SCRIPT_TAG,
+    });
+  });
+  return true;
+}
+
+/**
+ * 處理頁面上下文注入方式的回報
+ * 使用備用的 script 標籤注入時，頁面上已存在的語音訊息可能沒有被攔截
+ *
+ * @param {Object} message - 訊息物件，包含 injectionPath 和 pageUrl
+ * @param {Object} sender - 發送者資訊
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+export function handlePageContextInjection(message, sender, sendResponse) {
+  const details = {
+    tabId: sender.tab?.id,
+    injectionPath: message.injectionPath,
+    pageUrl: message.pageUrl,
+  };
+
+  if (message.injectionPath === PAGE_CONTEXT_INJECTION.PATHS.MAIN_WORLD) {
+    logger.info("頁面上下文已由 MAIN world 內容腳本載入", details);
+  } else {
+    logger.warn("頁面上下文改由 script 標籤注入", details);
+  }
+
+  sendResponse({ success: true });
+  return true;
+}
@@ -4,8 +4,11 @@
  */
 
 import { setLastRightClickedInfo } from "../download-manager.js";
+import { findBestMatch } from "../voice-message-matcher.js";
+import { getSenderThreadKey } from "../tab-lifecycle.js";
 import Logger from "../../utils/logger.js";
-import { MODULE_NAMES } from "../../utils/constants.js";
+import { MESSAGE_ERROR_CODES, MODULE_NAMES } from "../../utils/constants.js";
+import { createErrorResponse } from "../../utils/message-protocol.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.RIGHT_CLICK_HANDLER);
@@ -25,21 +28,33 @@ export function handleRightClick(
   sender,
   sendResponse
 ) {
-  const { elementId, downloadUrl, lastModified, durationMs } = message;
+  const {
+    elementId,
+    downloadUrl,
+    lastModified,
+    durationMs,
+    durationPrecisionMs,
+    durationOrder,
+    pageUrl,
+  } = message;
+  const threadKey = getSenderThreadKey(sender, pageUrl);
   logger.debug("處理右鍵點擊訊息詳細資訊", {
     elementId,
     downloadUrl: downloadUrl ? downloadUrl.substring(0, 50) + "..." : null,
     lastModified,
     durationMs,
+    durationOrder,
   });
 
   // 確保我們有 voiceMessagesStore
   if (!voiceMessagesStore) {
     logger.error("voiceMessagesStore 不存在");
-    sendResponse({
-      success: false,
-      message: "內部錯誤：voiceMessagesStore 不存在",
-    });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+        "內部錯誤：voiceMessagesStore 不存在"
+      )
+    );
     return true;
   }
 
@@ -53,8 +68,21 @@ export function handleRightClick(
   // 如果沒有提供下載 URL，但有持續時間，嘗試從 voiceMessagesStore 中查找
   let finalDownloadUrl = downloadUrl;
   let finalLastModified = lastModified;
+  let finalSentAtMs = null;
+  let isAmbiguous = false;
+
+  // 優先使用 DOM 偵測器預先註冊的元素 ID 查找
+  const registeredItem = elementId
+    ? voiceMessagesStore.items.get(elementId)
+    : null;
+  if (!finalDownloadUrl && registeredItem && registeredItem.downloadUrl) {
+    logger.debug("透過元素 ID 找到下載 URL", { elementId });
+    finalDownloadUrl = registeredItem.downloadUrl;
+    finalLastModified = registeredItem.lastModified || lastModified;
+    finalSentAtMs = registeredItem.sentAtMs || null;
+  }
 
-  if (!downloadUrl && durationMs) {
+  if (!finalDownloadUrl && durationMs) {
     logger.debug("嘗試從資料存儲中查找下載 URL", {
       durationMs,
     });
@@ -70,9 +98,34 @@ export function handleRightClick(
       itemsCount: voiceMessagesStore.items.size,
     });
 
-    const matchingItem = findItemByDuration(voiceMessagesStore, durationMs);
+    const { item: matchingItem, ambiguous } = findBestMatch(
+      voiceMessagesStore,
+      {
+        elementId,
+        durationMs,
+        durationPrecisionMs,
+        tabId: sender.tab?.id,
+        threadKey,
+        durationOrder,
+      }
+    );
+
+    logger.debug("匹配完成", {
+      phase: "complete",
+      found: !!matchingItem,
+      ambiguous,
+      elapsedMs: Date.now() - matchStartTime,
+    });
 
-    if (matchingItem && matchingItem.downloadUrl) {
+    if (matchingItem && ambiguous) {
+      // 多則語音訊息無法區分時不猜測，避免下載到錯誤的檔案
+      logger.warn("有多個可能的下載 URL，無法確定是哪一則語音訊息", {
+        durationMs,
+        durationOrder,
+      });
+      isAmbiguous = true;
+      logAllDurations(voiceMessagesStore);
+    } else if (matchingItem && matchingItem.downloadUrl) {
       logger.debug("在資料存儲中找到匹配的下載 URL", {
         id: matchingItem.id,
         durationMs: matchingItem.durationMs,
@@ -82,6 +135,7 @@ export function handleRightClick(
       });
       finalDownloadUrl = matchingItem.downloadUrl;
       finalLastModified = matchingItem.lastModified || lastModified;
+      finalSentAtMs = matchingItem.sentAtMs || null;
     } else {
       logger.warn("在資料存儲中未找到匹配的下載 URL");
       logAllDurations(voiceMessagesStore);
@@ -95,13 +149,23 @@ export function handleRightClick(
       elementId,
       downloadUrl: null,
       lastModified: null,
+      sentAtMs: null,
       tabId: sender.tab?.id,
+      threadKey,
       durationMs: durationMs,
+      durationPrecisionMs,
+      durationOrder,
+      ambiguous: isAmbiguous,
     });
 
     sendResponse({
       success: true,
-      message: "已記錄右鍵點擊資訊，但無法找到下載 URL",
+      ambiguous: isAmbiguous,
+      // 尚未擷取到音訊，請內容腳本讓頁面載入這則語音訊息
+      needsAudio: !isAmbiguous,
+      message: isAmbiguous
+        ? "已記錄右鍵點擊資訊，但有多個可能的下載 URL"
+        : "已記錄右鍵點擊資訊，但無法找到下載 URL",
     });
     return true;
   }
@@ -121,8 +185,12 @@ export function handleRightClick(
     elementId,
     downloadUrl: finalDownloadUrl,
     lastModified: finalLastModified,
+    sentAtMs: finalSentAtMs,
     tabId: sender.tab?.id,
+    threadKey,
     durationMs: durationMs,
+    durationPrecisionMs,
+    durationOrder,
   });
 
   // 回應內容腳本
@@ -137,96 +205,6 @@ export function handleRightClick(
   return true; // 保持連接開啟，以便異步回應
 }
 
-/**
- * 根據持續時間查找匹配的項目
- *
- * @param {Object} voiceMessagesStore - 語音訊息資料存儲
- * @param {number} durationMs - 目標持續時間（毫秒）
- * @returns {Object|null} - 匹配的項目或 null
- * @private
- */
-function findItemByDuration(voiceMessagesStore, durationMs) {
-  // 方法 1: 使用 findItemByDuration 函數
-  let matchingItem = null;
-  if (typeof voiceMessagesStore.findItemByDuration === "function") {
-    logger.debug("使用 findItemByDuration 函數查找");
-    matchingItem = voiceMessagesStore.findItemByDuration(
-      voiceMessagesStore,
-      durationMs
-    );
-    logger.debug("findItemByDuration 結果", {
-      found: !!matchingItem,
-    });
-
-    if (matchingItem) {
-      logger.debug("匹配成功", {
-        phase: "findItemByDuration",
-        result: "success",
-        itemId: matchingItem.id,
-        itemDuration: matchingItem.durationMs,
-        targetDuration: durationMs,
-        difference: Math.abs(matchingItem.durationMs - durationMs),
-        hasUrl: !!matchingItem.downloadUrl,
-        isPending: !!matchingItem.isPending,
-        timestamp: new Date().toISOString(),
-      });
-      return matchingItem;
-    } else {
-      logger.debug("匹配失敗", {
-        phase: "findItemByDuration",
-        result: "failure",
-        targetDuration: durationMs,
-        timestamp: new Date().toISOString(),
-      });
-    }
-  }
-
-  // 方法 2: 直接遍歷 items 集合
-  logger.debug("直接遍歷 items 集合查找");
-  const tolerance = 5; // 容差值（毫秒）
-  let attemptCount = 0;
-  const matchStartTime = Date.now();
-
-  for (const [id, item] of voiceMessagesStore.items.entries()) {
-    attemptCount++;
-    const difference = Math.abs(item.durationMs - durationMs);
-
-    // 記錄每次匹配嘗試
-    logger.debug("匹配嘗試詳細", {
-      phase: "iteration",
-      attemptNumber: attemptCount,
-      itemId: id,
-      itemDuration: item.durationMs,
-      targetDuration: durationMs,
-      difference: difference,
-      withinTolerance: difference <= tolerance,
-      hasUrl: !!item.downloadUrl,
-      isPending: !!item.isPending,
-      timestamp: new Date().toISOString(),
-    });
-
-    if (item.durationMs && difference <= tolerance) {
-      logger.debug("找到匹配項目", {
-        durationMs: item.durationMs,
-        hasDownloadUrl: !!item.downloadUrl,
-      });
-      matchingItem = item;
-      break;
-    }
-  }
-
-  // 記錄遍歷結果
-  logger.debug("遍歷完成", {
-    phase: "iterationComplete",
-    result: matchingItem ? "success" : "failure",
-    attemptCount: attemptCount,
-    elapsedMs: Date.now() - matchStartTime,
-    timestamp: new Date().toISOString(),
-  });
-
-  return matchingItem;
-}
-
 /**
  * 輸出所有項目的持續時間和下載 URL 狀態，用於調試
  *
@@ -14,21 +14,11 @@ const logger = Logger.createModuleLogger("menu-manager");
 export function initMenuManager() {
   logger.info("初始化右鍵選單管理器");
 
-  // 創建右鍵選單項目
-  chrome.contextMenus.create(
-    {
-      id: UI_CONSTANTS.CONTEXT_MENU_ID,
-      title: UI_CONSTANTS.CONTEXT_MENU_TITLE,
-      contexts: ["all"],
-      documentUrlPatterns: ["*://*.facebook.com/*", "*://*.messenger.com/*"],
-    },
-    () => {
-      if (chrome.runtime.lastError) {
-        logger.error("創建右鍵選單失敗", chrome.runtime.lastError);
-      } else {
-        logger.info("創建右鍵選單成功");
-      }
-    }
+  // 創建右鍵選單項目：下載原始檔案，以及轉換成 WAV 後下載
+  createMenuItem(UI_CONSTANTS.CONTEXT_MENU_ID, UI_CONSTANTS.CONTEXT_MENU_TITLE);
+  createMenuItem(
+    UI_CONSTANTS.CONTEXT_MENU_WAV_ID,
+    UI_CONSTANTS.CONTEXT_MENU_WAV_TITLE
   );
 
   // 監聽右鍵選單點擊事件
@@ -38,7 +28,10 @@ export function initMenuManager() {
       pageUrl: tab?.url?.substring(0, 50) + "...",
     });
 
-    if (info.menuItemId === "downloadVoiceMessage") {
+    if (
+      info.menuItemId === UI_CONSTANTS.CONTEXT_MENU_ID ||
+      info.menuItemId === UI_CONSTANTS.CONTEXT_MENU_WAV_ID
+    ) {
       logger.debug("調用 handleMenuClick 函數");
       handleMenuClick(info, tab);
     } else {
@@ -47,6 +40,30 @@ export function initMenuManager() {
   });
 }
 
+/**
+ * 創建右鍵選單項目
+ *
+ * @param {string} id - 選單項目 ID
+ * @param {string} title - 選單項目標題
+ */
+function createMenuItem(id, title) {
+  chrome.contextMenus.create(
+    {
+      id,
+      title,
+      contexts: ["all"],
+      documentUrlPatterns: ["*://*.facebook.com/*", "*://*.messenger.com/*"],
+    },
+    () => {
+      if (chrome.runtime.lastError) {
+        logger.error("創建右鍵選單失敗", chrome.runtime.lastError);
+      } else {
+        logger.info("創建右鍵選單成功", { id });
+      }
+    }
+  );
+}
+
 /**
  * 處理右鍵選單點擊事件
  *
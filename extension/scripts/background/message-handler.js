@@ -5,19 +5,32 @@
 
 import { handleRightClick } from "./handlers/right-click-handler.js";
 import { handleElementRegistration } from "./handlers/element-registration-handler.js";
-import { handleAudioUrlRegistration } from "./handlers/audio-url-registration-handler.js";
+import {
+  handleAudioResponseReport,
+  handleAudioUrlRegistration,
+} from "./handlers/audio-url-registration-handler.js";
+import { handleMediaBinding } from "./handlers/media-binding-handler.js";
+import {
+  handlePageContextInjection,
+  handlePageContextInjectionQuery,
+} from "./handlers/page-context-handler.js";
 import {
   handleBlobUrl,
-  handleBlobContent,
+  handleBlobTransferComplete,
   handleBlobDetection,
 } from "./handlers/blob-handler.js";
 import { createDataStore } from "./data-store.js";
 import Logger from "../utils/logger.js";
 import {
   MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
   MESSAGE_SOURCES,
   MODULE_NAMES,
 } from "../utils/constants.js";
+import {
+  createErrorResponse,
+  validateMessage,
+} from "../utils/message-protocol.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.MESSAGE_HANDLER);
@@ -51,52 +64,115 @@ export function initMessageHandler(voiceMessages) {
     logger.debug("收到訊息", { message });
     logger.debug("發送者資訊", { sender });
 
-    // 根據訊息類型路由到對應的處理器
-    switch (message.action) {
-      case MESSAGE_ACTIONS.RIGHT_CLICK:
-        logger.debug("處理右鍵點擊訊息");
-        return handleRightClick(
-          voiceMessagesStore,
-          message,
-          sender,
-          sendResponse
-        );
-
-      case MESSAGE_ACTIONS.REGISTER_ELEMENT:
-        logger.debug("處理語音訊息元素註冊訊息");
-        return handleElementRegistration(
-          voiceMessagesStore,
-          message,
-          sender,
-          sendResponse
-        );
-
-      case MESSAGE_ACTIONS.REGISTER_AUDIO_URL:
-        logger.debug("處理 Audio URL 註冊訊息");
-        return handleAudioUrlRegistration(
-          voiceMessagesStore,
-          message,
-          sender,
-          sendResponse
-        );
-
-      case MESSAGE_ACTIONS.DOWNLOAD_BLOB:
-        logger.debug("處理 Blob 內容下載訊息");
-        return handleBlobContent(message, sender, sendResponse);
-
-      case MESSAGE_ACTIONS.REGISTER_BLOB_URL:
-        logger.debug("處理 Blob URL 註冊訊息");
-        return handleBlobUrl(voiceMessagesStore, message, sender, sendResponse);
-
-      case MESSAGE_ACTIONS.BLOB_DETECTED:
-        logger.debug("處理 Blob URL 偵測訊息");
-        return handleBlobDetection(message, sender, sendResponse);
-
-      default:
-        logger.warn("未處理的訊息類型", {
-          action: message.action || "無動作",
-        });
-        return false;
+    // 依協定驗證訊息，無效的訊息不交給處理器
+    const validationError = validateMessage(message);
+    if (validationError) {
+      logger.warn("拒絕無效的訊息", {
+        error: validationError.error,
+        senderUrl: sender.url,
+      });
+      sendResponse(validationError);
+      return false;
     }
+
+    // 資料已恢復時直接處理
+    if (voiceMessagesStore.isHydrated || !voiceMessagesStore.ready) {
+      return routeMessage(message, sender, sendResponse);
+    }
+
+    // Service Worker 剛重啟，等待資料從 session storage 恢復後再處理
+    logger.debug("等待資料恢復後再處理訊息", { action: message.action });
+    voiceMessagesStore.ready.then(() =>
+      routeMessage(message, sender, sendResponse)
+    );
+    return true; // 保持連接開啟，以便異步回應
   });
 }
+
+/**
+ * 根據訊息類型路由到對應的處理器
+ *
+ * @param {Object} message - 訊息物件
+ * @param {Object} sender - 發送者資訊
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+function routeMessage(message, sender, sendResponse) {
+  switch (message.action) {
+    case MESSAGE_ACTIONS.RIGHT_CLICK:
+      logger.debug("處理右鍵點擊訊息");
+      return handleRightClick(
+        voiceMessagesStore,
+        message,
+        sender,
+        sendResponse
+      );
+
+    case MESSAGE_ACTIONS.REGISTER_ELEMENT:
+      logger.debug("處理語音訊息元素註冊訊息");
+      return handleElementRegistration(
+        voiceMessagesStore,
+        message,
+        sender,
+        sendResponse
+      );
+
+    case MESSAGE_ACTIONS.REGISTER_AUDIO_URL:
+      logger.debug("處理 Audio URL 註冊訊息");
+      return handleAudioUrlRegistration(
+        voiceMessagesStore,
+        message,
+        sender,
+        sendResponse
+      );
+
+    case MESSAGE_ACTIONS.REPORT_AUDIO_RESPONSE:
+      logger.debug("處理音訊回應回報訊息");
+      return handleAudioResponseReport(
+        voiceMessagesStore,
+        message,
+        sender,
+        sendResponse
+      );
+
+    case MESSAGE_ACTIONS.BIND_MEDIA_URL:
+      logger.debug("處理媒體綁定訊息");
+      return handleMediaBinding(
+        voiceMessagesStore,
+        message,
+        sender,
+        sendResponse
+      );
+
+    case MESSAGE_ACTIONS.BLOB_TRANSFER_COMPLETE:
+      logger.debug("處理 Blob 分段傳輸完成訊息");
+      return handleBlobTransferComplete(message, sender, sendResponse);
+
+    case MESSAGE_ACTIONS.REGISTER_BLOB_URL:
+      logger.debug("處理 Blob URL 註冊訊息");
+      return handleBlobUrl(voiceMessagesStore, message, sender, sendResponse);
+
+    case MESSAGE_ACTIONS.GET_PAGE_CONTEXT_INJECTION:
+      logger.debug("處理頁面上下文注入方式查詢");
+      return handlePageContextInjectionQuery(message, sender, sendResponse);
+
+    case MESSAGE_ACTIONS.PAGE_CONTEXT_INJECTED:
+      logger.debug("處理頁面上下文注入方式回報");
+      return handlePageContextInjection(message, sender, sendResponse);
+
+    case MESSAGE_ACTIONS.BLOB_DETECTED:
+      logger.debug("處理 Blob URL 偵測訊息");
+      return handleBlobDetection(message, sender, sendResponse);
+
+    default:
+      logger.warn("未處理的訊息類型", { action: message.action });
+      sendResponse(
+        createErrorResponse(
+          MESSAGE_ERROR_CODES.UNKNOWN_ACTION,
+          "背景腳本不處理此訊息動作",
+          { action: message.action }
+        )
+      );
+      return false;
+  }
+}
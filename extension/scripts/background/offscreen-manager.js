@@ -0,0 +1,161 @@
+/**
+ * offscreen-manager.js
+ * 管理 offscreen 文件的生命週期，並將 Service Worker 無法執行的工作交給 offscreen 文件處理
+ * Service Worker 沒有 DOM，無法使用 URL.createObjectURL、Audio 或 Web Audio 解碼
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+  OFFSCREEN_CONSTANTS,
+  RPC_CONSTANTS,
+} from "../utils/constants.js";
+import { callRuntime } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.OFFSCREEN_MANAGER);
+
+// 建立中的 offscreen 文件，避免同時建立多個
+let creatingDocument = null;
+
+/**
+ * 確保 offscreen 文件已建立
+ *
+ * @returns {Promise<void>}
+ */
+export async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) {
+    return;
+  }
+
+  if (!creatingDocument) {
+    logger.debug("建立 offscreen 文件");
+    creatingDocument = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_CONSTANTS.DOCUMENT_PATH,
+        reasons: [chrome.offscreen.Reason.BLOBS],
+        justification: "Reassemble, measure and convert voice message files",
+      })
+      .finally(() => {
+        creatingDocument = null;
+      });
+  }
+
+  await creatingDocument;
+}
+
+/**
+ * 在 offscreen 文件中下載並解碼音訊，計算其持續時間
+ * 不需要任何標籤頁存在
+ *
+ * @param {string} url - 音訊 URL
+ * @returns {Promise<Object>} - { durationMs, blobType, blobSize }
+ */
+export async function getAudioDurationInOffscreen(url) {
+  const response = await sendToOffscreen(
+    MESSAGE_ACTIONS.GET_OFFSCREEN_AUDIO_DURATION,
+    { url }
+  );
+
+  return {
+    durationMs: response.durationMs,
+    blobType: response.blobType,
+    blobSize: response.blobSize,
+  };
+}
+
+/**
+ * 在 offscreen 文件中下載音訊，指定格式時一併轉換
+ * 內容以 object URL 提供，下載結束後需以 revokeObjectUrlAfterDownload 撤銷
+ *
+ * @param {string} url - 音訊 URL
+ * @param {string|null} [format] - OFFSCREEN_CONSTANTS.CONVERSION_FORMATS 中的格式，不轉換時為 null
+ * @returns {Promise<Object>} - { finalUrl, objectUrl, blobType, blobSize, headerBytes }
+ */
+export async function fetchAudioInOffscreen(url, format = null) {
+  const response = await sendToOffscreen(
+    MESSAGE_ACTIONS.FETCH_OFFSCREEN_AUDIO,
+    format ? { url, format } : { url }
+  );
+
+  return {
+    finalUrl: response.finalUrl,
+    objectUrl: response.objectUrl,
+    blobType: response.blobType,
+    blobSize: response.blobSize,
+    headerBytes: response.headerBytes,
+  };
+}
+
+/**
+ * 在下載結束後撤銷 offscreen 文件中的 object URL
+ *
+ * @param {number} downloadId - 下載 ID
+ * @param {string} objectUrl - offscreen 文件建立的 object URL
+ */
+export function revokeObjectUrlAfterDownload(downloadId, objectUrl) {
+  const listener = (delta) => {
+    if (delta.id !== downloadId || !delta.state) {
+      return;
+    }
+    if (delta.state.current === "in_progress") {
+      return;
+    }
+
+    chrome.downloads.onChanged.removeListener(listener);
+    revokeObjectUrl(objectUrl);
+  };
+
+  chrome.downloads.onChanged.addListener(listener);
+}
+
+/**
+ * 請 offscreen 文件撤銷 object URL
+ *
+ * @param {string} objectUrl - offscreen 文件建立的 object URL
+ */
+export function revokeObjectUrl(objectUrl) {
+  sendToOffscreen(MESSAGE_ACTIONS.REVOKE_OFFSCREEN_URL, { objectUrl }).catch(
+    (error) => {
+      logger.debug("撤銷 object URL 失敗", { error: error.message });
+    }
+  );
+}
+
+/**
+ * 發送訊息給 offscreen 文件並等待回應
+ *
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @returns {Promise<Object>} - offscreen 文件的成功回應
+ * @private
+ */
+async function sendToOffscreen(action, payload = {}) {
+  await ensureOffscreenDocument();
+
+  // offscreen 文件解碼音訊有自己的逾時，等待時間需要比它長
+  return callRuntime(
+    action,
+    { ...payload, target: OFFSCREEN_CONSTANTS.MESSAGE_TARGET },
+    {
+      timeout:
+        OFFSCREEN_CONSTANTS.AUDIO_DECODE_TIMEOUT +
+        RPC_CONSTANTS.DEFAULT_TIMEOUT,
+    }
+  );
+}
+
+/**
+ * 檢查 offscreen 文件是否已存在
+ *
+ * @returns {Promise<boolean>} - 已存在時返回 true
+ * @private
+ */
+async function hasOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ["OFFSCREEN_DOCUMENT"],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_CONSTANTS.DOCUMENT_PATH)],
+  });
+  return contexts.length > 0;
+}
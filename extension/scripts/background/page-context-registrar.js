@@ -0,0 +1,77 @@
+/**
+ * page-context-registrar.js
+ * 將頁面上下文腳本註冊為 MAIN world 的 document_start 內容腳本
+ * 讓攔截器在 Messenger 建立第一個 Blob URL 之前就已設置，也不受頁面 CSP 或 Trusted Types 阻擋
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  MODULE_NAMES,
+  PAGE_CONTEXT_INJECTION,
+  SUPPORTED_SITES,
+} from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.PAGE_CONTEXT_REGISTRAR);
+
+/**
+ * 註冊頁面上下文腳本
+ * 已註冊過的腳本會以目前的設定更新，確保擴充功能更新後設定一致
+ */
+export async function initPageContextRegistration() {
+  if (!chrome.scripting || !chrome.scripting.registerContentScripts) {
+    logger.warn("chrome.scripting API 不可用，頁面上下文將由內容腳本注入");
+    return;
+  }
+
+  const script = {
+    id: PAGE_CONTEXT_INJECTION.SCRIPT_ID,
+    js: ["scripts/page-context.js"],
+    matches: SUPPORTED_SITES.PATTERNS,
+    runAt: "document_start",
+    world: "MAIN",
+    persistAcrossSessions: true,
+  };
+
+  try {
+    const registeredScripts =
+      await chrome.scripting.getRegisteredContentScripts({
+        ids: [script.id],
+      });
+
+    if (registeredScripts.length > 0) {
+      await chrome.scripting.updateContentScripts([script]);
+      logger.debug("已更新頁面上下文腳本註冊");
+    } else {
+      await chrome.scripting.registerContentScripts([script]);
+      logger.info("已註冊頁面上下文腳本");
+    }
+  } catch (error) {
+    logger.error("註冊頁面上下文腳本失敗，將由內容腳本注入", {
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 檢查頁面上下文腳本是否已註冊為 MAIN world 內容腳本
+ * 內容腳本以此判斷是否需要改以 script 標籤注入，頁面腳本無法影響這個結果
+ *
+ * @returns {Promise<boolean>} - 已註冊時返回 true
+ */
+export async function isPageContextRegistered() {
+  if (!chrome.scripting || !chrome.scripting.getRegisteredContentScripts) {
+    return false;
+  }
+
+  try {
+    const registeredScripts =
+      await chrome.scripting.getRegisteredContentScripts({
+        ids: [PAGE_CONTEXT_INJECTION.SCRIPT_ID],
+      });
+    return registeredScripts.length > 0;
+  } catch (error) {
+    logger.error("查詢頁面上下文腳本註冊失敗", { error: error.message });
+    return false;
+  }
+}
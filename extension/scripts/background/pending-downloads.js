@@ -0,0 +1,332 @@
+/**
+ * pending-downloads.js
+ * 管理右鍵點擊時尚未擷取到 URL 的下載工作
+ * 當符合的 URL 之後被註冊時自動完成下載，逾時則通知使用者
+ * 工作只保存在記憶體中，Service Worker 重啟後會通知等待中的標籤頁重新下載
+ */
+
+import { findBestMatch } from "./voice-message-matcher.js";
+import { notifyTab } from "./tab-notifier.js";
+import { Logger } from "../utils/logger.js";
+import {
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+  STORAGE_CONSTANTS,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+import { callTab } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.PENDING_DOWNLOADS);
+
+// 以工作鍵為鍵的等待中下載工作
+const pendingJobs = new Map();
+
+/**
+ * 初始化等待中的下載工作管理
+ * 完成下載的回呼無法保存，Service Worker 重啟前的工作已無法完成，
+ * 改以錯誤提示取代這些標籤頁中持續顯示的「等待音訊」提示
+ *
+ * @returns {Promise<void>}
+ */
+export async function initPendingDownloads() {
+  let interruptedJobs = [];
+  try {
+    const result = await chrome.storage.session.get(
+      STORAGE_CONSTANTS.PENDING_DOWNLOADS_KEY
+    );
+    interruptedJobs = result[STORAGE_CONSTANTS.PENDING_DOWNLOADS_KEY] || [];
+  } catch (error) {
+    logger.error("讀取等待中的下載工作時發生錯誤", { error: error.message });
+    return;
+  }
+
+  // 讀取期間建立的工作仍在等待，不需要通知
+  const interruptedTabIds = new Set(
+    interruptedJobs
+      .filter((job) => !pendingJobs.has(job.key))
+      .map((job) => job.tabId)
+  );
+  persistPendingJobs();
+
+  for (const tabId of interruptedTabIds) {
+    notifyTab(
+      tabId,
+      "The download was interrupted. Please try downloading again.",
+      "error"
+    );
+  }
+
+  if (interruptedTabIds.size > 0) {
+    logger.info("已通知中斷的下載工作", {
+      tabsCount: interruptedTabIds.size,
+    });
+  }
+}
+
+/**
+ * 建立等待 URL 的下載工作
+ * 同一個元素（或同一個持續時間）只保留最新的一個工作
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} info - 右鍵點擊資訊，包含 elementId、durationMs、durationPrecisionMs、durationOrder、tabId、threadKey
+ * @param {Function} onResolved - 找到 URL 時呼叫，參數為包含 downloadUrl 的下載資訊
+ */
+export function createPendingDownload(voiceMessages, info, onResolved) {
+  const key = getJobKey(info);
+  cancelPendingDownload(key);
+
+  const job = {
+    key,
+    info,
+    onResolved,
+    createdAt: Date.now(),
+    timer: null,
+    unsubscribe: null,
+  };
+
+  // 等待期間可能已經有符合的 URL
+  if (tryResolveJob(voiceMessages, job)) {
+    return;
+  }
+
+  job.timer = setTimeout(
+    () => expireJob(voiceMessages, job),
+    TIME_CONSTANTS.PENDING_DOWNLOAD_TIMEOUT
+  );
+  job.unsubscribe = voiceMessages.subscribeToItemUpdates(
+    voiceMessages,
+    (item) => {
+      if (isRelevantUpdate(job, item)) {
+        tryResolveJob(voiceMessages, job);
+      }
+    }
+  );
+  pendingJobs.set(key, job);
+  persistPendingJobs();
+
+  logger.info("已建立等待中的下載工作", {
+    key,
+    durationMs: info.durationMs,
+    tabId: info.tabId,
+  });
+
+  notifyTab(
+    info.tabId,
+    "Waiting for audio… The download will start as soon as the voice message loads.",
+    "info",
+    { persistent: true }
+  );
+
+  // 請頁面以靜音方式載入該語音訊息的音訊，讓 URL 盡快出現
+  // 無法靜音載入時不點擊播放按鈕，改請使用者自行播放
+  if (info.elementId) {
+    callTab(info.tabId, MESSAGE_ACTIONS.RELOAD_MEDIA, {
+      elementId: info.elementId,
+    })
+      .then(({ primed }) => {
+        if (!primed && pendingJobs.get(key) === job) {
+          notifyTab(
+            info.tabId,
+            "Couldn't load this voice message automatically. Play it once and the download will start.",
+            "info",
+            { persistent: true }
+          );
+        }
+      })
+      .catch((error) => {
+        logger.debug("請求載入語音訊息失敗", {
+          code: error.code,
+          error: error.message,
+        });
+      });
+  }
+}
+
+/**
+ * 取消等待中的下載工作
+ *
+ * @param {string} key - 工作鍵
+ * @returns {boolean} - 如果有工作被取消則返回 true
+ */
+export function cancelPendingDownload(key) {
+  const job = pendingJobs.get(key);
+  if (!job) {
+    return false;
+  }
+
+  finishJob(job);
+  logger.debug("已取消等待中的下載工作", { key });
+  return true;
+}
+
+/**
+ * 取得下載工作的鍵，優先使用元素 ID，沒有時使用持續時間
+ *
+ * @param {Object} info - 右鍵點擊資訊
+ * @returns {string} - 工作鍵
+ * @private
+ */
+function getJobKey(info) {
+  return info.elementId
+    ? `element:${info.elementId}`
+    : `duration:${info.tabId}:${info.durationMs}`;
+}
+
+/**
+ * 判斷項目更新是否可能讓工作找到下載 URL
+ * 匹配器只使用同一個標籤頁或標籤頁未知的 URL，其他標籤頁的更新不需要重新匹配
+ *
+ * @param {Object} job - 下載工作
+ * @param {Object} item - 更新的項目
+ * @returns {boolean} - 需要重新匹配時返回 true
+ * @private
+ */
+function isRelevantUpdate(job, item) {
+  if (!item.downloadUrl) {
+    return false;
+  }
+
+  return (
+    item.id === job.info.elementId ||
+    item.tabId === undefined ||
+    item.tabId === null ||
+    item.tabId === job.info.tabId
+  );
+}
+
+/**
+ * 嘗試為工作找到下載 URL，找到時完成工作
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} job - 下載工作
+ * @returns {boolean} - 如果工作已完成則返回 true
+ * @private
+ */
+function tryResolveJob(voiceMessages, job) {
+  const downloadInfo = findDownloadInfo(voiceMessages, job.info);
+  if (!downloadInfo) {
+    return false;
+  }
+
+  finishJob(job);
+
+  logger.info("等待中的下載工作已找到 URL", {
+    key: job.key,
+    waitedMs: Date.now() - job.createdAt,
+  });
+
+  notifyTab(job.info.tabId, "Audio found. Downloading…");
+  job.onResolved({ ...job.info, ...downloadInfo });
+  return true;
+}
+
+/**
+ * 查找工作對應的下載資訊
+ * 先使用已綁定到元素的 URL，再使用匹配器；無法確定時繼續等待
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} info - 右鍵點擊資訊
+ * @returns {Object|null} - { downloadUrl, lastModified, sentAtMs }，找不到時返回 null
+ * @private
+ */
+function findDownloadInfo(voiceMessages, info) {
+  const elementItem = info.elementId
+    ? voiceMessages.items.get(info.elementId)
+    : null;
+  if (elementItem && elementItem.downloadUrl) {
+    return pickDownloadInfo(elementItem);
+  }
+
+  if (!info.durationMs) {
+    return null;
+  }
+
+  const { item, ambiguous } = findBestMatch(voiceMessages, {
+    elementId: info.elementId,
+    durationMs: info.durationMs,
+    durationPrecisionMs: info.durationPrecisionMs,
+    tabId: info.tabId,
+    threadKey: info.threadKey,
+    durationOrder: info.durationOrder,
+  });
+
+  return item && !ambiguous ? pickDownloadInfo(item) : null;
+}
+
+/**
+ * 從項目取出下載需要的資訊
+ *
+ * @param {Object} item - 語音訊息項目
+ * @returns {Object} - { downloadUrl, lastModified, sentAtMs }
+ * @private
+ */
+function pickDownloadInfo(item) {
+  return {
+    downloadUrl: item.downloadUrl,
+    lastModified: item.lastModified || null,
+    sentAtMs: item.sentAtMs || null,
+  };
+}
+
+/**
+ * 處理逾時的工作
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} job - 下載工作
+ * @private
+ */
+function expireJob(voiceMessages, job) {
+  // 最後再檢查一次，避免錯過剛好在逾時前註冊的 URL
+  if (tryResolveJob(voiceMessages, job)) {
+    return;
+  }
+
+  finishJob(job);
+
+  logger.warn("等待語音訊息 URL 逾時", {
+    key: job.key,
+    durationMs: job.info.durationMs,
+  });
+
+  notifyTab(
+    job.info.tabId,
+    "Couldn't load this voice message. Play it once, then try downloading again.",
+    "error"
+  );
+}
+
+/**
+ * 結束工作並釋放計時器與訂閱
+ *
+ * @param {Object} job - 下載工作
+ * @private
+ */
+function finishJob(job) {
+  clearTimeout(job.timer);
+  if (job.unsubscribe) {
+    job.unsubscribe();
+  }
+  if (pendingJobs.get(job.key) === job) {
+    pendingJobs.delete(job.key);
+    persistPendingJobs();
+  }
+}
+
+/**
+ * 將等待中工作所在的標籤頁寫入 chrome.storage.session，供 Service Worker 重啟後通知
+ *
+ * @private
+ */
+function persistPendingJobs() {
+  const jobs = Array.from(pendingJobs.values()).map((job) => ({
+    key: job.key,
+    tabId: job.info.tabId,
+  }));
+
+  chrome.storage.session
+    .set({ [STORAGE_CONSTANTS.PENDING_DOWNLOADS_KEY]: jobs })
+    .catch((error) => {
+      logger.error("寫入等待中的下載工作時發生錯誤", { error: error.message });
+    });
+}
@@ -0,0 +1,148 @@
+/**
+ * tab-lifecycle.js
+ * 依標籤頁的關閉和對話切換管理語音訊息資料的生命週期
+ * 確保前一個對話擷取到的 URL 不會被提供給目前對話中的滑桿
+ */
+
+import { isKnownTabId, rehydrateDataStore } from "./data-store.js";
+import { Logger } from "../utils/logger.js";
+import { MODULE_NAMES, SUPPORTED_SITES } from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.TAB_LIFECYCLE);
+
+// 以標籤頁 ID 為鍵，記錄每個標籤頁目前所在的對話
+const tabThreads = new Map();
+
+/**
+ * 初始化標籤頁生命週期管理
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ */
+export function initTabLifecycle(voiceMessages) {
+  // Service Worker 重啟後重新取得已開啟標籤頁的對話
+  chrome.tabs.query({ url: SUPPORTED_SITES.PATTERNS }, (tabs) => {
+    for (const tab of tabs || []) {
+      if (!tabThreads.has(tab.id)) {
+        tabThreads.set(tab.id, getThreadKey(tab.url));
+      }
+    }
+    logger.debug("已記錄現有標籤頁的對話", { tabsCount: tabThreads.size });
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    handleTabRemoved(voiceMessages, tabId);
+  });
+
+  // 對話切換是站內導覽（history.pushState），也會觸發 onUpdated 並帶有新的 URL
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.url) {
+      handleTabUrlChanged(voiceMessages, tabId, changeInfo.url);
+    }
+  });
+
+  logger.info("標籤頁生命週期管理已初始化");
+}
+
+/**
+ * 從網址取得對話識別碼
+ *
+ * @param {string} url - 頁面網址
+ * @returns {string|null} - 對話識別碼，如果不是對話頁面則返回 null
+ */
+export function getThreadKey(url) {
+  if (!url) {
+    return null;
+  }
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    const match = pathname.match(SUPPORTED_SITES.THREAD_URL_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    const site = hostname.endsWith("messenger.com") ? "messenger" : "facebook";
+    const [, e2ee, threadId] = match;
+    return `${site}:${e2ee ? "e2ee:" : ""}${threadId}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 取得標籤頁目前所在的對話識別碼
+ *
+ * @param {number} tabId - 標籤頁 ID
+ * @returns {string|null} - 對話識別碼，未知或不是對話頁面時返回 null
+ */
+export function getTabThreadKey(tabId) {
+  if (!isKnownTabId(tabId)) {
+    return null;
+  }
+
+  return tabThreads.get(tabId) ?? null;
+}
+
+/**
+ * 取得訊息發送者所在的對話識別碼
+ * 內容腳本會附上發送當下的頁面網址，比標籤頁記錄更能反映元素所屬的對話
+ *
+ * @param {Object} sender - 發送者資訊
+ * @param {string} [pageUrl] - 內容腳本提供的頁面網址
+ * @returns {string|null} - 對話識別碼，未知或不是對話頁面時返回 null
+ */
+export function getSenderThreadKey(sender, pageUrl) {
+  if (pageUrl) {
+    return getThreadKey(pageUrl);
+  }
+
+  return getTabThreadKey(sender.tab?.id);
+}
+
+/**
+ * 處理標籤頁關閉，移除該標籤頁的所有項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {number} tabId - 標籤頁 ID
+ * @private
+ */
+async function handleTabRemoved(voiceMessages, tabId) {
+  tabThreads.delete(tabId);
+
+  await rehydrateDataStore(voiceMessages);
+  const removedCount = voiceMessages.removeItemsForTab(voiceMessages, tabId);
+
+  logger.debug("標籤頁已關閉，移除其語音訊息項目", { tabId, removedCount });
+}
+
+/**
+ * 處理標籤頁網址變更
+ * 切換到不同對話時，移除不屬於新對話的項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {number} tabId - 標籤頁 ID
+ * @param {string} url - 新網址
+ * @private
+ */
+async function handleTabUrlChanged(voiceMessages, tabId, url) {
+  const threadKey = getThreadKey(url);
+  if (tabThreads.has(tabId) && tabThreads.get(tabId) === threadKey) {
+    return;
+  }
+
+  tabThreads.set(tabId, threadKey);
+
+  await rehydrateDataStore(voiceMessages);
+  const removedCount = voiceMessages.removeItemsForTab(
+    voiceMessages,
+    tabId,
+    (item) => item.threadKey !== threadKey
+  );
+
+  logger.debug("標籤頁已切換對話，移除前一個對話的項目", {
+    tabId,
+    threadKey,
+    removedCount,
+  });
+}
@@ -0,0 +1,39 @@
+/**
+ * tab-notifier.js
+ * 在標籤頁中顯示提示訊息，讓使用者知道下載的狀態
+ */
+
+import { Logger } from "../utils/logger.js";
+import { MESSAGE_ACTIONS, MODULE_NAMES } from "../utils/constants.js";
+import { callTab } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.TAB_NOTIFIER);
+
+/**
+ * 通知內容腳本在頁面上顯示提示訊息
+ *
+ * @param {number|undefined} tabId - 標籤頁 ID
+ * @param {string} text - 提示文字
+ * @param {string} [level="info"] - 提示等級：info、warning 或 error
+ * @param {Object} [options] - 顯示選項
+ * @param {boolean} [options.persistent=false] - 是否持續顯示直到被下一個提示取代
+ */
+export function notifyTab(tabId, text, level = "info", options = {}) {
+  if (tabId === undefined || tabId === null || tabId < 0) {
+    logger.debug("沒有可通知的標籤頁", { text });
+    return;
+  }
+
+  callTab(tabId, MESSAGE_ACTIONS.SHOW_NOTIFICATION, {
+    text,
+    level,
+    persistent: !!options.persistent,
+  }).catch((error) => {
+    logger.debug("發送提示訊息到標籤頁失敗", {
+      tabId,
+      code: error.code,
+      error: error.message,
+    });
+  });
+}
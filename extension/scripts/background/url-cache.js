@@ -0,0 +1,233 @@
+/**
+ * url-cache.js
+ * 記錄各標籤頁已處理過的語音訊息 URL，避免同一個音訊檔案被重複分析
+ * 以標籤頁 ID 和正規化後的資源識別碼為鍵，簽名參數（oh=、oe= 等）更新後仍視為同一個檔案；
+ * 其他標籤頁載入同一個檔案時仍會處理，讓每個標籤頁都有自己的項目
+ * 每個項目各自在 TIME_CONSTANTS.URL_CACHE_EXPIRATION 後過期，並保存在 chrome.storage.session 中
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  MODULE_NAMES,
+  STORAGE_CONSTANTS,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+import { isCdnHost } from "../utils/url-utils.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.URL_CACHE);
+
+// 簽名和追蹤用的查詢參數，不影響資源本身
+const VOLATILE_QUERY_PARAMS = /^(oh|oe|_nc_.*|ccb|efg|stp)$/;
+
+// 以標籤頁 ID 和資源識別碼組成的鍵，值為過期時間（毫秒）
+const cacheEntries = new Map();
+
+// 從 session storage 恢復的 Promise
+let hydration = null;
+
+/**
+ * 從 chrome.storage.session 恢復快取
+ * 恢復前已標記的項目會保留並與恢復的資料合併
+ *
+ * @returns {Promise<void>} - 恢復完成的 Promise
+ */
+export function initUrlCache() {
+  if (hydration) {
+    return hydration;
+  }
+
+  hydration = (async () => {
+    try {
+      const result = await chrome.storage.session.get(
+        STORAGE_CONSTANTS.URL_CACHE_KEY
+      );
+      const storedEntries = result[STORAGE_CONSTANTS.URL_CACHE_KEY] || {};
+      const now = Date.now();
+
+      for (const [key, expiresAt] of Object.entries(storedEntries)) {
+        if (expiresAt > now && !cacheEntries.has(key)) {
+          cacheEntries.set(key, expiresAt);
+        }
+      }
+
+      logger.debug("已從 session storage 恢復 URL 快取", {
+        cacheSize: cacheEntries.size,
+      });
+    } catch (error) {
+      logger.error("從 session storage 恢復 URL 快取時發生錯誤", {
+        error: error.message,
+      });
+    }
+  })();
+
+  return hydration;
+}
+
+/**
+ * 從 URL 取得正規化的資源識別碼
+ * CDN 的主機名稱會依地區變化，路徑才能識別檔案，因此只使用路徑
+ *
+ * @param {string} url - 語音訊息 URL
+ * @returns {string} - 資源識別碼，URL 無法解析時返回原始 URL
+ */
+export function getAssetKey(url) {
+  try {
+    const parsedUrl = new URL(url);
+
+    if (isCdnHost(parsedUrl.hostname)) {
+      return `cdn:${parsedUrl.pathname}`;
+    }
+
+    for (const param of Array.from(parsedUrl.searchParams.keys())) {
+      if (VOLATILE_QUERY_PARAMS.test(param)) {
+        parsedUrl.searchParams.delete(param);
+      }
+    }
+    parsedUrl.hash = "";
+    return parsedUrl.toString();
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * 從簽名 CDN URL 的 oe= 參數取得過期時間
+ * oe 是以十六進位表示的 Unix 時間（秒）
+ *
+ * @param {string} url - 語音訊息 URL
+ * @returns {number|null} - 過期時間（毫秒），沒有 oe 參數或無法解析時返回 null
+ */
+export function getUrlExpiry(url) {
+  try {
+    const expiryHex = new URL(url).searchParams.get("oe");
+    if (!expiryHex || !/^[0-9a-f]+$/i.test(expiryHex)) {
+      return null;
+    }
+
+    return parseInt(expiryHex, 16) * 1000;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 判斷簽名 URL 是否已過期或即將過期
+ *
+ * @param {string} url - 語音訊息 URL
+ * @param {number} [marginMs=TIME_CONSTANTS.URL_EXPIRY_MARGIN] - 提前視為過期的時間（毫秒）
+ * @returns {boolean} - 如果已過期或即將過期則返回 true，沒有過期時間的 URL 返回 false
+ */
+export function isUrlExpiringSoon(
+  url,
+  marginMs = TIME_CONSTANTS.URL_EXPIRY_MARGIN
+) {
+  const expiresAtMs = getUrlExpiry(url);
+  return expiresAtMs !== null && expiresAtMs - Date.now() <= marginMs;
+}
+
+/**
+ * 檢查 URL 對應的資源是否已在指定的標籤頁處理過且尚未過期
+ *
+ * @param {string} url - 語音訊息 URL
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
+ * @returns {boolean} - 如果已處理過則返回 true
+ */
+export function isUrlProcessed(url, tabId) {
+  const key = getCacheKey(url, tabId);
+  const expiresAt = cacheEntries.get(key);
+
+  if (!expiresAt) {
+    return false;
+  }
+
+  if (expiresAt <= Date.now()) {
+    cacheEntries.delete(key);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * 將 URL 對應的資源標記為已在指定的標籤頁處理
+ *
+ * @param {string} url - 語音訊息 URL
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
+ * @param {number} [ttlMs=TIME_CONSTANTS.URL_CACHE_EXPIRATION] - 存活時間（毫秒）
+ */
+export function markUrlProcessed(
+  url,
+  tabId,
+  ttlMs = TIME_CONSTANTS.URL_CACHE_EXPIRATION
+) {
+  const key = getCacheKey(url, tabId);
+  cacheEntries.set(key, Date.now() + ttlMs);
+
+  logger.debug("URL 已標記為已處理", {
+    key: key.substring(0, 80),
+    cacheSize: cacheEntries.size,
+  });
+
+  persistUrlCache();
+}
+
+/**
+ * 移除已過期的快取項目
+ *
+ * @returns {Promise<number>} - 被移除的項目數量
+ */
+export async function pruneExpiredUrls() {
+  await initUrlCache();
+
+  const now = Date.now();
+  let removedCount = 0;
+
+  for (const [key, expiresAt] of cacheEntries.entries()) {
+    if (expiresAt <= now) {
+      cacheEntries.delete(key);
+      removedCount++;
+    }
+  }
+
+  if (removedCount > 0) {
+    await persistUrlCache();
+    logger.debug("已移除過期的 URL 快取項目", {
+      removedCount,
+      cacheSize: cacheEntries.size,
+    });
+  }
+
+  return removedCount;
+}
+
+/**
+ * 取得快取的鍵
+ *
+ * @param {string} url - 語音訊息 URL
+ * @param {number} tabId - 標籤頁 ID
+ * @returns {string} - 快取的鍵
+ * @private
+ */
+function getCacheKey(url, tabId) {
+  return `${tabId}|${getAssetKey(url)}`;
+}
+
+/**
+ * 將快取寫入 chrome.storage.session
+ * 在恢復完成後才寫入，避免覆蓋尚未讀取的資料
+ *
+ * @returns {Promise<void>}
+ * @private
+ */
+async function persistUrlCache() {
+  await initUrlCache();
+
+  try {
+    await chrome.storage.session.set({
+      [STORAGE_CONSTANTS.URL_CACHE_KEY]: Object.fromEntries(cacheEntries),
+    });
+  } catch (error) {
+    logger.error("寫入 URL 快取時發生錯誤", { error: error.message });
+  }
+}
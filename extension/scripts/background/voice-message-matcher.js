@@ -0,0 +1,352 @@
+/**
+ * voice-message-matcher.js
+ * 根據多種訊號為語音訊息元素尋找對應的下載 URL
+ * 當多則語音訊息持續時間相同且無法區分時，回報為無法判斷，而不是靜默地猜測
+ */
+
+import {
+  getDurationCloseness,
+  isDurationMatch,
+} from "../utils/duration-utils.js";
+import { getAssetKey } from "./url-cache.js";
+import { Logger } from "../utils/logger.js";
+import { MATCHING_CONSTANTS, MODULE_NAMES } from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.VOICE_MESSAGE_MATCHER);
+
+/**
+ * 為語音訊息元素尋找最符合的下載 URL 項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} target - 要匹配的語音訊息元素資訊
+ * @param {string} [target.elementId] - 元素 ID
+ * @param {number} target.durationMs - 持續時間（毫秒）
+ * @param {number} [target.durationPrecisionMs] - 持續時間的精度（毫秒），未提供時視為精確到毫秒
+ * @param {number} [target.tabId] - 元素所在的標籤頁 ID
+ * @param {string} [target.threadKey] - 元素所在的對話識別碼
+ * @param {Object} [target.durationOrder] - 元素在同持續時間滑桿中的 DOM 順序 { index, count }
+ * @returns {Object} - { item, ambiguous, candidates }，item 為最佳候選，ambiguous 表示無法確定
+ */
+export function findBestMatch(voiceMessages, target) {
+  const groups = groupByAsset(findCandidates(voiceMessages, target));
+
+  if (groups.length === 0) {
+    return { item: null, ambiguous: false, candidates: [] };
+  }
+
+  // 頁面上同持續時間的語音訊息數量，未提供時視為只有一則
+  const expectedCount = target.durationOrder ? target.durationOrder.count : 1;
+
+  if (groups.length === 1) {
+    // 頁面上有多則相同持續時間的語音訊息，但只擷取到一個 URL，無法確定屬於哪一則
+    const ambiguous = expectedCount > 1;
+    return { item: groups[0].item, ambiguous, candidates: groups };
+  }
+
+  // 多個不同的語音訊息符合條件，依各項訊號評分
+  const scored = scoreGroups(groups, target).sort((a, b) => b.score - a.score);
+  const [best, second] = scored;
+  const ambiguous =
+    best.score - second.score < MATCHING_CONSTANTS.MIN_SCORE_GAP;
+
+  logger.debug("多個候選項目評分結果", {
+    elementId: target.elementId,
+    durationMs: target.durationMs,
+    ambiguous,
+    scores: scored.map((group) => ({
+      id: group.item.id,
+      score: group.score,
+      signals: group.signals,
+    })),
+  });
+
+  return { item: best.item, ambiguous, candidates: scored };
+}
+
+/**
+ * 找出可以確定對應到指定下載 URL 項目的元素項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} itemId - 下載 URL 項目的 ID
+ * @returns {Object[]} - 可確定對應的元素項目陣列
+ */
+export function findElementsForItem(voiceMessages, itemId) {
+  const sourceItem = voiceMessages.items.get(itemId);
+  if (!sourceItem || !sourceItem.isPending) {
+    return [];
+  }
+
+  const elements = [];
+  for (const item of voiceMessages.items.values()) {
+    // 已由媒體元素確切綁定的元素不需要依持續時間匹配
+    if (
+      item.isPending ||
+      item.isExactBinding ||
+      !isDurationMatch(
+        item.durationMs,
+        sourceItem.durationMs,
+        item.durationPrecisionMs,
+        sourceItem.durationPrecisionMs
+      )
+    ) {
+      continue;
+    }
+
+    const match = findBestMatch(voiceMessages, {
+      elementId: item.id,
+      durationMs: item.durationMs,
+      durationPrecisionMs: item.durationPrecisionMs,
+      tabId: item.tabId,
+      threadKey: item.threadKey,
+      durationOrder: item.durationOrder,
+    });
+
+    if (match.item && match.item.id === itemId && !match.ambiguous) {
+      elements.push(item);
+    }
+  }
+
+  return elements;
+}
+
+/**
+ * 找出持續時間符合且有下載 URL 的擷取項目
+ * 元素項目的 URL 是匹配結果而非擷取來源，因此不列入候選
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} target - 要匹配的語音訊息元素資訊
+ * @returns {Object[]} - 候選項目陣列
+ * @private
+ */
+function findCandidates(voiceMessages, target) {
+  const candidates = [];
+  const boundAssetKeys = getExactlyBoundAssetKeys(voiceMessages, target);
+
+  for (const item of voiceMessages.items.values()) {
+    if (!item.isPending || !item.downloadUrl) {
+      continue;
+    }
+
+    // 已確定屬於其他元素的檔案不可能屬於這個元素
+    if (boundAssetKeys.has(getAssetKey(item.downloadUrl))) {
+      continue;
+    }
+
+    if (
+      !isDurationMatch(
+        item.durationMs,
+        target.durationMs,
+        item.durationPrecisionMs,
+        target.durationPrecisionMs
+      )
+    ) {
+      continue;
+    }
+
+    // 來自其他標籤頁的 URL 不可能屬於這個元素
+    if (isDifferentTab(item.tabId, target.tabId)) {
+      continue;
+    }
+
+    // 前一個對話擷取到的 URL 不可能屬於目前對話的元素
+    if (
+      item.threadKey &&
+      target.threadKey &&
+      item.threadKey !== target.threadKey
+    ) {
+      continue;
+    }
+
+    candidates.push(item);
+  }
+
+  return candidates;
+}
+
+/**
+ * 取得同一個標籤頁中已由媒體元素確切綁定到其他元素的檔案識別碼
+ * 同一個檔案可能在多個標籤頁中開啟，其他標籤頁的綁定不影響這個標籤頁的候選項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {Object} target - 要匹配的語音訊息元素資訊
+ * @returns {Set<string>} - 檔案識別碼集合
+ * @private
+ */
+function getExactlyBoundAssetKeys(voiceMessages, target) {
+  const assetKeys = new Set();
+
+  for (const item of voiceMessages.items.values()) {
+    if (
+      item.isExactBinding &&
+      item.id !== target.elementId &&
+      !isDifferentTab(item.tabId, target.tabId)
+    ) {
+      assetKeys.add(getAssetKey(item.downloadUrl));
+    }
+  }
+
+  return assetKeys;
+}
+
+/**
+ * 將屬於同一個語音訊息的候選項目合併為一組
+ * 同一則語音訊息可能同時以 CDN URL 和 Blob URL 被擷取
+ *
+ * @param {Object[]} candidates - 候選項目陣列
+ * @returns {Object[]} - 分組陣列，每組包含代表項目 item 和所有成員 members
+ * @private
+ */
+function groupByAsset(candidates) {
+  const groups = [];
+
+  for (const candidate of candidates) {
+    const group = groups.find((existing) =>
+      existing.members.some((member) => isSameAsset(member, candidate))
+    );
+
+    if (group) {
+      group.members.push(candidate);
+      group.item = pickPreferredItem(group.members);
+    } else {
+      groups.push({ item: candidate, members: [candidate] });
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * 判斷兩個項目是否為同一個語音訊息檔案
+ *
+ * @param {Object} a - 項目 A
+ * @param {Object} b - 項目 B
+ * @returns {boolean} - 如果為同一個檔案則返回 true
+ * @private
+ */
+function isSameAsset(a, b) {
+  if (a.downloadUrl === b.downloadUrl) {
+    return true;
+  }
+  if (a.sentAtMs && b.sentAtMs) {
+    return a.sentAtMs === b.sentAtMs;
+  }
+  // 持續時間相同且大小完全一致，幾乎可以確定是同一個檔案
+  return !!a.blobSize && a.blobSize === b.blobSize;
+}
+
+/**
+ * 從同一個語音訊息的多個項目中選出最適合下載的項目
+ * 優先使用可直接下載的 CDN URL，其次使用最新擷取的項目
+ *
+ * @param {Object[]} members - 同一組的項目
+ * @returns {Object} - 選出的項目
+ * @private
+ */
+function pickPreferredItem(members) {
+  return [...members].sort((a, b) => {
+    const aIsBlob = a.downloadUrl.startsWith("blob:");
+    const bIsBlob = b.downloadUrl.startsWith("blob:");
+    if (aIsBlob !== bIsBlob) {
+      return aIsBlob ? 1 : -1;
+    }
+    return b.timestamp - a.timestamp;
+  })[0];
+}
+
+/**
+ * 為每一組候選計算分數
+ *
+ * @param {Object[]} groups - 候選分組
+ * @param {Object} target - 要匹配的語音訊息元素資訊
+ * @returns {Object[]} - 加上 score 和 signals 的分組
+ * @private
+ */
+function scoreGroups(groups, target) {
+  const { WEIGHTS } = MATCHING_CONSTANTS;
+  const orderedGroup = findGroupByDomOrder(groups, target.durationOrder);
+
+  return groups.map((group) => {
+    const signals = {};
+
+    // 持續時間越接近分數越高（依兩個來源的精確度正規化）
+    signals.duration =
+      WEIGHTS.DURATION *
+      getDurationCloseness(
+        group.item.durationMs,
+        target.durationMs,
+        group.item.durationPrecisionMs,
+        target.durationPrecisionMs
+      );
+
+    // 同一個標籤頁擷取的 URL 較可信
+    signals.tab =
+      target.tabId !== undefined &&
+      group.members.some((member) => member.tabId === target.tabId)
+        ? WEIGHTS.SAME_TAB
+        : 0;
+
+    // 與 DOM 順序一致
+    signals.order = 0;
+    if (orderedGroup && orderedGroup.group === group) {
+      signals.order = orderedGroup.bySentTime
+        ? WEIGHTS.SEND_ORDER
+        : WEIGHTS.CAPTURE_ORDER;
+    }
+
+    const score = signals.duration + signals.tab + signals.order;
+    return { ...group, score, signals };
+  });
+}
+
+/**
+ * 根據元素在 DOM 中的順序找出對應的候選分組
+ * 對話中的語音訊息依發送時間排列，因此第 N 個滑桿對應第 N 個發送的語音訊息
+ * 只有在每組都有發送時間時才是可靠的訊號，否則退而使用擷取順序
+ *
+ * @param {Object[]} groups - 候選分組
+ * @param {Object} [durationOrder] - 元素在同持續時間滑桿中的順序 { index, count }
+ * @returns {Object|null} - { group, bySentTime }，如果無法使用順序訊號則返回 null
+ * @private
+ */
+function findGroupByDomOrder(groups, durationOrder) {
+  if (!durationOrder || durationOrder.count !== groups.length) {
+    return null;
+  }
+
+  const bySentTime = groups.every((group) =>
+    group.members.some((member) => member.sentAtMs)
+  );
+
+  const getOrderKey = (group) => {
+    if (bySentTime) {
+      return Math.min(
+        ...group.members.filter((m) => m.sentAtMs).map((m) => m.sentAtMs)
+      );
+    }
+    return Math.min(...group.members.map((m) => m.timestamp));
+  };
+
+  const sorted = [...groups].sort((a, b) => getOrderKey(a) - getOrderKey(b));
+  const group = sorted[durationOrder.index];
+
+  return group ? { group, bySentTime } : null;
+}
+
+/**
+ * 判斷兩個標籤頁 ID 是否明確不同
+ *
+ * @param {number|undefined} tabIdA - 標籤頁 ID A
+ * @param {number|undefined} tabIdB - 標籤頁 ID B
+ * @returns {boolean} - 兩者皆已知且不同時返回 true
+ * @private
+ */
+function isDifferentTab(tabIdA, tabIdB) {
+  return (
+    tabIdA !== undefined &&
+    tabIdA !== null &&
+    tabIdB !== undefined &&
+    tabIdB !== null &&
+    tabIdA !== tabIdB
+  );
+}
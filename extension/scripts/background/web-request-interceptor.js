@@ -3,7 +3,21 @@
  * 使用 Chrome 的 webRequest API 監控網路請求，用於攔截語音訊息的下載 URL
  */
 
-import { isLikelyVoiceMessage } from "../page-context/audio-analyzer.js";
+import {
+  isLikelyVoiceMessage,
+  parseAudioclipFilename,
+} from "../page-context/audio-analyzer.js";
+import { notifyElementUpdated } from "./handlers/element-registration-handler.js";
+import { isKnownTabId } from "./data-store.js";
+import { getTabThreadKey } from "./tab-lifecycle.js";
+import { registerAlarmTask } from "./alarm-manager.js";
+import { getAudioDurationInOffscreen } from "./offscreen-manager.js";
+import {
+  initUrlCache,
+  isUrlProcessed,
+  markUrlProcessed,
+  pruneExpiredUrls,
+} from "./url-cache.js";
 import { Logger } from "../utils/logger.js";
 import {
   MODULE_NAMES,
@@ -11,13 +25,13 @@ import {
   MESSAGE_ACTIONS,
   SUPPORTED_SITES,
   TIME_CONSTANTS,
+  ALARM_NAMES,
+  DURATION_PRECISION,
 } from "../utils/constants.js";
+import { callTab } from "../utils/rpc.js";
 
 const logger = Logger.createModuleLogger(MODULE_NAMES.WEB_REQUEST);
 
-// 使用 Set 結構來儲存已處理過的 URL
-let processedUrls = new Set();
-
 // ================================================
 // 公開函數
 // ================================================
@@ -36,6 +50,9 @@ export function initWebRequestInterceptor(voiceMessages) {
       return;
     }
 
+    // 恢復 Service Worker 重啟前已處理過的 URL
+    initUrlCache();
+
     // 設置網路請求監聽器
     setupWebRequestListeners(voiceMessages);
 
@@ -79,15 +96,14 @@ function setupWebRequestListeners(voiceMessages) {
 
 /**
  * 設置定期清理過期的 URL 快取
- * 簡化版：直接清空整個快取
+ * 每個項目有各自的過期時間，這裡只移除已過期的項目
  */
 function setupPeriodicUrlCacheCleanup() {
-  setInterval(() => {
-    // 直接創建新的 Set，讓舊的被垃圾回收
-    processedUrls = new Set();
-
-    logger.debug("已清空 URL 快取");
-  }, TIME_CONSTANTS.CLEANUP_INTERVAL);
+  registerAlarmTask(
+    ALARM_NAMES.URL_CACHE_PRUNE,
+    TIME_CONSTANTS.URL_CACHE_EXPIRATION,
+    pruneExpiredUrls
+  );
 }
 
 // ================================================
@@ -101,13 +117,9 @@ function setupPeriodicUrlCacheCleanup() {
  */
 function handleRequest(voiceMessages, details) {
   try {
-    const { url, method, statusCode, responseHeaders } = details;
+    const { url, method, statusCode, responseHeaders, tabId } = details;
 
-    // 檢查 URL 是否已經處理過
-    if (processedUrls.has(url)) {
-      logger.debug("已處理過此 URL，跳過", {
-        url: url.substring(0, 50) + "...",
-      });
+    if (refreshProcessedUrl(voiceMessages, url, tabId)) {
       return;
     }
 
@@ -122,24 +134,12 @@ function handleRequest(voiceMessages, details) {
     logger.debug("偵測到語音訊息請求", {
       url: url.substring(0, 100) + "...",
       type: details.type,
+      tabId,
       statusCode: statusCode,
       method: method,
     });
 
-    // 將此 URL 標記為已處理
-    markUrlAsProcessed(url);
-
-    // 向所有可能的標籤頁發送訊息，請求計算音訊持續時間
-    broadcastToContentScripts({
-      action: MESSAGE_ACTIONS.GET_AUDIO_DURATION,
-      url: url,
-      metadata: {
-        contentType: metadata.contentType,
-        contentLength: metadata.contentLength,
-        lastModified: metadata.lastModified,
-      },
-      timestamp: Date.now(),
-    });
+    captureVoiceMessageUrl(voiceMessages, url, metadata, tabId);
   } catch (error) {
     logger.error("處理請求時發生錯誤", {
       error: error.message,
@@ -149,15 +149,154 @@ function handleRequest(voiceMessages, details) {
 }
 
 /**
- * 將 URL 標記為已處理
- * @param {string} url - 要標記的 URL
+ * 處理頁面上下文回報的音訊回應
+ * 頁面的 Service Worker 發起的請求在 webRequest 中沒有標籤頁 ID，回報讓 URL 屬於發起的標籤頁
+ * 回報只有 URL 和 CORS 公開的標頭，沒有 Content-Disposition，持續時間一律在 offscreen 文件中計算
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 回應的最終 URL，已驗證為支援的 CDN URL
+ * @param {Object} headers - 回應標頭 { contentType, contentLength, lastModified }
+ * @param {number} tabId - 回報的標籤頁 ID
+ * @returns {boolean} - 如果是這個標籤頁尚未處理過的檔案則返回 true
+ */
+export function handleReportedAudioResponse(
+  voiceMessages,
+  url,
+  headers,
+  tabId
+) {
+  if (refreshProcessedUrl(voiceMessages, url, tabId)) {
+    return false;
+  }
+
+  captureVoiceMessageUrl(
+    voiceMessages,
+    url,
+    { ...headers, contentDisposition: null },
+    tabId
+  );
+  return true;
+}
+
+/**
+ * 檢查這個標籤頁是否已經處理過 URL 對應的音訊檔案（忽略簽名參數）
+ * 已處理過的檔案不需要重新分析，但重新簽名的 URL 可以取代即將過期的舊 URL
+ * 其他標籤頁處理過的檔案仍需要為這個標籤頁註冊項目
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 請求 URL
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
+ * @returns {boolean} - 如果已處理過則返回 true
+ */
+function refreshProcessedUrl(voiceMessages, url, tabId) {
+  if (!isUrlProcessed(url, tabId)) {
+    return false;
+  }
+
+  const refreshedCount = voiceMessages.refreshDownloadUrl(voiceMessages, url);
+  logger.debug("已處理過此 URL，跳過", {
+    url: url.substring(0, 50) + "...",
+    refreshedCount,
+  });
+  return true;
+}
+
+/**
+ * 標記 URL 為已處理，並取得持續時間後註冊下載 URL
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 請求 URL
+ * @param {Object} metadata - 請求的 metadata
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
+ */
+function captureVoiceMessageUrl(voiceMessages, url, metadata, tabId) {
+  // 將此 URL 標記為已處理
+  markUrlProcessed(url, tabId);
+
+  // 優先使用 Content-Disposition 中的精確持續時間和發送時間
+  const audioclipInfo = parseAudioclipFilename(metadata.contentDisposition);
+  if (audioclipInfo) {
+    logger.debug("使用 Content-Disposition 中的持續時間");
+    registerCapturedUrl(voiceMessages, url, metadata, audioclipInfo, tabId);
+    return;
+  }
+
+  // 沒有 Content-Disposition 時，在 offscreen 文件中計算音訊持續時間
+  measureAudioDuration(voiceMessages, url, metadata, tabId);
+}
+
+/**
+ * 在 offscreen 文件中計算音訊持續時間後註冊下載 URL
+ * offscreen 文件不依賴任何標籤頁，失敗時才改請標籤頁計算
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 請求 URL
+ * @param {Object} metadata - 請求的 metadata
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
+ */
+async function measureAudioDuration(voiceMessages, url, metadata, tabId) {
+  try {
+    const { durationMs, blobSize } = await getAudioDurationInOffscreen(url);
+
+    // 回應標頭沒有 Content-Length 時，使用實際下載的大小
+    const measuredMetadata = {
+      ...metadata,
+      contentLength: metadata.contentLength || String(blobSize),
+    };
+    registerCapturedUrl(
+      voiceMessages,
+      url,
+      measuredMetadata,
+      {
+        durationMs,
+        durationPrecisionMs: DURATION_PRECISION.MILLISECOND,
+        sentAtMs: null,
+      },
+      tabId
+    );
+  } catch (error) {
+    logger.debug("offscreen 文件無法計算音訊持續時間，改請標籤頁計算", {
+      error: error.message,
+      url: url.substring(0, 50) + "...",
+    });
+
+    await measureAudioDurationInTab(voiceMessages, url, metadata, tabId);
+  }
+}
+
+/**
+ * 使用已知的持續時間註冊下載 URL
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 請求 URL
+ * @param {Object} metadata - 請求的 metadata
+ * @param {Object} audioInfo - 持續時間 durationMs、其精度 durationPrecisionMs 和發送時間 sentAtMs（可為 null）
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
  */
-function markUrlAsProcessed(url) {
-  processedUrls.add(url);
-  logger.debug("URL 已標記為已處理", {
+function registerCapturedUrl(voiceMessages, url, metadata, audioInfo, tabId) {
+  const { sentAtMs, durationMs, durationPrecisionMs } = audioInfo;
+
+  const id = voiceMessages.registerDownloadUrl(voiceMessages, durationMs, url, {
+    durationPrecisionMs,
+    lastModified: metadata.lastModified,
+    blobType: metadata.contentType,
+    blobSize: metadata.contentLength
+      ? parseInt(metadata.contentLength, 10)
+      : null,
+    sentAtMs,
+    tabId,
+    threadKey: getTabThreadKey(tabId),
+  });
+
+  logger.info("已註冊語音訊息 URL", {
+    id,
+    durationMs,
+    tabId,
+    sentAt: sentAtMs ? new Date(sentAtMs).toISOString() : null,
     url: url.substring(0, 50) + "...",
-    cacheSize: processedUrls.size,
   });
+
+  // 如果 URL 匹配到已偵測的元素，通知內容腳本更新 UI
+  notifyElementUpdated(voiceMessages, id);
 }
 
 // ================================================
@@ -203,29 +342,100 @@ function getMetadata(responseHeaders) {
 }
 
 // ================================================
-// 向內容腳本廣播訊息函數
+// 向內容腳本發送訊息函數
 // ================================================
 
 /**
- * 向所有標籤頁廣播訊息
- * @param {Object} message - 要發送的訊息
+ * 請標籤頁計算音訊持續時間後註冊下載 URL
+ * 由 Service Worker 等非標籤頁發起的請求沒有標籤頁 ID，改請使用者目前所在的支援標籤頁計算，
+ * 但仍以 -1 註冊且不指定對話，備用標籤頁只負責計算，不代表 URL 屬於該標籤頁
+ *
+ * @param {Object} voiceMessages - 語音訊息資料存儲
+ * @param {string} url - 請求 URL
+ * @param {Object} metadata - 請求的 metadata
+ * @param {number} tabId - 發起請求的標籤頁 ID，非標籤頁發起時為 -1
  */
-function broadcastToContentScripts(message) {
-  chrome.tabs.query({ url: SUPPORTED_SITES.PATTERNS }, (tabs) => {
-    logger.debug(`向 ${tabs.length} 個標籤頁廣播訊息`, { message });
-
-    for (const tab of tabs) {
-      chrome.tabs.sendMessage(tab.id, message, (response) => {
-        if (chrome.runtime.lastError) {
-          logger.debug(`向標籤頁 ${tab.id} 發送訊息失敗`, {
-            error: chrome.runtime.lastError.message,
-          });
-        } else if (response && response.success) {
-          logger.debug(`標籤頁 ${tab.id} 已接收訊息`, {
-            responseData: response,
-          });
-        }
+async function measureAudioDurationInTab(voiceMessages, url, metadata, tabId) {
+  let targetTabId = null;
+
+  try {
+    targetTabId = isKnownTabId(tabId) ? tabId : await findFallbackTabId();
+    if (targetTabId === null) {
+      logger.debug("找不到可處理非標籤頁請求的標籤頁", {
+        url: url.substring(0, 50) + "...",
       });
+      return;
     }
+    if (targetTabId !== tabId) {
+      logger.debug("非標籤頁發起的請求，改由備用標籤頁處理", {
+        tabId: targetTabId,
+      });
+    }
+
+    const { durationMs } = await callTab(
+      targetTabId,
+      MESSAGE_ACTIONS.GET_AUDIO_DURATION,
+      {
+        url: url,
+        metadata: {
+          contentType: metadata.contentType,
+          contentLength: metadata.contentLength,
+          lastModified: metadata.lastModified,
+        },
+        timestamp: Date.now(),
+      }
+    );
+
+    if (
+      typeof durationMs !== "number" ||
+      !isFinite(durationMs) ||
+      durationMs <= 0
+    ) {
+      logger.debug("標籤頁計算的音訊持續時間無效", {
+        tabId: targetTabId,
+        durationMs,
+      });
+      return;
+    }
+
+    registerCapturedUrl(
+      voiceMessages,
+      url,
+      metadata,
+      {
+        durationMs,
+        durationPrecisionMs: DURATION_PRECISION.MILLISECOND,
+        sentAtMs: null,
+      },
+      tabId
+    );
+  } catch (error) {
+    logger.debug(`標籤頁 ${targetTabId} 無法計算音訊持續時間`, {
+      code: error.code,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 找出處理非標籤頁請求的備用標籤頁
+ * 優先使用目前視窗中作用中的支援標籤頁，其次使用最近存取的支援標籤頁
+ *
+ * @returns {Promise<number|null>} - 標籤頁 ID，找不到時為 null
+ */
+async function findFallbackTabId() {
+  const activeTabs = await chrome.tabs.query({
+    url: SUPPORTED_SITES.PATTERNS,
+    active: true,
+    lastFocusedWindow: true,
   });
+  if (activeTabs.length > 0) {
+    return activeTabs[0].id;
+  }
+
+  const tabs = await chrome.tabs.query({ url: SUPPORTED_SITES.PATTERNS });
+  const sortedTabs = tabs.sort(
+    (a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0)
+  );
+  return sortedTabs.length > 0 ? sortedTabs[0].id : null;
 }
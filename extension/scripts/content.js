@@ -6,11 +6,18 @@
 import { Logger } from "./utils/logger.js";
 import {
   SUPPORTED_SITES,
-  MESSAGE_SOURCES,
+  MESSAGE_ACTIONS,
   MODULE_NAMES,
+  PAGE_CONTEXT_INJECTION,
 } from "./utils/constants.js";
+import { callRuntime } from "./utils/rpc.js";
 import { initMessageHandler } from "./content/message-handler.js";
+import {
+  initPageChannel,
+  requireChannelNonce,
+} from "./content/page-channel.js";
 import { initContextMenuHandler } from "./content/context-menu-handler.js";
+import { initDomDetector } from "./content/dom-detector.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.CONTENT_SCRIPT);
@@ -23,14 +30,89 @@ const isSupportedSite = SUPPORTED_SITES.DOMAINS.some((domain) =>
 if (!isSupportedSite) {
   logger.debug("不支援的網站，擴充功能不會啟動");
 } else {
+  // 內容腳本在 document_start 執行，必須在頁面腳本執行前開始等待頁面上下文的私有通道
+  initPageChannel();
+  logger.debug("已開始等待頁面上下文的私有通道");
+
+  // 初始化內容腳本訊息處理器，處理來自背景腳本的訊息
+  initMessageHandler();
+  logger.debug("內容腳本訊息處理器已初始化");
+
+  // 需要 DOM 的初始化等到文件解析完成後再執行
+  whenDocumentReady(() => {
+    // 頁面上下文通常已由背景腳本註冊的 MAIN world 內容腳本在 document_start 時載入
+    // 由背景腳本回答是否已註冊，註冊失敗時才改以 script 標籤注入
+    loadPageContext();
+
+    // 初始化右鍵選單處理器
+    initContextMenuHandler();
+    logger.debug("已初始化右鍵選單處理器");
+
+    // 初始化 DOM 偵測器，預先標記並註冊語音訊息滑桿
+    initDomDetector();
+    logger.debug("已初始化 DOM 偵測器");
+
+    logger.info("Facebook Messenger 語音訊息下載器已初始化");
+  });
+}
+
+/**
+ * 在文件解析完成後執行
+ *
+ * @param {Function} callback - 回呼函數
+ */
+function whenDocumentReady(callback) {
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", callback, { once: true });
+  } else {
+    callback();
+  }
+}
+
+/**
+ * 依背景腳本的回答決定頁面上下文的載入方式，必要時改以 script 標籤注入
+ * 不以頁面可以修改的 DOM 判斷，頁面腳本無法讓內容腳本略過備用注入
+ * 背景腳本沒有回應時無法確認已註冊，同樣改以 script 標籤注入
+ */
+async function loadPageContext() {
+  let injectionPath = PAGE_CONTEXT_INJECTION.PATHS.SCRIPT_TAG;
+  try {
+    const response = await callRuntime(
+      MESSAGE_ACTIONS.GET_PAGE_CONTEXT_INJECTION
+    );
+    injectionPath = response.injectionPath;
+  } catch (error) {
+    logger.warn("無法確認頁面上下文腳本是否已註冊", {
+      code: error.code,
+      error: error.message,
+    });
+  }
+
+  if (injectionPath === PAGE_CONTEXT_INJECTION.PATHS.SCRIPT_TAG) {
+    injectPageContextScript();
+  }
+  reportInjectionPath(injectionPath);
+}
+
+/**
+ * 以 script 標籤將頁面上下文腳本注入頁面（備用方式）
+ * 頁面的 CSP 或 Trusted Types 可能會阻擋這個方式
+ * 此時頁面腳本已在執行，可能搶先送出假的私有通道，因此以驗證碼確認通道來自注入的腳本
+ */
+function injectPageContextScript() {
   // 創建頁面上下文腳本標籤
+  // 使用一般的 script 而非 module，頁面上下文腳本才能經由 document.currentScript 向內容腳本請求驗證碼
   const script = document.createElement("script");
-  script.type = "module";
   script.src = chrome.runtime.getURL("scripts/page-context.js");
+  requireChannelNonce(script);
   script.onload = function () {
     logger.debug("Facebook Messenger 語音訊息下載器已載入頁面上下文模組");
     this.remove(); // 載入後移除腳本標籤
   };
+  script.onerror = function () {
+    logger.error("頁面上下文腳本載入失敗，可能被頁面的安全政策阻擋");
+    this.remove();
+  };
 
   // 確保腳本標籤被添加到頁面
   try {
@@ -40,52 +122,23 @@ if (!isSupportedSite) {
   } catch (error) {
     logger.error("添加頁面上下文腳本時出錯", { error });
   }
+}
 
-  // 設置訊息監聽器，處理腳本與背景腳本的通訊
-  window.addEventListener("message", function (event) {
-    // 確保訊息來自同一個頁面
-    if (event.source !== window) return;
-
-    // 處理來自頁面上下文的訊息
-    if (event.data.type && event.data.type === MESSAGE_SOURCES.PAGE_CONTEXT) {
-      logger.debug("收到頁面上下文訊息，轉發到背景腳本", {
-        message: event.data.message,
-      });
-      chrome.runtime.sendMessage(event.data.message, function (response) {
-        logger.debug("背景腳本回應", { response });
-      });
-    }
-  });
+/**
+ * 向背景腳本回報頁面上下文的載入方式
+ *
+ * @param {string} injectionPath - 使用的注入方式
+ */
+function reportInjectionPath(injectionPath) {
+  logger.info("頁面上下文載入方式", { injectionPath });
 
-  // 將來自背景腳本的訊息轉發到頁面上下文
-  chrome.runtime.onMessage.addListener(function (
-    message,
-    sender,
-    sendResponse
-  ) {
-    logger.debug("收到背景腳本訊息", { message });
-
-    // 轉發到頁面上下文
-    window.postMessage(
-      {
-        type: MESSAGE_SOURCES.BACKGROUND_SCRIPT,
-        message: message,
-      },
-      "*"
-    );
-    return true;
+  callRuntime(MESSAGE_ACTIONS.PAGE_CONTEXT_INJECTED, {
+    injectionPath,
+    pageUrl: window.location.href,
+  }).catch((error) => {
+    logger.debug("回報頁面上下文載入方式失敗", {
+      code: error.code,
+      error: error.message,
+    });
   });
-
-  // 初始化右鍵選單處理器
-  initContextMenuHandler();
-  logger.debug("已初始化右鍵選單處理器");
-
-  // 初始化內容腳本訊息處理器
-  // 確保頁面上下文已經載入
-  setTimeout(() => {
-    initMessageHandler();
-    logger.debug("內容腳本訊息處理器已初始化");
-  }, 300);
-
-  logger.info("Facebook Messenger 語音訊息下載器已初始化");
 }
@@ -0,0 +1,170 @@
+/**
+ * blob-transfer.js
+ * 將語音訊息的 Blob 內容經由 chrome.runtime.Port 分段傳送到 offscreen 文件
+ * 避免把整個檔案轉成單一 base64 訊息，超過訊息大小上限並佔用數倍記憶體
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  BLOB_TRANSFER_CONSTANTS,
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MODULE_NAMES,
+} from "../utils/constants.js";
+import { createRpcError } from "../utils/rpc.js";
+import { fetchBlob, readBlobAsBase64 } from "../page-context/blob-analyzer.js";
+import { callPageContext } from "./page-channel.js";
+import { hideNotification, showNotification } from "./notification-ui.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.BLOB_TRANSFER);
+
+/**
+ * 處理背景腳本的 Blob 下載請求
+ * 傳輸並開始下載後才完成，失敗時在頁面上提示並將錯誤回傳給背景腳本
+ *
+ * @param {Object} message - 包含 blobUrl、requestId、lastModified、sentAtMs 和選用的 convertTo 的訊息
+ * @returns {Promise<Object>} - { filename }
+ */
+export async function handleBlobTransferRequest(message) {
+  logger.debug("收到提取 blob 內容要求", {
+    blobUrl: message.blobUrl,
+    requestId: message.requestId,
+  });
+
+  try {
+    const blob = await getBlob(message.blobUrl);
+    const result = await transferBlob(blob, message);
+
+    logger.info("Blob 分段傳輸完成", {
+      requestId: message.requestId,
+      filename: result.filename,
+    });
+    hideNotification();
+    return { filename: result.filename };
+  } catch (error) {
+    logger.error("Blob 分段傳輸失敗", { error });
+    // 未通過下載安全檢查時，錯誤說明就是要顯示給使用者的原因
+    showNotification(
+      error.code === MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED
+        ? error.message
+        : "Could not download this voice message. Please try again.",
+      "error"
+    );
+    throw error;
+  }
+}
+
+/**
+ * 取得要下載的 Blob
+ * 優先向頁面上下文請求，只有頁面上下文能取得已保留的 Blob；無法取得時才由內容腳本讀取 Blob URL
+ *
+ * @param {string} blobUrl - Blob URL
+ * @returns {Promise<Blob>} - Blob 物件
+ * @private
+ */
+async function getBlob(blobUrl) {
+  try {
+    const { blob } = await callPageContext(MESSAGE_ACTIONS.GET_PAGE_BLOB, {
+      blobUrl,
+    });
+    return blob;
+  } catch (error) {
+    logger.debug("無法從頁面上下文取得 Blob，改由內容腳本讀取", {
+      code: error.code,
+      error: error.message,
+    });
+    return fetchBlob(blobUrl);
+  }
+}
+
+/**
+ * 將 Blob 分段傳送到 offscreen 文件
+ * offscreen 文件每收到一個分段就回報進度，收到進度後才送出下一個分段
+ *
+ * @param {Blob} blob - 要傳送的 Blob
+ * @param {Object} message - 背景腳本的下載請求
+ * @returns {Promise<Object>} - offscreen 文件回報的完成結果
+ * @private
+ */
+function transferBlob(blob, message) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({
+      name: BLOB_TRANSFER_CONSTANTS.PORT_NAME,
+    });
+    let isFinished = false;
+
+    const finish = (callback, value) => {
+      isFinished = true;
+      port.disconnect();
+      callback(value);
+    };
+
+    const sendChunk = async (offset) => {
+      const chunk = blob.slice(
+        offset,
+        offset + BLOB_TRANSFER_CONSTANTS.CHUNK_SIZE
+      );
+      const { base64data } = await readBlobAsBase64(chunk);
+      port.postMessage({ type: "chunk", data: base64data });
+    };
+
+    port.onMessage.addListener(async (response) => {
+      try {
+        switch (response.type) {
+          case "progress":
+            showProgress(response.receivedBytes, response.totalBytes);
+            if (response.receivedBytes < response.totalBytes) {
+              await sendChunk(response.receivedBytes);
+            } else {
+              port.postMessage({ type: "end" });
+            }
+            break;
+
+          case "complete":
+            finish(resolve, response);
+            break;
+
+          case "error":
+            finish(reject, createRpcError(response.code, response.error));
+            break;
+        }
+      } catch (error) {
+        finish(reject, error);
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      if (!isFinished) {
+        isFinished = true;
+        reject(new Error("與 offscreen 文件的連線中斷"));
+      }
+    });
+
+    port.postMessage({
+      type: "start",
+      requestId: message.requestId,
+      blobType: blob.type,
+      totalBytes: blob.size,
+      lastModified: message.lastModified,
+      sentAtMs: message.sentAtMs,
+      convertTo: message.convertTo,
+    });
+
+    sendChunk(0).catch((error) => finish(reject, error));
+  });
+}
+
+/**
+ * 在頁面上顯示傳輸進度
+ *
+ * @param {number} receivedBytes - 已傳送的位元組數
+ * @param {number} totalBytes - 總位元組數
+ * @private
+ */
+function showProgress(receivedBytes, totalBytes) {
+  const percent = Math.floor((receivedBytes / totalBytes) * 100);
+  showNotification(`Preparing download… ${percent}%`, "info", {
+    persistent: true,
+  });
+}
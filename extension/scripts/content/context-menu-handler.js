@@ -3,10 +3,22 @@
  * 負責處理右鍵選單事件
  */
 
-import { findVoiceMessageElement, getDurationFromSlider } from "./dom-utils.js";
+import {
+  findVoiceMessageElement,
+  findSliderForPlayButton,
+  getDurationFromSlider,
+  getDurationOrder,
+  getDurationPrecisionFromSlider,
+} from "./dom-utils.js";
+import { primeVoiceMessage } from "./media-reloader.js";
 import { secondsToMilliseconds } from "../utils/time-utils.js";
 import { Logger } from "../utils/logger.js";
-import { MESSAGE_ACTIONS, MODULE_NAMES } from "../utils/constants.js";
+import {
+  DOM_CONSTANTS,
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+} from "../utils/constants.js";
+import { callRuntime } from "../utils/rpc.js";
 
 /**
  * 初始化右鍵選單處理器
@@ -52,8 +64,13 @@ function handleContextMenu(event) {
     data: type,
   });
 
-  // 根據元素類型獲取滑桿元素
-  const sliderElement = type === "slider" ? element : null;
+  // 根據元素類型獲取滑桿元素，播放按鈕會對應到同一則語音訊息的滑桿
+  let sliderElement = null;
+  if (type === "slider") {
+    sliderElement = element;
+  } else if (type === "playButton") {
+    sliderElement = findSliderForPlayButton(element);
+  }
   Logger.debug("滑桿元素", {
     module: MODULE_NAMES.CONTEXT_MENU,
     data: sliderElement,
@@ -65,7 +82,9 @@ function handleContextMenu(event) {
   }
 
   // 檢查元素是否有 data-voice-message-id 屬性
-  const id = sliderElement.getAttribute("data-voice-message-id");
+  const id = sliderElement.getAttribute(
+    DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE
+  );
   Logger.debug("語音訊息 ID", { module: MODULE_NAMES.CONTEXT_MENU, data: id });
 
   // 從滑桿元素獲取持續時間
@@ -83,9 +102,22 @@ function handleContextMenu(event) {
       data: durationMs,
     });
 
-    // 發送訊息到背景腳本，包含元素 ID 和持續時間
+    // 發送訊息到背景腳本，包含元素 ID、持續時間和 DOM 順序
     Logger.debug("準備發送右鍵點擊訊息", { module: MODULE_NAMES.CONTEXT_MENU });
-    sendRightClickMessage(id, null, null, durationMs);
+    sendRightClickMessage(
+      id,
+      null,
+      null,
+      durationMs,
+      getDurationPrecisionFromSlider(sliderElement),
+      getDurationOrder(sliderElement),
+      (response) => {
+        // 背景腳本還沒有這則語音訊息的 URL，先讓頁面載入音訊，選單點擊後即可完成下載
+        if (response && response.needsAudio) {
+          primeVoiceMessage(sliderElement);
+        }
+      }
+    );
   } else {
     Logger.debug("無法從滑桿獲取持續時間", {
       module: MODULE_NAMES.CONTEXT_MENU,
@@ -100,44 +132,51 @@ function handleContextMenu(event) {
  * @param {string} downloadUrl - 下載 URL
  * @param {string} [lastModified] - Last-Modified 標頭值
  * @param {number} [durationMs] - 持續時間（毫秒）
+ * @param {number} [durationPrecisionMs] - 持續時間的精確度（毫秒）
+ * @param {Object} [durationOrder] - 在相同持續時間滑桿中的順序 { index, count }
+ * @param {Function} [onResponse] - 收到背景腳本回應時呼叫
  */
 function sendRightClickMessage(
   elementId,
   downloadUrl,
   lastModified,
-  durationMs
+  durationMs,
+  durationPrecisionMs,
+  durationOrder,
+  onResponse
 ) {
-  // 準備訊息物件
-  const message = {
-    action: MESSAGE_ACTIONS.RIGHT_CLICK,
+  // 準備訊息內容
+  const payload = {
     elementId,
     downloadUrl,
     lastModified,
     durationMs,
+    durationPrecisionMs,
+    durationOrder,
+    pageUrl: window.location.href,
   };
 
   Logger.debug("準備發送訊息到背景腳本", {
     module: MODULE_NAMES.CONTEXT_MENU,
-    data: message,
+    data: payload,
   });
 
-  // 使用 chrome.runtime.sendMessage 直接發送訊息
-  try {
-    chrome.runtime.sendMessage(message, (response) => {
-      Logger.debug("chrome.runtime.sendMessage 回應", {
+  callRuntime(MESSAGE_ACTIONS.RIGHT_CLICK, payload)
+    .then((response) => {
+      Logger.debug("背景腳本回應右鍵點擊訊息", {
         module: MODULE_NAMES.CONTEXT_MENU,
         data: response,
       });
+      if (onResponse) {
+        onResponse(response);
+      }
+    })
+    .catch((error) => {
+      Logger.warn("發送右鍵點擊訊息失敗", {
+        module: MODULE_NAMES.CONTEXT_MENU,
+        data: { code: error.code, error: error.message },
+      });
     });
-    Logger.debug("已直接發送訊息到背景腳本", {
-      module: MODULE_NAMES.CONTEXT_MENU,
-    });
-  } catch (error) {
-    Logger.error("使用 chrome.runtime.sendMessage 發生錯誤", {
-      module: MODULE_NAMES.CONTEXT_MENU,
-      data: error,
-    });
-  }
 
   Logger.info("發送右鍵點擊訊息", {
     module: MODULE_NAMES.CONTEXT_MENU,
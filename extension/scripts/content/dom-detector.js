@@ -0,0 +1,245 @@
+/**
+ * dom-detector.js
+ * 使用 MutationObserver 監控 Messenger 動態載入的對話內容
+ * 為每個語音訊息滑桿加上 data-voice-message-id，並預先向背景腳本註冊
+ */
+
+import {
+  findVoiceMessageContainer,
+  findVoiceMessageSliders,
+  getDurationFromSlider,
+  getDurationOrder,
+  getDurationPrecisionFromSlider,
+} from "./dom-utils.js";
+import { generateVoiceMessageId } from "../utils/id-generator.js";
+import { secondsToMilliseconds } from "../utils/time-utils.js";
+import { Logger } from "../utils/logger.js";
+import {
+  DOM_CONSTANTS,
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+import { callRuntime } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.DOM_DETECTOR);
+
+// DOM 變動觀察器
+let observer = null;
+
+// 等待掃描的根元素
+let pendingRoots = new Set();
+
+// 掃描計時器
+let scanTimer = null;
+
+/**
+ * 初始化 DOM 偵測器
+ */
+export function initDomDetector() {
+  if (observer) {
+    logger.debug("DOM 偵測器已初始化，跳過");
+    return;
+  }
+
+  logger.info("初始化 DOM 偵測器");
+
+  // 掃描目前已存在的語音訊息
+  scanForVoiceMessages(document.body);
+
+  // 監控之後動態載入的對話內容
+  observer = new MutationObserver(handleMutations);
+  observer.observe(document.body, {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ["aria-valuemax"],
+  });
+
+  logger.info("DOM 偵測器已啟動");
+}
+
+/**
+ * 處理 DOM 變動
+ * 收集變動的節點，並以固定間隔批次掃描，避免頻繁查詢 DOM
+ *
+ * @param {MutationRecord[]} mutations - DOM 變動記錄
+ */
+function handleMutations(mutations) {
+  for (const mutation of mutations) {
+    if (mutation.type === "attributes") {
+      // 滑桿的持續時間可能在元素建立後才設定
+      pendingRoots.add(mutation.target);
+      continue;
+    }
+
+    for (const node of mutation.addedNodes) {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        pendingRoots.add(node);
+      }
+    }
+  }
+
+  if (pendingRoots.size === 0 || scanTimer) {
+    return;
+  }
+
+  scanTimer = setTimeout(() => {
+    const roots = pendingRoots;
+    pendingRoots = new Set();
+    scanTimer = null;
+
+    for (const root of roots) {
+      // 已從 DOM 移除的節點不需要掃描
+      if (root.isConnected) {
+        scanForVoiceMessages(root);
+      }
+    }
+  }, TIME_CONSTANTS.ELEMENT_DETECTION_INTERVAL);
+}
+
+/**
+ * 掃描指定根元素內的語音訊息滑桿
+ *
+ * @param {Element} root - 搜尋的根元素
+ */
+function scanForVoiceMessages(root) {
+  const sliders = findVoiceMessageSliders(root);
+
+  for (const slider of sliders) {
+    tagVoiceMessageSlider(slider);
+    tagVoiceMessageContainer(slider);
+  }
+}
+
+/**
+ * 為語音訊息滑桿加上 ID 並向背景腳本註冊
+ *
+ * @param {Element} slider - 語音訊息滑桿元素
+ */
+function tagVoiceMessageSlider(slider) {
+  if (slider.hasAttribute(DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE)) {
+    return;
+  }
+
+  // 持續時間尚未設定時先不處理，等待 aria-valuemax 變動後再掃描
+  const durationSec = getDurationFromSlider(slider);
+  if (durationSec === null || durationSec <= 0) {
+    return;
+  }
+
+  const elementId = generateVoiceMessageId();
+  const durationMs = secondsToMilliseconds(durationSec);
+
+  slider.setAttribute(DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE, elementId);
+  slider.setAttribute(
+    DOM_CONSTANTS.VOICE_MESSAGE_STATUS_ATTRIBUTE,
+    DOM_CONSTANTS.VOICE_MESSAGE_STATUS.DETECTED
+  );
+
+  logger.debug("偵測到語音訊息滑桿", { elementId, durationMs });
+
+  registerElementWithBackground(
+    elementId,
+    durationMs,
+    getDurationPrecisionFromSlider(slider),
+    getDurationOrder(slider)
+  );
+}
+
+/**
+ * 在語音訊息容器上標記滑桿的元素 ID
+ * 播放按鈕可能比滑桿晚出現，因此每次掃描都會檢查尚未標記的容器
+ *
+ * @param {Element} slider - 已標記 ID 的語音訊息滑桿元素
+ */
+function tagVoiceMessageContainer(slider) {
+  const elementId = slider.getAttribute(
+    DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE
+  );
+  if (!elementId) {
+    return;
+  }
+
+  if (
+    slider.closest(
+      `[${DOM_CONSTANTS.VOICE_MESSAGE_CONTAINER_ATTRIBUTE}="${CSS.escape(
+        elementId
+      )}"]`
+    )
+  ) {
+    return;
+  }
+
+  const container = findVoiceMessageContainer(slider);
+  if (container) {
+    container.setAttribute(
+      DOM_CONSTANTS.VOICE_MESSAGE_CONTAINER_ATTRIBUTE,
+      elementId
+    );
+  }
+}
+
+/**
+ * 向背景腳本註冊語音訊息元素
+ *
+ * @param {string} elementId - 元素 ID
+ * @param {number} durationMs - 持續時間（毫秒）
+ * @param {number} durationPrecisionMs - 持續時間的精確度（毫秒）
+ * @param {Object} durationOrder - 在相同持續時間滑桿中的順序 { index, count }
+ */
+async function registerElementWithBackground(
+  elementId,
+  durationMs,
+  durationPrecisionMs,
+  durationOrder
+) {
+  try {
+    const response = await callRuntime(MESSAGE_ACTIONS.REGISTER_ELEMENT, {
+      elementId,
+      durationMs,
+      durationPrecisionMs,
+      durationOrder,
+      pageUrl: window.location.href,
+    });
+
+    logger.debug("背景腳本回應元素註冊", { elementId, response });
+
+    // 背景腳本已有匹配的下載 URL
+    if (response.downloadUrl) {
+      updateVoiceMessageElement(elementId);
+    }
+  } catch (error) {
+    logger.debug("註冊語音訊息元素失敗", {
+      elementId,
+      code: error.code,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 更新語音訊息元素的狀態為可下載
+ *
+ * @param {string} elementId - 元素 ID
+ * @returns {boolean} - 是否找到並更新了元素
+ */
+export function updateVoiceMessageElement(elementId) {
+  const slider = document.querySelector(
+    `[${DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE}="${CSS.escape(elementId)}"]`
+  );
+
+  if (!slider) {
+    logger.debug("找不到要更新的語音訊息元素", { elementId });
+    return false;
+  }
+
+  slider.setAttribute(
+    DOM_CONSTANTS.VOICE_MESSAGE_STATUS_ATTRIBUTE,
+    DOM_CONSTANTS.VOICE_MESSAGE_STATUS.READY
+  );
+
+  logger.debug("語音訊息元素已可下載", { elementId });
+  return true;
+}
@@ -5,9 +5,11 @@
 
 import { Logger } from "../utils/logger.js";
 import { DOM_CONSTANTS } from "../utils/constants.js";
+import { getSecondsTextPrecision } from "../utils/duration-utils.js";
 
 /**
  * 檢查元素是否為語音訊息滑桿
+ * 已知的 aria-label 只作為快速路徑，其餘情況使用不依賴介面語言的結構偵測
  *
  * @param {Element|null} element - 要檢查的元素
  * @returns {boolean} - 如果元素是語音訊息滑桿則返回 true
@@ -21,13 +23,200 @@ export function isVoiceMessageSlider(element) {
     return false;
   }
 
+  // 快速路徑：檢查元素的 aria-label 是否在支援的標籤列表中
   const elementLabel = element.getAttribute("aria-label");
-  if (!elementLabel) {
+  if (
+    elementLabel &&
+    DOM_CONSTANTS.VOICE_MESSAGE_SLIDER_ARIA_LABEL.includes(elementLabel)
+  ) {
+    return true;
+  }
+
+  return isStructuralVoiceMessageSlider(element);
+}
+
+/**
+ * 根據 DOM 結構判斷滑桿是否為語音訊息滑桿
+ * 條件：aria-valuemin 為 0、aria-valuemax 在語音訊息的持續時間範圍內，
+ * 且所屬容器中有已知圖示的播放按鈕和波形
+ *
+ * @param {Element} slider - role="slider" 的元素
+ * @returns {boolean} - 如果結構符合語音訊息則返回 true
+ */
+function isStructuralVoiceMessageSlider(slider) {
+  const { MIN_DURATION_SEC, MAX_DURATION_SEC } =
+    DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE;
+
+  const durationSec = parseFloat(slider.getAttribute("aria-valuemax"));
+  if (
+    isNaN(durationSec) ||
+    durationSec < MIN_DURATION_SEC ||
+    durationSec > MAX_DURATION_SEC
+  ) {
+    return false;
+  }
+
+  // 語音訊息滑桿從 0 開始
+  const minValue = slider.getAttribute("aria-valuemin");
+  if (minValue === null || parseFloat(minValue) !== 0) {
+    return false;
+  }
+
+  const container = findVoiceMessageContainer(slider);
+  if (!container) {
+    return false;
+  }
+
+  const playButton = findPlayButtonIn(container);
+  return !!playButton && hasWaveform(container, playButton);
+}
+
+/**
+ * 從滑桿向上尋找只包含這一個滑桿的語音訊息容器
+ *
+ * @param {Element} slider - 滑桿元素
+ * @returns {Element|null} - 包含播放按鈕的容器，如果找不到則返回 null
+ */
+export function findVoiceMessageContainer(slider) {
+  let container = slider.parentElement;
+  let depth = 0;
+
+  while (
+    container &&
+    container !== document.body &&
+    depth < DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE.MAX_CONTAINER_DEPTH
+  ) {
+    // 容器包含多個滑桿時已超出單一語音訊息的範圍
+    if (container.querySelectorAll('[role="slider"]').length > 1) {
+      return null;
+    }
+
+    if (findPlayButtonIn(container)) {
+      return container;
+    }
+
+    container = container.parentElement;
+    depth++;
+  }
+
+  return null;
+}
+
+/**
+ * 在容器中尋找播放按鈕
+ * 只接受帶有已知播放圖示 SVG path 的按鈕，對話中其他帶有圖示的按鈕不算
+ *
+ * @param {Element} container - 容器元素
+ * @returns {Element|null} - 播放按鈕元素，如果找不到則返回 null
+ */
+export function findPlayButtonIn(container) {
+  const buttons = container.querySelectorAll('[role="button"]');
+  return Array.from(buttons).find((button) => hasKnownPlayIcon(button)) || null;
+}
+
+/**
+ * 檢查元素是否為語音訊息的播放按鈕
+ *
+ * @param {Element|null} element - 要檢查的元素
+ * @returns {boolean} - 如果元素是語音訊息播放按鈕則返回 true
+ */
+export function isVoiceMessagePlayButton(element) {
+  if (
+    !element ||
+    element.nodeType !== Node.ELEMENT_NODE ||
+    element.getAttribute("role") !== "button" ||
+    !hasKnownPlayIcon(element)
+  ) {
+    return false;
+  }
+
+  return !!findSliderForPlayButton(element);
+}
+
+/**
+ * 從播放按鈕找到同一則語音訊息的滑桿
+ *
+ * @param {Element} playButton - 播放按鈕元素
+ * @returns {Element|null} - 語音訊息滑桿，如果找不到則返回 null
+ */
+export function findSliderForPlayButton(playButton) {
+  let container = playButton.parentElement;
+  let depth = 0;
+
+  while (
+    container &&
+    container !== document.body &&
+    depth < DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE.MAX_CONTAINER_DEPTH
+  ) {
+    const sliders = findVoiceMessageSliders(container);
+
+    // 只有在容器內恰好一個滑桿時才能確定對應關係
+    if (sliders.length === 1) {
+      return sliders[0];
+    }
+    if (sliders.length > 1) {
+      return null;
+    }
+
+    container = container.parentElement;
+    depth++;
+  }
+
+  return null;
+}
+
+/**
+ * 檢查元素是否包含已知的播放圖示
+ *
+ * @param {Element} element - 要檢查的元素
+ * @returns {boolean} - 如果包含已知的播放圖示則返回 true
+ */
+function hasKnownPlayIcon(element) {
+  return Array.from(element.querySelectorAll("svg path")).some((path) =>
+    DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE.PLAY_BUTTON_SVG_PATHS.includes(
+      path.getAttribute("d")
+    )
+  );
+}
+
+/**
+ * 檢查容器中是否有波形
+ * 波形是 canvas，或是一組波形條
+ *
+ * @param {Element} container - 容器元素
+ * @param {Element} playButton - 播放按鈕，其圖示不計入波形
+ * @returns {boolean} - 如果找到波形則返回 true
+ */
+function hasWaveform(container, playButton) {
+  if (container.querySelector("canvas")) {
+    return true;
+  }
+
+  return Array.from(container.querySelectorAll("*")).some(
+    (element) => !playButton.contains(element) && hasWaveformBars(element)
+  );
+}
+
+/**
+ * 檢查元素的子元素是否為一組波形條
+ * 波形條數量眾多、標籤相同，且沒有子元素和文字，藉此排除訊息列表等一般內容
+ *
+ * @param {Element} element - 要檢查的元素
+ * @returns {boolean} - 如果子元素是波形條則返回 true
+ */
+function hasWaveformBars(element) {
+  const bars = Array.from(element.children);
+  if (bars.length < DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE.MIN_WAVEFORM_BARS) {
     return false;
   }
 
-  // 檢查元素的 aria-label 是否在支援的標籤列表中
-  return DOM_CONSTANTS.VOICE_MESSAGE_SLIDER_ARIA_LABEL.includes(elementLabel);
+  const tagName = bars[0].tagName;
+  return bars.every(
+    (bar) =>
+      bar.tagName === tagName &&
+      bar.children.length === 0 &&
+      !bar.textContent.trim()
+  );
 }
 
 /**
@@ -57,6 +246,36 @@ export function getDurationFromSlider(sliderElement) {
   return durationSec;
 }
 
+/**
+ * 取得滑桿持續時間的精確度（毫秒）
+ * aria-valuemax 可能只有整數秒，依屬性值的格式判斷，而不是依轉換後的毫秒數
+ *
+ * @param {Element} sliderElement - 滑桿元素
+ * @returns {number} - 精確度（毫秒）
+ */
+export function getDurationPrecisionFromSlider(sliderElement) {
+  return getSecondsTextPrecision(sliderElement.getAttribute("aria-valuemax"));
+}
+
+/**
+ * 取得滑桿在頁面上所有相同持續時間滑桿中的順序
+ * 對話中的語音訊息依時間排列，背景腳本用此順序區分持續時間相同的語音訊息
+ *
+ * @param {Element} sliderElement - 滑桿元素
+ * @returns {Object} - { index, count }，index 為此滑桿的位置，count 為相同持續時間的滑桿數量
+ */
+export function getDurationOrder(sliderElement) {
+  const durationValue = sliderElement.getAttribute("aria-valuemax");
+  const sameDurationSliders = findVoiceMessageSliders(document.body).filter(
+    (slider) => slider.getAttribute("aria-valuemax") === durationValue
+  );
+
+  return {
+    index: sameDurationSliders.indexOf(sliderElement),
+    count: sameDurationSliders.length,
+  };
+}
+
 /**
  * 檢查元素是否為潛在的語音訊息容器
  *
@@ -68,18 +287,47 @@ export function isPotentialVoiceMessageContainer(element) {
     return false;
   }
 
-  // 檢查元素是否包含語音訊息相關元素
-  let hasSlider = false;
+  // 檢查元素是否包含語音訊息滑桿
+  return !!findFirstVoiceMessageSlider(element);
+}
 
-  // 遍歷所有可能的語音訊息滑桿標籤
-  for (const label of DOM_CONSTANTS.VOICE_MESSAGE_SLIDER_ARIA_LABEL) {
-    if (element.querySelector(`[role="slider"][aria-label="${label}"]`)) {
-      hasSlider = true;
-      break;
+/**
+ * 在元素內部尋找第一個語音訊息滑桿
+ *
+ * @param {Element} root - 搜尋的根元素
+ * @returns {Element|null} - 語音訊息滑桿，如果找不到則返回 null
+ */
+function findFirstVoiceMessageSlider(root) {
+  const sliders = root.querySelectorAll('[role="slider"]');
+
+  for (const slider of sliders) {
+    if (isVoiceMessageSlider(slider)) {
+      return slider;
     }
   }
 
-  return hasSlider;
+  return null;
+}
+
+/**
+ * 在指定的根元素內查找所有語音訊息滑桿
+ *
+ * @param {Element|Document} root - 搜尋的根元素
+ * @returns {Element[]} - 找到的語音訊息滑桿陣列
+ */
+export function findVoiceMessageSliders(root) {
+  if (!root || typeof root.querySelectorAll !== "function") {
+    return [];
+  }
+
+  const candidates = Array.from(root.querySelectorAll('[role="slider"]'));
+
+  // 根元素本身也可能是滑桿
+  if (root.nodeType === Node.ELEMENT_NODE) {
+    candidates.unshift(root);
+  }
+
+  return candidates.filter((element) => isVoiceMessageSlider(element));
 }
 
 /**
@@ -103,26 +351,22 @@ export function findVoiceMessageElement(clickedElement) {
     return { element: clickedElement, type: "slider" };
   }
 
-  // 策略 2: 在點擊元素內部查找
-  Logger.debug("在元素內部尋找語音訊息元素");
-  let sliderInside = null;
-
-  // 遍歷所有可能的語音訊息滑桿標籤
-  for (const label of DOM_CONSTANTS.VOICE_MESSAGE_SLIDER_ARIA_LABEL) {
-    const foundSlider = clickedElement.querySelector(
-      `[role="slider"][aria-label="${label}"]`
-    );
-    if (foundSlider) {
-      sliderInside = foundSlider;
-      break;
-    }
+  // 策略 2: 檢查點擊的元素是否位於播放按鈕內（包含按鈕中的 SVG 圖示）
+  const button = clickedElement.closest('[role="button"]');
+  if (button && isVoiceMessagePlayButton(button)) {
+    Logger.debug("找到語音訊息播放按鈕");
+    return { element: button, type: "playButton" };
   }
+
+  // 策略 3: 在點擊元素內部查找
+  Logger.debug("在元素內部尋找語音訊息元素");
+  const sliderInside = findFirstVoiceMessageSlider(clickedElement);
   if (sliderInside) {
     Logger.debug("在元素內部找到語音訊息滑杆");
     return { element: sliderInside, type: "slider" };
   }
 
-  // 策略 3: 向上遍歷 DOM 樹
+  // 策略 4: 向上遍歷 DOM 樹（例如點擊持續時間標籤）
   Logger.debug("開始向上遍歷 DOM 樹尋找語音訊息元素");
   let parent = clickedElement.parentElement;
   let depth = 0;
@@ -137,18 +381,7 @@ export function findVoiceMessageElement(clickedElement) {
       });
 
       // 在父元素中查找滑杆
-      let slider = null;
-
-      // 遍歷所有可能的語音訊息滑桿標籤
-      for (const label of DOM_CONSTANTS.VOICE_MESSAGE_SLIDER_ARIA_LABEL) {
-        const foundSlider = parent.querySelector(
-          `[role="slider"][aria-label="${label}"]`
-        );
-        if (foundSlider) {
-          slider = foundSlider;
-          break;
-        }
-      }
+      const slider = findFirstVoiceMessageSlider(parent);
       if (slider) {
         Logger.debug("在容器中找到語音訊息滑杆");
         return { element: slider, type: "slider" };
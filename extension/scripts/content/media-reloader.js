@@ -0,0 +1,91 @@
+/**
+ * media-reloader.js
+ * 讓頁面載入指定語音訊息的音訊，以取得（或重新取得簽名的）下載 URL
+ * Messenger 只有在播放時才會請求音訊，因此這裡點擊播放按鈕，
+ * 並請頁面上下文的 media-primer.js 以靜音方式載入後立即停止，再經由媒體元素恢復原本的暫停狀態和播放位置
+ * 頁面上下文未載入時點擊會真的播放出聲，因此不觸發，交由呼叫端提示使用者
+ */
+
+import { findPlayButtonIn, findVoiceMessageContainer } from "./dom-utils.js";
+import { isPageChannelReady } from "./page-channel.js";
+import { Logger } from "../utils/logger.js";
+import {
+  DOM_CONSTANTS,
+  MODULE_NAMES,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.MEDIA_RELOADER);
+
+// 正在載入的滑桿，避免重複觸發
+const loadingSliders = new WeakSet();
+
+/**
+ * 依元素 ID 重新載入語音訊息的音訊
+ *
+ * @param {string} elementId - 語音訊息元素 ID（data-voice-message-id）
+ * @returns {boolean} - 如果已觸發靜音載入則返回 true
+ */
+export function reloadVoiceMessageMedia(elementId) {
+  if (!elementId) {
+    return false;
+  }
+
+  const slider = document.querySelector(
+    `[${DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE}="${CSS.escape(elementId)}"]`
+  );
+  if (!slider) {
+    logger.warn("找不到語音訊息滑桿，無法重新載入", { elementId });
+    return false;
+  }
+
+  return primeVoiceMessage(slider);
+}
+
+/**
+ * 在不出聲的情況下讓頁面載入語音訊息的音訊
+ *
+ * @param {Element} slider - 語音訊息滑桿
+ * @returns {boolean} - 如果已觸發靜音載入則返回 true
+ */
+export function primeVoiceMessage(slider) {
+  if (loadingSliders.has(slider)) {
+    return false;
+  }
+
+  // 沒有頁面上下文就無法攔截 play()，點擊會直接播放
+  // 以私有通道是否建立判斷，頁面腳本可以修改 DOM 屬性，但無法偽造通道
+  if (!isPageChannelReady()) {
+    logger.warn("頁面上下文未載入，無法靜音載入語音訊息");
+    return false;
+  }
+
+  const container = findVoiceMessageContainer(slider);
+  const playButton = container ? findPlayButtonIn(container) : null;
+
+  if (!playButton) {
+    logger.warn("找不到語音訊息的播放按鈕，無法載入音訊");
+    return false;
+  }
+
+  logger.debug("觸發語音訊息音訊載入", {
+    elementId: slider.getAttribute(DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE),
+  });
+  loadingSliders.add(slider);
+
+  // 請頁面上下文將點擊這則語音訊息後的 play() 改為靜音預先載入
+  slider.setAttribute(
+    DOM_CONSTANTS.MEDIA_PRIME_ATTRIBUTE,
+    String(Date.now() + TIME_CONSTANTS.MEDIA_PRIME_WINDOW)
+  );
+
+  playButton.click();
+
+  // media-primer.js 會自行停止並恢復播放狀態，這裡不再點擊播放按鈕
+  setTimeout(() => {
+    loadingSliders.delete(slider);
+  }, TIME_CONSTANTS.MEDIA_RELOAD_DURATION);
+
+  return true;
+}
@@ -0,0 +1,98 @@
+/**
+ * notification-ui.js
+ * 在頁面上顯示簡短的提示訊息
+ */
+
+import { Logger } from "../utils/logger.js";
+import { MODULE_NAMES, UI_CONSTANTS } from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.NOTIFICATION_UI);
+
+// 提示等級對應的背景顏色
+const LEVEL_COLORS = {
+  info: "#323232",
+  warning: "#8a6d00",
+  error: "#b3261e",
+};
+
+// 目前顯示中的提示元素
+let notificationElement = null;
+
+// 自動隱藏的計時器
+let hideTimer = null;
+
+/**
+ * 顯示提示訊息，新的提示會取代目前顯示中的提示
+ *
+ * @param {string} text - 提示文字
+ * @param {string} [level="info"] - 提示等級：info、warning 或 error
+ * @param {Object} [options] - 顯示選項
+ * @param {boolean} [options.persistent=false] - 是否持續顯示直到被取代或隱藏
+ */
+export function showNotification(text, level = "info", options = {}) {
+  if (!text) {
+    return;
+  }
+
+  logger.debug("顯示提示訊息", { text, level });
+
+  if (!notificationElement || !notificationElement.isConnected) {
+    notificationElement = createNotificationElement();
+    document.body.appendChild(notificationElement);
+  }
+
+  notificationElement.textContent = text;
+  notificationElement.style.background =
+    LEVEL_COLORS[level] || LEVEL_COLORS.info;
+  notificationElement.style.opacity = "1";
+
+  clearTimeout(hideTimer);
+  if (!options.persistent) {
+    hideTimer = setTimeout(
+      hideNotification,
+      UI_CONSTANTS.NOTIFICATION_DURATION
+    );
+  }
+}
+
+/**
+ * 隱藏目前顯示中的提示訊息
+ */
+export function hideNotification() {
+  clearTimeout(hideTimer);
+  hideTimer = null;
+
+  if (notificationElement) {
+    notificationElement.style.opacity = "0";
+  }
+}
+
+/**
+ * 建立提示元素
+ *
+ * @returns {HTMLElement} - 提示元素
+ */
+function createNotificationElement() {
+  const element = document.createElement("div");
+  element.setAttribute("role", "status");
+  element.setAttribute("aria-live", "polite");
+
+  Object.assign(element.style, {
+    position: "fixed",
+    bottom: "24px",
+    left: "50%",
+    transform: "translateX(-50%)",
+    zIndex: "2147483647",
+    maxWidth: "420px",
+    padding: "10px 16px",
+    borderRadius: "8px",
+    color: "#fff",
+    font: "14px/1.4 system-ui, sans-serif",
+    boxShadow: "0 4px 12px rgba(0, 0, 0, 0.25)",
+    pointerEvents: "none",
+    transition: "opacity 0.2s",
+  });
+
+  return element;
+}
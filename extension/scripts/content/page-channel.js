@@ -0,0 +1,217 @@
+/**
+ * page-channel.js
+ * 接收頁面上下文經由私有 MessageChannel 送來的訊息，驗證後轉發到背景腳本
+ * 通道只有帶著內容腳本交付的驗證碼時才會接受，驗證碼以同步的 DOM 事件交付，不放在 DOM 屬性中
+ * 請求依協定的欄位結構驗證（包括 URL 必須是頁面的 Blob URL 或支援的 CDN），只轉發註冊和對應的動作
+ * 背景腳本的處理結果或錯誤會經由同一個通道回傳給頁面上下文
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MESSAGE_SOURCES,
+  MODULE_NAMES,
+  PAGE_CONTEXT_INJECTION,
+} from "../utils/constants.js";
+import { createMessage } from "../utils/message-protocol.js";
+import { callRuntime, createPortRpc, createRpcError } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.PAGE_CHANNEL);
+
+// 頁面上下文可以請求內容腳本執行的工作
+const PAGE_REQUEST_HANDLERS = {
+  [MESSAGE_ACTIONS.REGISTER_BLOB_URL]: forwardToBackground,
+  [MESSAGE_ACTIONS.REGISTER_AUDIO_URL]: forwardToBackground,
+  [MESSAGE_ACTIONS.REPORT_AUDIO_RESPONSE]: forwardToBackground,
+  [MESSAGE_ACTIONS.BIND_MEDIA_URL]: forwardToBackground,
+  [MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED]: handlePageContextInitialized,
+};
+
+// 與頁面上下文之間的私有通道，以及在其上的請求/回應呼叫
+let pagePort = null;
+let pageRpc = null;
+
+// 交付的通道必須帶有的驗證碼，每次注入頁面上下文時重新產生
+let expectedNonce = null;
+
+/**
+ * 開始等待頁面上下文交付私有通道
+ * 必須在 document_start 時呼叫：驗證碼以同步的 DOM 事件交給 MAIN world 的頁面上下文，
+ * 此時頁面腳本尚未執行，無法監聽事件取得驗證碼
+ */
+export function initPageChannel() {
+  expectedNonce = crypto.randomUUID();
+  window.addEventListener("message", handleChannelOffer);
+
+  // 頁面上下文可能比內容腳本先執行，已在等待驗證碼，直接交付
+  // 否則等待頁面上下文載入後請求，只回應第一個請求
+  if (!deliverNonce(window)) {
+    window.addEventListener(
+      PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT,
+      handleNonceRequest,
+      { once: true }
+    );
+  }
+
+  logger.debug("開始等待頁面上下文的私有通道");
+}
+
+/**
+ * 改為以 script 標籤注入頁面上下文（備用方式）時，重新產生驗證碼並只交給注入的腳本
+ * 背景腳本回報頁面上下文腳本沒有註冊時才會使用，先前接受的通道一定是頁面腳本偽造的，關閉後重新等待
+ * 驗證碼只在注入的腳本執行期間，經由腳本元素上的事件交付；頁面腳本此時已在執行，
+ * 這只能確保通道來自注入的腳本，無法防止頁面事先改寫頁面上下文使用的 API
+ *
+ * @param {HTMLScriptElement} script - 要注入的 script 標籤
+ */
+export function requireChannelNonce(script) {
+  expectedNonce = crypto.randomUUID();
+  window.removeEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT,
+    handleNonceRequest
+  );
+
+  if (pagePort) {
+    logger.warn("頁面上下文尚未載入卻已建立通道，關閉偽造的通道");
+    pagePort.close();
+    pagePort = null;
+    pageRpc = null;
+  }
+  window.addEventListener("message", handleChannelOffer);
+
+  const handleScriptNonceRequest = () => {
+    // 只回應注入的腳本在執行期間送出的請求，頁面腳本在腳本元素上觸發的事件不予理會
+    if (document.currentScript !== script) {
+      return;
+    }
+    script.removeEventListener(
+      PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT,
+      handleScriptNonceRequest
+    );
+    deliverNonce(script);
+  };
+  script.addEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT,
+    handleScriptNonceRequest
+  );
+}
+
+/**
+ * 回應 MAIN world 頁面上下文的驗證碼請求
+ *
+ * @private
+ */
+function handleNonceRequest() {
+  deliverNonce(window);
+}
+
+/**
+ * 以同步的 DOM 事件交付驗證碼
+ * 頁面上下文收到後取消事件作為確認，驗證碼不會留在 DOM 中
+ *
+ * @param {EventTarget} target - 頁面上下文等待驗證碼的目標
+ * @returns {boolean} - 頁面上下文已收到時返回 true
+ * @private
+ */
+function deliverNonce(target) {
+  const event = new CustomEvent(PAGE_CONTEXT_INJECTION.NONCE_DELIVERY_EVENT, {
+    detail: expectedNonce,
+    cancelable: true,
+  });
+  return !target.dispatchEvent(event);
+}
+
+/**
+ * 接受頁面上下文交付的通道，只接受第一個帶有目前驗證碼的通道
+ *
+ * @param {MessageEvent} event - 訊息事件
+ * @private
+ */
+function handleChannelOffer(event) {
+  if (event.source !== window || event.origin !== window.location.origin) {
+    return;
+  }
+
+  const data = event.data;
+  if (
+    !data ||
+    data.type !== MESSAGE_SOURCES.PAGE_CONTEXT ||
+    !data.message ||
+    data.message.action !== MESSAGE_ACTIONS.CHANNEL_OFFER ||
+    !event.ports[0]
+  ) {
+    return;
+  }
+  if (!expectedNonce || data.message.nonce !== expectedNonce) {
+    logger.warn("拒絕驗證碼不符的私有通道");
+    return;
+  }
+
+  // 之後收到的通道都可能是偽造的，不再監聽
+  window.removeEventListener("message", handleChannelOffer);
+
+  pagePort = event.ports[0];
+  pageRpc = createPortRpc(pagePort, PAGE_REQUEST_HANDLERS);
+  pagePort.postMessage(createMessage(MESSAGE_ACTIONS.CONTENT_SCRIPT_READY));
+
+  logger.info("已建立與頁面上下文的私有通道");
+}
+
+/**
+ * 檢查是否已與頁面上下文建立私有通道
+ * 通道只有在驗證交付者後才會建立，頁面腳本無法偽造這個狀態
+ *
+ * @returns {boolean} - 已建立時返回 true
+ */
+export function isPageChannelReady() {
+  return pageRpc !== null;
+}
+
+/**
+ * 呼叫頁面上下文並等待回應
+ *
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @param {Object} [options] - 選項，例如 { timeout }
+ * @returns {Promise<Object>} - 頁面上下文的成功回應
+ */
+export function callPageContext(action, payload, options) {
+  if (!pageRpc) {
+    return Promise.reject(
+      createRpcError(
+        MESSAGE_ERROR_CODES.NO_RECEIVER,
+        "尚未建立與頁面上下文的私有通道"
+      )
+    );
+  }
+
+  return pageRpc.call(action, payload, options);
+}
+
+/**
+ * 處理頁面上下文初始化完成的通知
+ *
+ * @returns {Object} - 空的結果
+ * @private
+ */
+function handlePageContextInitialized() {
+  logger.info("頁面上下文已初始化");
+  return {};
+}
+
+/**
+ * 將頁面上下文的請求轉發到背景腳本
+ * 請求已依協定的欄位結構驗證，包括 URL 的來源，只需去除協定欄位
+ * 頁面上下文指定的 target 也一併去除，請求只會送到背景腳本
+ * 背景腳本的回應或錯誤會回傳給頁面上下文
+ *
+ * @param {Object} message - 頁面上下文的請求，已依協定驗證
+ * @returns {Promise<Object>} - 背景腳本的成功回應
+ * @private
+ */
+function forwardToBackground(message) {
+  const { action, protocolVersion, target, rpcId, ...payload } = message;
+  return callRuntime(action, payload);
+}
@@ -1,16 +1,32 @@
 /**
  * page-context.js
  * 在頁面上下文中運行的腳本，負責執行需要頁面環境的功能
- * 這個檔案會以 ES6 模組的方式載入，可以使用 import/export 語法
+ * 通常由背景腳本註冊為 MAIN world 的 document_start 內容腳本，在頁面腳本執行前設置攔截器；
+ * 沒有註冊時由內容腳本以 script 標籤注入，內容腳本依背景腳本的回答只選擇其中一種方式
  */
 
 import { Logger } from "./utils/logger.js";
-import { MESSAGE_SOURCES, MODULE_NAMES } from "./utils/constants.js";
-import { initBlobMonitor } from "./page-context/blob-monitor.js";
+import { MESSAGE_ACTIONS, MODULE_NAMES } from "./utils/constants.js";
+import {
+  callContent,
+  initContentChannel,
+} from "./page-context/content-channel.js";
+import {
+  getBlobForDownload,
+  initBlobMonitor,
+} from "./page-context/blob-monitor.js";
+import { initMediaPrimer } from "./page-context/media-primer.js";
+import { initMediaElementMonitor } from "./page-context/media-element-monitor.js";
+import { initNetworkMonitor } from "./page-context/network-monitor.js";
 
 // 創建模組特定的日誌記錄器 - 使用新的模組名稱
 const logger = Logger.createModuleLogger(MODULE_NAMES.PAGE_CONTEXT);
 
+// 內容腳本可以經由私有通道請求頁面上下文執行的工作
+const CONTENT_REQUEST_HANDLERS = {
+  [MESSAGE_ACTIONS.GET_PAGE_BLOB]: handleGetPageBlob,
+};
+
 /**
  * 主要初始化函數
  */
@@ -27,6 +43,10 @@ function initialize() {
     return;
   }
 
+  // 建立與內容腳本的私有通道，攔截器設置後可能立即使用
+  // 必須同步呼叫，以 script 標籤注入時驗證碼只在腳本執行期間交付
+  initContentChannel(CONTENT_REQUEST_HANDLERS);
+
   try {
     // 初始化 Blob 監控模組
     logger.debug("準備初始化 Blob 監控模組");
@@ -36,47 +56,50 @@ function initialize() {
     logger.error("初始化 Blob 監控模組時出錯", { error });
   }
 
-  // 通知內容腳本頁面上下文已初始化
-  window.postMessage(
-    {
-      type: MESSAGE_SOURCES.PAGE_CONTEXT,
-      message: {
-        action: "pageContextInitialized",
-        url: window.location.href,
-        hostname: window.location.hostname,
-      },
-    },
-    "*"
-  );
+  try {
+    // 初始化網路請求監控，擷取 fetch/XHR 取得的音訊回應
+    initNetworkMonitor();
+  } catch (error) {
+    logger.error("初始化網路請求監控時出錯", { error });
+  }
 
-  // 定義向內容腳本發送訊息的輔助函數
-  window.sendToContent = function (message) {
-    try {
-      logger.debug("準備發送訊息到內容腳本", { message });
+  try {
+    // 初始化媒體元素監控，記錄元素與 URL 的確切對應關係
+    initMediaElementMonitor();
 
-      // 使用 postMessage 發送訊息
-      window.postMessage(
-        {
-          type: MESSAGE_SOURCES.PAGE_CONTEXT,
-          message: message,
-        },
-        "*"
-      );
+    // 初始化音訊預先載入功能，讓未播放過的語音訊息也能下載
+    // 必須在媒體元素監控之後，預先載入的播放才會經過監控
+    initMediaPrimer();
+  } catch (error) {
+    logger.error("初始化音訊預先載入功能時出錯", { error });
+  }
 
-      logger.debug("訊息已發送到內容腳本");
-      return true;
-    } catch (error) {
-      logger.error("發送訊息到內容腳本時發生錯誤", { error });
-      return false;
-    }
-  };
+  // 通知內容腳本頁面上下文已初始化
+  callContent(MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED, {
+    url: window.location.href,
+    hostname: window.location.hostname,
+  }).catch((error) => {
+    logger.warn("通知內容腳本失敗", { code: error.code, error: error.message });
+  });
 
   logger.info("頁面上下文模組已啟動");
 }
 
-// 當 DOM 完全載入後初始化
-if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initialize);
-} else {
-  initialize();
+/**
+ * 取得語音訊息的 Blob 交給內容腳本下載
+ * 只有頁面上下文能取得保留的 Blob，頁面撤銷 Blob URL 後仍可下載
+ *
+ * @param {Object} message - 包含 blobUrl 的請求
+ * @returns {Promise<Object>} - { blob }
+ */
+async function handleGetPageBlob(message) {
+  const blob = await getBlobForDownload(message.blobUrl);
+  logger.debug("已取得要下載的 Blob", {
+    blobUrl: message.blobUrl.substring(0, 50),
+    blobSize: blob.size,
+  });
+  return { blob };
 }
+
+// 立即初始化，攔截器必須在頁面建立第一個 Blob URL 之前設置
+initialize();
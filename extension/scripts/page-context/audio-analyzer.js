@@ -6,10 +6,11 @@
 import { Logger } from "../utils/logger.js";
 import {
   MODULE_NAMES,
-  SUPPORTED_SITES,
   BLOB_MONITOR_CONSTANTS,
   WEB_REQUEST_CONSTANTS,
+  DURATION_PRECISION,
 } from "../utils/constants.js";
+import { isCdnUrl } from "../utils/url-utils.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.AUDIO_ANALYZER);
@@ -38,12 +39,7 @@ export function isLikelyVoiceMessage(url, method, statusCode, metadata) {
   }
 
   // 2. 網域檢查：是否來自已知 CDN
-  const isFromKnownCdn = SUPPORTED_SITES.CDN_PATTERNS.some((pattern) => {
-    const domain = pattern.replace("*://*.", "").replace("/*", "");
-    return url.includes(domain);
-  });
-
-  if (!isFromKnownCdn) return false;
+  if (!isCdnUrl(url)) return false;
 
   // 3. 內容類型檢查：是否為音訊
   if (
@@ -68,6 +64,36 @@ export function isLikelyVoiceMessage(url, method, statusCode, metadata) {
   return true;
 }
 
+/**
+ * 從 Content-Disposition 標頭解析語音訊息檔名
+ * 格式範例：attachment; filename=audioclip-1742393117000-30999.mp4
+ * @param {string|null} contentDisposition - Content-Disposition 標頭值
+ * 檔名中的持續時間是整數毫秒，因此精度為 1 毫秒
+ * @returns {Object|null} - 包含 sentAtMs、durationMs 和 durationPrecisionMs 的物件，如果格式不符則返回 null
+ */
+export function parseAudioclipFilename(contentDisposition) {
+  if (!contentDisposition) return null;
+
+  const match = contentDisposition.match(
+    WEB_REQUEST_CONSTANTS.AUDIOCLIP_FILENAME_PATTERN
+  );
+  if (!match) return null;
+
+  const sentAtMs = parseInt(match[1], 10);
+  const durationMs = parseInt(match[2], 10);
+
+  if (isNaN(sentAtMs) || isNaN(durationMs) || durationMs <= 0) {
+    logger.debug("audioclip 檔名中的數值無效", { contentDisposition });
+    return null;
+  }
+
+  return {
+    sentAtMs,
+    durationMs,
+    durationPrecisionMs: DURATION_PRECISION.MILLISECOND,
+  };
+}
+
 // ===========================================
 // 獲得音訊持續時間
 // ===========================================
@@ -83,8 +109,8 @@ export function getAudioDuration(url) {
       url: url.substring(0, 50) + "...",
     });
 
-    // 創建音訊元素
-    const audio = new Audio();
+    // 創建音訊元素，不使用 Audio 建構函數，避免被媒體元素監控視為頁面的播放器
+    const audio = document.createElement("audio");
 
     // 關鍵設置：只預載 metadata，不下載整個檔案
     audio.preload = "metadata";
@@ -136,20 +162,16 @@ export function getAudioDuration(url) {
 }
 
 /**
- * 處理計算音訊持續時間的請求
- * @param {Object} message - 請求訊息
+ * 解碼音訊內容以計算持續時間，不需要建立 Blob URL
+ * @param {Blob} blob - 音訊內容
+ * @returns {Promise<number>} - 持續時間（毫秒）
  */
-export async function handleGetAudioDurationRequest(message) {
-  try {
-    // 使用 await 等待計算結果
-    const result = await getAudioDuration(message.url);
-
-    logger.debug("已取得音訊持續時間計算結果", result);
-    return result;
-  } catch (error) {
-    logger.error("計算音訊持續時間時發生錯誤", {
-      error: error.message,
-      url: message.url.substring(0, 50) + "...",
-    });
-  }
+export async function getAudioDurationFromBlob(blob) {
+  const arrayBuffer = await blob.arrayBuffer();
+
+  // OfflineAudioContext 不會播放聲音，也不受自動播放政策限制
+  const audioContext = new OfflineAudioContext(1, 1, 44100);
+  const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+  return Math.round(audioBuffer.duration * 1000);
 }
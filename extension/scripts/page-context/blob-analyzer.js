@@ -14,12 +14,12 @@ import {
 const logger = Logger.createModuleLogger(MODULE_NAMES.BLOB_ANALYZER);
 
 /**
- * 提取 Blob 內容並轉換為 base64 格式
+ * 透過 Blob URL 取得 Blob 物件
  *
  * @param {string} blobUrl - blob URL
- * @returns {Promise<Object>} - 包含 base64data、blobType 和 blobSize 的對象
+ * @returns {Promise<Blob>} - Blob 物件
  */
-export async function extractBlobContent(blobUrl) {
+export async function fetchBlob(blobUrl) {
   try {
     logger.debug("開始提取 blob 內容", { blobUrl });
 
@@ -38,44 +38,53 @@ export async function extractBlobContent(blobUrl) {
       blobSize: blob.size,
     });
 
-    // 將 blob 轉換為 base64
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => {
-        try {
-          // 確保我們取得正確的 base64 數據
-          const base64String = reader.result;
-          const base64data = base64String.split(",")[1];
-
-          if (!base64data) {
-            throw new Error("無法取得有效的 base64 數據");
-          }
-
-          logger.debug("成功將 blob 轉換為 base64", {
-            dataLength: base64data.length,
-          });
-
-          resolve({
-            base64data,
-            blobType: blob.type,
-            blobSize: blob.size,
-          });
-        } catch (innerError) {
-          logger.error("處理 base64 數據時發生錯誤", { error: innerError });
-          reject(innerError);
-        }
-      };
-      reader.onerror = () => {
-        reject(new Error("讀取 blob 內容失敗"));
-      };
-      reader.readAsDataURL(blob);
-    });
+    return blob;
   } catch (error) {
     logger.error("提取 blob 內容時發生錯誤", { error });
     throw error;
   }
 }
 
+/**
+ * 將 Blob 轉換為 base64 格式
+ *
+ * @param {Blob} blob - Blob 物件
+ * @returns {Promise<Object>} - 包含 base64data、blobType 和 blobSize 的對象
+ */
+export function readBlobAsBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        // 確保我們取得正確的 base64 數據
+        const base64String = reader.result;
+        const base64data = base64String.split(",")[1];
+
+        if (!base64data) {
+          throw new Error("無法取得有效的 base64 數據");
+        }
+
+        logger.debug("成功將 blob 轉換為 base64", {
+          dataLength: base64data.length,
+        });
+
+        resolve({
+          base64data,
+          blobType: blob.type,
+          blobSize: blob.size,
+        });
+      } catch (innerError) {
+        logger.error("處理 base64 數據時發生錯誤", { error: innerError });
+        reject(innerError);
+      }
+    };
+    reader.onerror = () => {
+      reject(new Error("讀取 blob 內容失敗"));
+    };
+    reader.readAsDataURL(blob);
+  });
+}
+
 /**
  * 檢查 Blob 是否可能是音訊檔案
  * 根據多項指標評估可能性並返回信心分數
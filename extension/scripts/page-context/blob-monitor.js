@@ -8,16 +8,27 @@ import {
   MESSAGE_ACTIONS,
   MODULE_NAMES,
   BLOB_MONITOR_CONSTANTS,
+  DURATION_PRECISION,
 } from "../utils/constants.js";
+import { isLikelyVoiceMessageBlob, fetchBlob } from "./blob-analyzer.js";
 import {
-  isLikelyVoiceMessageBlob,
-  extractBlobContent,
-} from "./blob-analyzer.js";
+  getRetainedBlob,
+  retainBlob,
+  setupRevokeMonitor,
+} from "./blob-retention-cache.js";
 import { getAudioDuration } from "./audio-analyzer.js";
+import { findCapturedResponse } from "./network-monitor.js";
+import { callContent } from "./content-channel.js";
 
 // 創建模組特定的日誌記錄器
 const logger = Logger.createModuleLogger(MODULE_NAMES.BLOB_MONITOR);
 
+// 原始的 URL.createObjectURL 方法，重組 MediaSource 片段時用來建立不經過監控的 Blob URL
+const originalCreateObjectURL = URL.createObjectURL;
+
+// 以 SourceBuffer 為鍵，記錄所屬的 MediaSource、音訊類型和已附加的片段
+const sourceBufferCaptures = new WeakMap();
+
 /**
  * Blob processing queue object
  */
@@ -49,6 +60,8 @@ const BlobProcessingQueue = {
 
   // 將 blob 加入處理隊列
   enqueue(blob, blobUrl) {
+    // 立即保留 Blob，避免頁面在分析或下載前撤銷 URL
+    retainBlob(blobUrl, blob);
     this.processingQueue.push({ blob, blobUrl });
     logger.debug("將 blob URL 加入處理隊列", {
       queueLength: this.processingQueue.length,
@@ -70,11 +83,14 @@ const BlobProcessingQueue = {
       // 標記為已處理
       this.processedBlobs.set(blob, true);
 
+      // Blob 就是頁面讀取的音訊回應時，記錄來源 URL 讓背景腳本合併 webRequest 取得的標頭資訊
+      const capturedResponse = findCapturedResponse(blob);
+
       // 計算音訊持續時間
       const durationMs = await getAudioDuration(blobUrl);
 
       // 註冊到背景腳本
-      registerBlobWithBackend(blob, blobUrl, durationMs);
+      registerBlobWithBackend(blob, blobUrl, durationMs, capturedResponse);
     } catch (error) {
       logger.error("處理隊列中的 blob 時發生錯誤", { error });
     } finally {
@@ -92,9 +108,6 @@ const BlobProcessingQueue = {
 export function setupBlobUrlMonitor() {
   logger.info("設置 Blob URL 監控");
 
-  // 保存原始的 URL.createObjectURL 方法
-  const originalCreateObjectURL = URL.createObjectURL;
-
   // 攔截 URL.createObjectURL 方法
   URL.createObjectURL = function (blob) {
     // 調用原始方法獲取 blob URL
@@ -115,19 +128,288 @@ export function setupBlobUrlMonitor() {
   logger.info("Blob URL 監控已設置");
 }
 
+/**
+ * 設置 MediaSource 監控
+ * 以 MSE 串流播放的語音訊息不會產生音訊 Blob，改為擷取附加到音訊 SourceBuffer 的片段，
+ * 在串流結束或整段音訊都已緩衝時重組成可下載的檔案
+ *
+ * 片段只有在依時間順序從頭附加到尾時才能直接串接，
+ * 頁面移除緩衝、中止附加、調整 timestampOffset 或跳轉後不連續附加時停止擷取，不註冊不完整的檔案
+ */
+export function setupMediaSourceMonitor() {
+  if (typeof MediaSource === "undefined") {
+    logger.debug("瀏覽器不支援 MediaSource，略過監控");
+    return;
+  }
+
+  const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+  const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+  const originalRemove = SourceBuffer.prototype.remove;
+  const originalAbort = SourceBuffer.prototype.abort;
+
+  MediaSource.prototype.addSourceBuffer = function (mimeType) {
+    const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+
+    try {
+      if (BLOB_MONITOR_CONSTANTS.MSE_AUDIO_MIME_PATTERN.test(mimeType)) {
+        sourceBufferCaptures.set(sourceBuffer, {
+          mediaSource: this,
+          mimeType,
+          segments: [],
+          totalBytes: 0,
+          bufferedEnd: 0,
+        });
+        sourceBuffer.addEventListener("updateend", () =>
+          checkBufferedRange(sourceBuffer)
+        );
+        this.addEventListener("sourceended", () => assembleMediaSource(this));
+        logger.debug("開始擷取 MediaSource 音訊片段", { mimeType });
+      }
+    } catch (error) {
+      logger.error("設置 SourceBuffer 擷取時發生錯誤", { error });
+    }
+
+    return sourceBuffer;
+  };
+
+  SourceBuffer.prototype.appendBuffer = function (data) {
+    try {
+      captureSegment(this, data);
+    } catch (error) {
+      logger.error("擷取 SourceBuffer 片段時發生錯誤", { error });
+    }
+    return originalAppendBuffer.apply(this, arguments);
+  };
+
+  SourceBuffer.prototype.remove = function () {
+    stopCapture(this, "remove()");
+    return originalRemove.apply(this, arguments);
+  };
+
+  SourceBuffer.prototype.abort = function () {
+    stopCapture(this, "abort()");
+    return originalAbort.apply(this, arguments);
+  };
+
+  hookTimestampOffset();
+
+  logger.info("MediaSource 監控已設置");
+}
+
+/**
+ * 攔截 SourceBuffer.prototype.timestampOffset 的 setter
+ * 已有片段後調整時間偏移，代表接下來的片段不是接在結尾，無法依附加順序串接
+ *
+ * @private
+ */
+function hookTimestampOffset() {
+  const descriptor = Object.getOwnPropertyDescriptor(
+    SourceBuffer.prototype,
+    "timestampOffset"
+  );
+  if (!descriptor || !descriptor.set) {
+    logger.warn("無法攔截 SourceBuffer.timestampOffset");
+    return;
+  }
+
+  Object.defineProperty(SourceBuffer.prototype, "timestampOffset", {
+    ...descriptor,
+    set(value) {
+      try {
+        const capture = sourceBufferCaptures.get(this);
+        if (capture && value !== descriptor.get.call(this)) {
+          stopCapture(this, "timestampOffset");
+        }
+      } catch (error) {
+        logger.error("處理 timestampOffset 變更時發生錯誤", { error });
+      }
+      descriptor.set.call(this, value);
+    },
+  });
+}
+
+/**
+ * 停止擷取 SourceBuffer 的片段
+ * 尚未附加任何片段時頁面的操作不影響之後的擷取，繼續擷取
+ *
+ * @param {SourceBuffer} sourceBuffer - SourceBuffer 物件
+ * @param {string} reason - 停止的原因，用於記錄
+ * @private
+ */
+function stopCapture(sourceBuffer, reason) {
+  const capture = sourceBufferCaptures.get(sourceBuffer);
+  if (!capture || capture.segments.length === 0) {
+    return;
+  }
+
+  sourceBufferCaptures.delete(sourceBuffer);
+  logger.debug("MediaSource 串流不是依序附加，停止擷取", { reason });
+}
+
+/**
+ * 每次附加完成後檢查緩衝範圍
+ * 緩衝範圍必須是從頭開始的單一連續範圍且只會往後延伸，否則代表跳轉後的不連續附加；
+ * 範圍到達 MediaSource 的持續時間時，不必等待 sourceended 即可重組
+ *
+ * @param {SourceBuffer} sourceBuffer - SourceBuffer 物件
+ * @private
+ */
+function checkBufferedRange(sourceBuffer) {
+  const capture = sourceBufferCaptures.get(sourceBuffer);
+  if (!capture) {
+    return;
+  }
+
+  const tolerance = BLOB_MONITOR_CONSTANTS.MSE_BUFFERED_TOLERANCE;
+  let buffered;
+  try {
+    buffered = sourceBuffer.buffered;
+  } catch (error) {
+    // SourceBuffer 已從 MediaSource 移除
+    stopCapture(sourceBuffer, "detached");
+    return;
+  }
+
+  if (buffered.length === 0) {
+    return;
+  }
+
+  const bufferedEnd = buffered.end(0);
+  if (
+    buffered.length > 1 ||
+    buffered.start(0) > tolerance ||
+    bufferedEnd < capture.bufferedEnd - tolerance
+  ) {
+    stopCapture(sourceBuffer, "buffered ranges");
+    return;
+  }
+  capture.bufferedEnd = bufferedEnd;
+
+  const { duration } = capture.mediaSource;
+  if (isFinite(duration) && bufferedEnd >= duration - tolerance) {
+    assembleSourceBuffer(sourceBuffer, capture, duration);
+  }
+}
+
+/**
+ * 複製附加到音訊 SourceBuffer 的片段
+ * 頁面可能會重複使用傳入的緩衝區，因此必須立即複製
+ *
+ * @param {SourceBuffer} sourceBuffer - SourceBuffer 物件
+ * @param {ArrayBuffer|ArrayBufferView} data - 附加的資料
+ * @private
+ */
+function captureSegment(sourceBuffer, data) {
+  const capture = sourceBufferCaptures.get(sourceBuffer);
+  if (!capture) {
+    return;
+  }
+
+  const bytes = ArrayBuffer.isView(data)
+    ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+    : new Uint8Array(data);
+
+  // 超過合理大小的串流不是語音訊息，停止擷取
+  if (
+    capture.totalBytes + bytes.byteLength >
+    BLOB_MONITOR_CONSTANTS.MAX_VALID_AUDIO_SIZE
+  ) {
+    sourceBufferCaptures.delete(sourceBuffer);
+    logger.debug("MediaSource 串流過大，停止擷取");
+    return;
+  }
+
+  capture.segments.push(bytes.slice());
+  capture.totalBytes += bytes.byteLength;
+}
+
+/**
+ * 在串流結束時重組 MediaSource 中仍在擷取的音訊 SourceBuffer
+ *
+ * @param {MediaSource} mediaSource - 已結束串流的 MediaSource
+ * @private
+ */
+function assembleMediaSource(mediaSource) {
+  for (const sourceBuffer of Array.from(mediaSource.sourceBuffers)) {
+    const capture = sourceBufferCaptures.get(sourceBuffer);
+    if (capture) {
+      assembleSourceBuffer(sourceBuffer, capture, mediaSource.duration);
+    }
+  }
+}
+
+/**
+ * 將擷取的片段重組成檔案，並透過 REGISTER_BLOB_URL 流程註冊
+ * 片段依附加順序串接（初始化片段 + 媒體片段），即為可播放的 fragmented MP4 / WebM；
+ * 不是依序附加的串流已在 stopCapture 中停止擷取，不會到達這裡
+ *
+ * @param {SourceBuffer} sourceBuffer - SourceBuffer 物件
+ * @param {Object} capture - 擷取的片段
+ * @param {number} duration - MediaSource 的持續時間（秒），未知時為 NaN
+ * @private
+ */
+async function assembleSourceBuffer(sourceBuffer, capture, duration) {
+  // 每個 SourceBuffer 只重組一次
+  sourceBufferCaptures.delete(sourceBuffer);
+  if (capture.segments.length === 0) {
+    return;
+  }
+
+  try {
+    // 去掉 codecs 參數，只保留 MIME 類型
+    const blobType = capture.mimeType.split(";")[0].trim();
+    const blob = new Blob(capture.segments, { type: blobType });
+    const blobUrl = originalCreateObjectURL.call(URL, blob);
+
+    const durationMs = isFinite(duration)
+      ? Math.round(duration * 1000)
+      : await getAudioDuration(blobUrl);
+
+    logger.info("已重組 MediaSource 音訊串流", {
+      blobType,
+      blobSize: blob.size,
+      segments: capture.segments.length,
+      durationMs,
+    });
+
+    BlobProcessingQueue.processedBlobs.set(blob, true);
+    retainBlob(blobUrl, blob, { ownsUrl: true });
+    registerBlobWithBackend(blob, blobUrl, durationMs, null);
+  } catch (error) {
+    logger.error("重組 MediaSource 音訊串流時發生錯誤", { error });
+  }
+}
+
 /**
  * 向背景腳本註冊 Blob
+ *
+ * @param {Blob} blob - Blob 物件
+ * @param {string} blobUrl - Blob URL
+ * @param {number} durationMs - 持續時間（毫秒）
+ * @param {Object|null} [capturedResponse] - 網路請求監控擷取到的對應回應
  */
-function registerBlobWithBackend(blob, blobUrl, durationMs) {
-  // 使用 sendToContent 函數發送訊息
-  window.sendToContent({
-    action: MESSAGE_ACTIONS.REGISTER_BLOB_URL,
+function registerBlobWithBackend(blob, blobUrl, durationMs, capturedResponse) {
+  // 透過私有通道請內容腳本轉發到背景腳本，並等待註冊結果
+  callContent(MESSAGE_ACTIONS.REGISTER_BLOB_URL, {
     blobUrl: blobUrl,
     blobType: blob.type,
     blobSize: blob.size,
     durationMs: durationMs,
+    // 持續時間來自音訊的 metadata 或解碼結果，精確到毫秒
+    durationPrecisionMs: DURATION_PRECISION.MILLISECOND,
+    lastModified: capturedResponse ? capturedResponse.lastModified : null,
+    sourceUrl: capturedResponse ? capturedResponse.url : null,
     timestamp: new Date().toISOString(),
-  });
+  })
+    .then((response) => {
+      logger.debug("背景腳本已註冊 blob url", { id: response.id });
+    })
+    .catch((error) => {
+      logger.warn("註冊 blob url 失敗", {
+        code: error.code,
+        error: error.message,
+      });
+    });
 
   // 記錄詳細資訊
   logger.info("向內容腳本發送 blob url 註冊資訊", {
@@ -149,48 +431,14 @@ function setupPeriodicCleanup() {
 }
 
 /**
- * 處理提取 blob 內容的請求
+ * 取得要下載的 Blob
+ * 優先使用保留的 Blob，頁面可能已撤銷 Blob URL
  *
- * @param {Object} message - 包含 blobUrl 的消息對象
- * @param {Function} sendResponse - 回應函數
- * @returns {boolean} - 標示是否保持連接開啟
+ * @param {string} blobUrl - Blob URL
+ * @returns {Promise<Blob>} - Blob 物件
  */
-export async function handleExtractBlobRequest(message, sendResponse) {
-  logger.debug("收到提取 blob 內容要求", {
-    blobUrl: message.blobUrl,
-    blobType: message.blobType,
-    requestId: message.requestId,
-  });
-
-  try {
-    // 提取 blob 內容
-    const result = await extractBlobContent(message.blobUrl);
-    logger.debug("提取 blob 內容成功，發送回背景腳本");
-
-    // 構建結果並發送到背景腳本
-    chrome.runtime.sendMessage(
-      {
-        action: MESSAGE_ACTIONS.DOWNLOAD_BLOB,
-        blobType: result.blobType,
-        base64data: result.base64data,
-        requestId: message.requestId,
-        timestamp: new Date().toISOString(),
-      },
-      (response) => {
-        logger.debug("背景腳本回應下載要求", { response });
-      }
-    );
-
-    sendResponse({
-      success: true,
-      message: "已發送 blob 內容到背景腳本進行下載",
-    });
-  } catch (error) {
-    logger.error("提取 blob 內容失敗", { error });
-    sendResponse({ success: false, error: error.message });
-  }
-
-  return true; // 保持連接開啟，以便異步回應
+export async function getBlobForDownload(blobUrl) {
+  return getRetainedBlob(blobUrl) || (await fetchBlob(blobUrl));
 }
 
 /**
@@ -203,6 +451,12 @@ export function initBlobMonitor() {
     // 設置 URL 監控
     setupBlobUrlMonitor();
 
+    // 設置 MediaSource 監控，擷取以 MSE 串流播放的語音訊息
+    setupMediaSourceMonitor();
+
+    // 設置 Blob URL 撤銷監控，讓已保留的語音訊息在撤銷後仍可下載
+    setupRevokeMonitor();
+
     // 設置定期清理
     setupPeriodicCleanup();
 
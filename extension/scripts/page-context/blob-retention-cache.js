@@ -0,0 +1,117 @@
+/**
+ * blob-retention-cache.js
+ * 保留語音訊息的 Blob 物件，讓頁面撤銷 Blob URL 之後仍然可以下載
+ * 快取依最近使用順序（LRU）和總大小上限淘汰項目
+ */
+
+import { Logger } from "../utils/logger.js";
+import { MODULE_NAMES, BLOB_RETENTION_CONSTANTS } from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.BLOB_RETENTION_CACHE);
+
+// 原始的 URL.revokeObjectURL 方法
+const originalRevokeObjectURL = URL.revokeObjectURL;
+
+// 以 Blob URL 為鍵的保留項目，Map 的插入順序即為最近使用順序（最舊的在前）
+const retainedBlobs = new Map();
+
+// 目前保留的總位元組數
+let totalRetainedBytes = 0;
+
+/**
+ * 保留語音訊息的 Blob
+ *
+ * @param {string} blobUrl - Blob URL
+ * @param {Blob} blob - Blob 物件
+ * @param {Object} [options] - 選項
+ * @param {boolean} [options.ownsUrl=false] - Blob URL 是否由擴充功能自行建立，淘汰時需要撤銷
+ */
+export function retainBlob(blobUrl, blob, { ownsUrl = false } = {}) {
+  if (blob.size > BLOB_RETENTION_CONSTANTS.MAX_TOTAL_SIZE) {
+    logger.debug("Blob 超過保留上限，不保留", { blobSize: blob.size });
+    return;
+  }
+
+  const existing = retainedBlobs.get(blobUrl);
+  if (existing) {
+    retainedBlobs.delete(blobUrl);
+    totalRetainedBytes -= existing.blob.size;
+  }
+
+  retainedBlobs.set(blobUrl, { blob, ownsUrl, isRevoked: false });
+  totalRetainedBytes += blob.size;
+
+  evictIfNeeded();
+}
+
+/**
+ * 取得保留的 Blob，並將其標記為最近使用
+ *
+ * @param {string} blobUrl - Blob URL
+ * @returns {Blob|null} - Blob 物件，不在快取中則返回 null
+ */
+export function getRetainedBlob(blobUrl) {
+  const entry = retainedBlobs.get(blobUrl);
+  if (!entry) {
+    return null;
+  }
+
+  retainedBlobs.delete(blobUrl);
+  retainedBlobs.set(blobUrl, entry);
+  return entry.blob;
+}
+
+/**
+ * 設置 Blob URL 撤銷監控
+ * 頁面撤銷仍在快取中的 Blob URL 時延後真正的撤銷，直到項目被淘汰，
+ * 讓使用 Blob URL 的下載和持續時間分析仍能成功
+ */
+export function setupRevokeMonitor() {
+  URL.revokeObjectURL = function (blobUrl) {
+    const entry = retainedBlobs.get(blobUrl);
+    if (entry) {
+      entry.isRevoked = true;
+      logger.debug("延後撤銷仍在保留中的 Blob URL", {
+        blobUrl: String(blobUrl).substring(0, 50),
+      });
+      return;
+    }
+
+    return originalRevokeObjectURL.apply(this, arguments);
+  };
+
+  logger.info("Blob URL 撤銷監控已設置");
+}
+
+/**
+ * 淘汰最久未使用的項目，直到數量和總大小都在上限內
+ *
+ * @private
+ */
+function evictIfNeeded() {
+  const { MAX_ENTRIES, MAX_TOTAL_SIZE } = BLOB_RETENTION_CONSTANTS;
+
+  for (const [blobUrl, entry] of retainedBlobs) {
+    if (
+      retainedBlobs.size <= MAX_ENTRIES &&
+      totalRetainedBytes <= MAX_TOTAL_SIZE
+    ) {
+      break;
+    }
+
+    retainedBlobs.delete(blobUrl);
+    totalRetainedBytes -= entry.blob.size;
+
+    // 頁面已要求撤銷，或是由擴充功能自行建立的 URL，淘汰時才真正撤銷
+    if (entry.isRevoked || entry.ownsUrl) {
+      originalRevokeObjectURL.call(URL, blobUrl);
+    }
+
+    logger.debug("從保留快取淘汰 Blob", {
+      blobUrl: blobUrl.substring(0, 50),
+      remainingEntries: retainedBlobs.size,
+      totalRetainedBytes,
+    });
+  }
+}
@@ -0,0 +1,167 @@
+/**
+ * content-channel.js
+ * 頁面上下文與內容腳本之間的私有通道
+ * 以 MessageChannel 的 port 傳送訊息，port 只存在於本模組的閉包中，頁面上的其他腳本無法取得或偽造
+ * 通道建立後以請求/回應的方式呼叫，頁面上下文可以等待背景腳本的處理結果，內容腳本也可以向頁面上下文請求資料
+ * 交付通道前先以同步的 DOM 事件向內容腳本取得驗證碼，交付時附上，內容腳本只接受帶有該驗證碼的通道
+ */
+
+import { Logger } from "../utils/logger.js";
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MESSAGE_SOURCES,
+  MODULE_NAMES,
+  PAGE_CONTEXT_INJECTION,
+  RPC_CONSTANTS,
+} from "../utils/constants.js";
+import { createMessage } from "../utils/message-protocol.js";
+import { createPortRpc, createRpcError } from "../utils/rpc.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.CONTENT_CHANNEL);
+
+// 內容腳本可以請求頁面上下文執行的工作
+let requestHandlers = {};
+
+// 等待內容腳本交付驗證碼的目標：以 script 標籤注入時為該標籤，由 MAIN world 內容腳本載入時為 window
+let nonceTarget = null;
+
+// 通道建立後的請求/回應呼叫
+// MAIN world 腳本在 document_start 執行，內容腳本可能尚未開始監聽，就緒前的呼叫先等待
+let resolveChannelReady;
+const channelReady = new Promise((resolve) => {
+  resolveChannelReady = resolve;
+});
+
+/**
+ * 建立與內容腳本的私有通道
+ * 必須在頁面腳本執行前同步呼叫：驗證碼以同步的 DOM 事件交付，頁面腳本無法在此之前監聽；
+ * 以 script 標籤注入時也必須在腳本執行期間呼叫，內容腳本只回應此時送出的請求
+ *
+ * @param {Object} [handlers] - 內容腳本可以請求的動作與對應的處理器
+ */
+export function initContentChannel(handlers = {}) {
+  requestHandlers = handlers;
+
+  // 由 MAIN world 內容腳本載入時 document.currentScript 為 null
+  nonceTarget = document.currentScript || window;
+  nonceTarget.addEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_DELIVERY_EVENT,
+    handleNonceDelivery
+  );
+
+  // 內容腳本已在監聽時會立即交付；否則內容腳本載入後會主動交付
+  nonceTarget.dispatchEvent(
+    new CustomEvent(PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT)
+  );
+}
+
+/**
+ * 收到內容腳本交付的驗證碼後交付通道，只接受第一個驗證碼
+ *
+ * @param {CustomEvent} event - 驗證碼事件，detail 為驗證碼
+ * @private
+ */
+function handleNonceDelivery(event) {
+  if (typeof event.detail !== "string" || !event.detail) {
+    return;
+  }
+
+  // 取消事件讓內容腳本知道驗證碼已送達
+  event.preventDefault();
+  nonceTarget.removeEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_DELIVERY_EVENT,
+    handleNonceDelivery
+  );
+
+  offerChannel(event.detail);
+}
+
+/**
+ * 建立新的通道並將其中一端連同驗證碼交給內容腳本
+ *
+ * @param {string} nonce - 內容腳本交付的驗證碼
+ * @private
+ */
+function offerChannel(nonce) {
+  const channel = new MessageChannel();
+  const port = channel.port1;
+  port.onmessage = (event) => handleContentScriptMessage(event, port);
+
+  window.postMessage(
+    {
+      type: MESSAGE_SOURCES.PAGE_CONTEXT,
+      message: createMessage(MESSAGE_ACTIONS.CHANNEL_OFFER, { nonce }),
+    },
+    window.location.origin,
+    [channel.port2]
+  );
+
+  logger.debug("已將私有通道交給內容腳本");
+}
+
+/**
+ * 透過私有通道呼叫內容腳本並等待回應
+ * 內容腳本就緒前先等待，逾時包含等待就緒的時間，內容腳本始終沒有就緒時也不會永遠等待
+ *
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @param {Object} [options] - 選項，例如 { timeout }
+ * @returns {Promise<Object>} - 內容腳本的成功回應
+ */
+export async function callContent(action, payload, options = {}) {
+  const { timeout = RPC_CONSTANTS.DEFAULT_TIMEOUT } = options;
+  const startedAt = Date.now();
+
+  const channelRpc = await waitForChannelReady(action, timeout);
+  logger.debug("呼叫內容腳本", { action });
+  return channelRpc.call(action, payload, {
+    ...options,
+    timeout: Math.max(timeout - (Date.now() - startedAt), 0),
+  });
+}
+
+/**
+ * 等待內容腳本就緒
+ *
+ * @param {string} action - 等待中的訊息動作，用於錯誤資訊
+ * @param {number} timeout - 最長等待時間（毫秒）
+ * @returns {Promise<Object>} - 通道上的請求/回應呼叫
+ * @private
+ */
+function waitForChannelReady(action, timeout) {
+  let timer;
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () =>
+        reject(
+          createRpcError(MESSAGE_ERROR_CODES.TIMEOUT, "等待內容腳本就緒逾時", {
+            action,
+          })
+        ),
+      timeout
+    );
+  });
+
+  return Promise.race([channelReady, timeoutPromise]).finally(() =>
+    clearTimeout(timer)
+  );
+}
+
+/**
+ * 處理內容腳本經由交付的 port 送來的就緒訊息
+ *
+ * @param {MessageEvent} event - 訊息事件
+ * @param {MessagePort} port - 收到訊息的 port
+ * @private
+ */
+function handleContentScriptMessage(event, port) {
+  const message = event.data;
+  if (!message || message.action !== MESSAGE_ACTIONS.CONTENT_SCRIPT_READY) {
+    return;
+  }
+
+  logger.debug("內容腳本已就緒，開始處理等待中的呼叫");
+  resolveChannelReady(createPortRpc(port, requestHandlers));
+}
@@ -0,0 +1,242 @@
+/**
+ * media-element-monitor.js
+ * 在頁面上下文中監控 HTMLMediaElement 的 src、play() 和 Audio 建構函數
+ * 記錄每個媒體元素屬於哪一則語音訊息（滑桿），並將元素與 URL 的確切對應關係註冊到背景腳本
+ * 有了確切的對應關係，匹配就不再需要依賴持續時間
+ */
+
+import { findSliderForPlayButton } from "../content/dom-utils.js";
+import { Logger } from "../utils/logger.js";
+import {
+  DOM_CONSTANTS,
+  DURATION_PRECISION,
+  MESSAGE_ACTIONS,
+  MODULE_NAMES,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+import { callContent } from "./content-channel.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.MEDIA_ELEMENT_MONITOR);
+
+// 媒體元素對應的語音訊息元素 ID
+const mediaBindings = new WeakMap();
+
+// 每個媒體元素最後一次回報的 URL，避免重複回報
+const reportedUrls = new WeakMap();
+
+// 最近一次點擊的語音訊息播放按鈕 { elementId, time }
+let lastPlayClick = null;
+
+// 是否已初始化
+let isInitialized = false;
+
+/**
+ * 初始化媒體元素監控
+ */
+export function initMediaElementMonitor() {
+  if (isInitialized) {
+    return;
+  }
+  isInitialized = true;
+
+  trackPlayButtonClicks();
+  hookMediaSrc();
+  hookMediaPlay();
+  hookAudioConstructor();
+
+  logger.info("媒體元素監控已設置");
+}
+
+/**
+ * 記錄使用者點擊的語音訊息播放按鈕
+ * 語音訊息的音訊通常是不在 DOM 中的 Audio 物件，只能透過點擊推斷它屬於哪個滑桿
+ * 只處理內容腳本已標記的語音訊息容器內的點擊，頁面上其他的點擊不需要搜尋滑桿
+ *
+ * @private
+ */
+function trackPlayButtonClicks() {
+  document.addEventListener(
+    "click",
+    (event) => {
+      const container =
+        event.target instanceof Element
+          ? event.target.closest(
+              `[${DOM_CONSTANTS.VOICE_MESSAGE_CONTAINER_ATTRIBUTE}]`
+            )
+          : null;
+      const button = container ? event.target.closest('[role="button"]') : null;
+      if (!button || !container.contains(button)) {
+        return;
+      }
+
+      lastPlayClick = {
+        elementId: container.getAttribute(
+          DOM_CONSTANTS.VOICE_MESSAGE_CONTAINER_ATTRIBUTE
+        ),
+        time: Date.now(),
+      };
+    },
+    true
+  );
+}
+
+/**
+ * 攔截 HTMLMediaElement.prototype.src 的 setter
+ * 已知所屬語音訊息的元素更換 URL 時（例如簽名更新），重新回報對應關係
+ *
+ * @private
+ */
+function hookMediaSrc() {
+  const descriptor = Object.getOwnPropertyDescriptor(
+    HTMLMediaElement.prototype,
+    "src"
+  );
+  if (!descriptor || !descriptor.set) {
+    logger.warn("無法攔截 HTMLMediaElement.src");
+    return;
+  }
+
+  Object.defineProperty(HTMLMediaElement.prototype, "src", {
+    ...descriptor,
+    set(value) {
+      descriptor.set.call(this, value);
+      try {
+        if (mediaBindings.has(this)) {
+          reportBinding(this, mediaBindings.get(this));
+        }
+      } catch (error) {
+        logger.error("處理媒體元素 src 變更時發生錯誤", { error });
+      }
+    },
+  });
+}
+
+/**
+ * 攔截 HTMLMediaElement.prototype.play
+ * 播放時找出媒體元素所屬的語音訊息，並回報元素與 URL 的對應關係
+ *
+ * @private
+ */
+function hookMediaPlay() {
+  const originalPlay = HTMLMediaElement.prototype.play;
+
+  HTMLMediaElement.prototype.play = function (...args) {
+    try {
+      const elementId = resolveElementId(this);
+      if (elementId) {
+        mediaBindings.set(this, elementId);
+        reportBinding(this, elementId);
+      }
+    } catch (error) {
+      logger.error("處理媒體元素播放時發生錯誤", { error });
+    }
+    return originalPlay.apply(this, args);
+  };
+}
+
+/**
+ * 攔截 Audio 建構函數，記錄在點擊播放按鈕後建立的 Audio 物件
+ * 這類物件通常在點擊處理中建立並立即播放
+ *
+ * @private
+ */
+function hookAudioConstructor() {
+  const OriginalAudio = window.Audio;
+
+  function Audio(...args) {
+    const audio = new OriginalAudio(...args);
+    try {
+      const elementId = getRecentlyClickedElementId();
+      if (elementId) {
+        mediaBindings.set(audio, elementId);
+      }
+    } catch (error) {
+      logger.error("處理 Audio 建構時發生錯誤", { error });
+    }
+    return audio;
+  }
+
+  Audio.prototype = OriginalAudio.prototype;
+  window.Audio = Audio;
+}
+
+/**
+ * 找出媒體元素所屬的語音訊息元素 ID
+ * 依序使用：DOM 位置、先前記錄的對應關係、最近點擊的播放按鈕
+ *
+ * @param {HTMLMediaElement} media - 媒體元素
+ * @returns {string|null} - 語音訊息元素 ID，無法確定時返回 null
+ * @private
+ */
+function resolveElementId(media) {
+  if (media.isConnected) {
+    const slider = findSliderForPlayButton(media);
+    const elementId = slider
+      ? slider.getAttribute(DOM_CONSTANTS.VOICE_MESSAGE_ID_ATTRIBUTE)
+      : null;
+    if (elementId) {
+      return elementId;
+    }
+  }
+
+  // 最近的點擊比舊的對應關係更可信，播放器可能在不同語音訊息間重複使用同一個元素
+  return getRecentlyClickedElementId() || mediaBindings.get(media) || null;
+}
+
+/**
+ * 取得最近點擊的播放按鈕所屬的語音訊息元素 ID
+ *
+ * @returns {string|null} - 語音訊息元素 ID，沒有最近的點擊時返回 null
+ * @private
+ */
+function getRecentlyClickedElementId() {
+  if (
+    lastPlayClick &&
+    Date.now() - lastPlayClick.time <= TIME_CONSTANTS.PLAY_CLICK_BINDING_WINDOW
+  ) {
+    return lastPlayClick.elementId;
+  }
+  return null;
+}
+
+/**
+ * 向背景腳本回報媒體元素與 URL 的對應關係
+ *
+ * @param {HTMLMediaElement} media - 媒體元素
+ * @param {string} elementId - 語音訊息元素 ID
+ * @private
+ */
+function reportBinding(media, elementId) {
+  const url = media.currentSrc || media.src;
+  if (!url || !/^(https?|blob):/.test(url)) {
+    return;
+  }
+
+  const reportKey = `${elementId}|${url}`;
+  if (reportedUrls.get(media) === reportKey) {
+    return;
+  }
+  reportedUrls.set(media, reportKey);
+
+  logger.debug("回報語音訊息元素與媒體 URL 的對應關係", {
+    elementId,
+    url: url.substring(0, 50) + "...",
+  });
+
+  callContent(MESSAGE_ACTIONS.BIND_MEDIA_URL, {
+    elementId,
+    url,
+    durationMs:
+      isFinite(media.duration) && media.duration > 0
+        ? Math.round(media.duration * 1000)
+        : null,
+    durationPrecisionMs: DURATION_PRECISION.MILLISECOND,
+    timestamp: new Date().toISOString(),
+  }).catch((error) => {
+    logger.warn("回報媒體 URL 對應關係失敗", {
+      code: error.code,
+      error: error.message,
+    });
+  });
+}
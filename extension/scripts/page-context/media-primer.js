@@ -0,0 +1,165 @@
+/**
+ * media-primer.js
+ * 在頁面上下文中攔截 HTMLMediaElement.play()，讓內容腳本觸發的播放只以靜音方式載入音訊
+ * 音訊載入後立即停止並恢復原本的播放狀態，頁面的請求則會讓背景腳本擷取到下載 URL
+ *
+ * 內容腳本在點擊播放按鈕前，會在目標語音訊息的滑桿上設置 DOM_CONSTANTS.MEDIA_PRIME_ATTRIBUTE，
+ * 兩個執行環境共用 DOM，因此可以同步地傳遞這個請求
+ * 請求只對點擊該滑桿播放按鈕後觸發的 play() 有效，其他媒體元素的播放不受影響
+ */
+
+import { findSliderForPlayButton } from "../content/dom-utils.js";
+import { Logger } from "../utils/logger.js";
+import {
+  DOM_CONSTANTS,
+  MODULE_NAMES,
+  TIME_CONSTANTS,
+} from "../utils/constants.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.MEDIA_PRIMER);
+
+// 原始的 play 方法
+let originalPlay = null;
+
+// 已點擊播放按鈕、等待 play() 的預先載入請求 { slider, until }
+let pendingPrime = null;
+
+/**
+ * 初始化音訊預先載入功能
+ */
+export function initMediaPrimer() {
+  if (originalPlay) {
+    return;
+  }
+
+  originalPlay = HTMLMediaElement.prototype.play;
+
+  document.addEventListener("click", trackPrimedClick, true);
+
+  HTMLMediaElement.prototype.play = function (...args) {
+    if (consumePrimeRequest(this)) {
+      return primeMediaElement(this, args);
+    }
+    return originalPlay.apply(this, args);
+  };
+
+  logger.debug("已攔截 HTMLMediaElement.play");
+}
+
+/**
+ * 記錄點擊的播放按鈕是否屬於內容腳本請求預先載入的語音訊息
+ * 點擊其他播放按鈕時取消尚未使用的請求，使用者自己播放的語音訊息不會被靜音
+ *
+ * @param {MouseEvent} event - 點擊事件
+ * @private
+ */
+function trackPrimedClick(event) {
+  const primedSlider = document.querySelector(
+    `[${DOM_CONSTANTS.MEDIA_PRIME_ATTRIBUTE}]`
+  );
+  if (!primedSlider && !pendingPrime) {
+    return;
+  }
+
+  const button =
+    event.target instanceof Element
+      ? event.target.closest('[role="button"]')
+      : null;
+  const slider = button ? findSliderForPlayButton(button) : null;
+
+  if (slider && slider === primedSlider) {
+    const until = Number(
+      slider.getAttribute(DOM_CONSTANTS.MEDIA_PRIME_ATTRIBUTE)
+    );
+    slider.removeAttribute(DOM_CONSTANTS.MEDIA_PRIME_ATTRIBUTE);
+    pendingPrime = until >= Date.now() ? { slider, until } : null;
+  } else if (slider) {
+    pendingPrime = null;
+  }
+}
+
+/**
+ * 檢查並取用預先載入請求，每個請求只作用於下一次 play()
+ * 在 DOM 中的媒體元素必須屬於請求的語音訊息；不在 DOM 中的 Audio 物件只能依點擊判斷
+ *
+ * @param {HTMLMediaElement} media - 呼叫 play() 的媒體元素
+ * @returns {boolean} - 如果這次播放屬於未過期的預先載入請求則返回 true
+ * @private
+ */
+function consumePrimeRequest(media) {
+  if (!pendingPrime) {
+    return false;
+  }
+
+  const { slider, until } = pendingPrime;
+  if (until < Date.now()) {
+    pendingPrime = null;
+    return false;
+  }
+
+  if (media.isConnected && findSliderForPlayButton(media) !== slider) {
+    return false;
+  }
+
+  pendingPrime = null;
+  return true;
+}
+
+/**
+ * 以靜音方式播放音訊直到資料載入，然後停止並恢復原本的狀態
+ * 點擊播放按鈕會讓 Messenger 的播放按鈕和進度條切換為播放中，
+ * 介面依媒體元素的 pause、seeked 等事件更新，因此經由媒體元素恢復暫停狀態和播放位置，介面會跟著恢復
+ *
+ * @param {HTMLMediaElement} media - 媒體元素
+ * @param {Array} args - play() 的原始參數
+ * @returns {Promise<void>} - play() 的結果
+ * @private
+ */
+function primeMediaElement(media, args) {
+  const originalState = {
+    muted: media.muted,
+    paused: media.paused,
+    preload: media.preload,
+    currentTime: media.currentTime,
+  };
+
+  logger.debug("以靜音方式預先載入語音訊息", {
+    src: media.currentSrc ? media.currentSrc.substring(0, 50) + "..." : null,
+  });
+
+  media.muted = true;
+  media.preload = "auto";
+
+  let restored = false;
+  const restore = () => {
+    if (restored) {
+      return;
+    }
+    restored = true;
+    clearTimeout(timer);
+    media.removeEventListener("playing", restore);
+    media.removeEventListener("error", restore);
+
+    if (originalState.paused) {
+      media.pause();
+    }
+    if (media.currentTime !== originalState.currentTime) {
+      media.currentTime = originalState.currentTime;
+    }
+    media.muted = originalState.muted;
+    media.preload = originalState.preload;
+    logger.debug("已恢復媒體元素的播放狀態");
+  };
+
+  // 開始播放代表音訊已經開始下載，此時停止即可
+  media.addEventListener("playing", restore);
+  media.addEventListener("error", restore);
+  const timer = setTimeout(restore, TIME_CONSTANTS.AUDIO_LOAD_TIMEOUT);
+
+  const result = originalPlay.apply(media, args);
+  if (result && typeof result.catch === "function") {
+    result.catch(restore);
+  }
+  return result;
+}
@@ -0,0 +1,185 @@
+/**
+ * network-monitor.js
+ * 在頁面上下文中攔截 window.fetch 和 XMLHttpRequest，回報來自 CDN 的音訊回應
+ * 只回報最終 URL 和 CORS 公開的標頭，不複製或解碼頁面的回應，持續時間由背景腳本在 offscreen 文件中計算
+ * 頁面的 Service Worker 發起的請求在 webRequest 中沒有標籤頁 ID，這裡的回報讓背景腳本知道 URL 屬於哪個標籤頁
+ *
+ * XHR 以 Blob 回應時，頁面拿到的就是 xhr.response，記錄下來讓 Blob 監控知道 Blob URL 的來源 URL；
+ * fetch 的回應由頁面自行讀取，不修改頁面的 Response 物件，因此無法對應
+ *
+ * 跨來源回應的 Content-Disposition 不在 CORS 公開的標頭中，頁面上下文讀不到，
+ * 發送時間等資訊由背景腳本從 webRequest 的 responseHeaders 取得，再依來源 URL 合併
+ */
+
+import { Logger } from "../utils/logger.js";
+import { MESSAGE_ACTIONS, MODULE_NAMES } from "../utils/constants.js";
+import { isLikelyVoiceMessage } from "./audio-analyzer.js";
+import { callContent } from "./content-channel.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.NETWORK_MONITOR);
+
+// 頁面從 XHR 音訊回應取得的 Blob 對應的擷取資訊
+const responseBlobs = new WeakMap();
+
+// XHR 請求的方法和 URL
+const xhrRequests = new WeakMap();
+
+/**
+ * 初始化網路請求監控
+ */
+export function initNetworkMonitor() {
+  hookFetch();
+  hookXMLHttpRequest();
+  logger.info("網路請求監控已設置");
+}
+
+/**
+ * 取得頁面從 XHR 音訊回應直接取得的 Blob 的擷取資訊
+ * 只比對同一個 Blob 物件，頁面重新包裝內容後就無法確定來源，不以大小或類型猜測
+ *
+ * @param {Blob} blob - 要比對的 Blob
+ * @returns {Object|null} - 擷取的回應資訊 { url, lastModified }，如果不是音訊回應則返回 null
+ */
+export function findCapturedResponse(blob) {
+  return responseBlobs.get(blob) || null;
+}
+
+/**
+ * 攔截 window.fetch
+ * @private
+ */
+function hookFetch() {
+  const originalFetch = window.fetch;
+
+  window.fetch = async function (...args) {
+    const response = await originalFetch.apply(this, args);
+
+    try {
+      const method = getFetchMethod(args);
+      const headers = getResponseHeaders((name) => response.headers.get(name));
+
+      if (
+        isLikelyVoiceMessage(response.url, method, response.status, headers)
+      ) {
+        reportAudioResponse(response.url, headers);
+      }
+    } catch (error) {
+      logger.error("處理 fetch 回應時發生錯誤", { error });
+    }
+
+    return response;
+  };
+}
+
+/**
+ * 攔截 XMLHttpRequest
+ * @private
+ */
+function hookXMLHttpRequest() {
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+
+  XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+    xhrRequests.set(this, { method: String(method).toUpperCase() });
+    return originalOpen.call(this, method, url, ...rest);
+  };
+
+  XMLHttpRequest.prototype.send = function (...args) {
+    this.addEventListener("load", () => {
+      try {
+        handleXhrLoad(this);
+      } catch (error) {
+        logger.error("處理 XHR 回應時發生錯誤", { error });
+      }
+    });
+    return originalSend.apply(this, args);
+  };
+}
+
+/**
+ * 處理完成的 XHR 請求
+ *
+ * @param {XMLHttpRequest} xhr - 完成的請求
+ * @private
+ */
+function handleXhrLoad(xhr) {
+  const request = xhrRequests.get(xhr);
+  const headers = getResponseHeaders((name) => xhr.getResponseHeader(name));
+
+  if (
+    !request ||
+    !isLikelyVoiceMessage(xhr.responseURL, request.method, xhr.status, headers)
+  ) {
+    return;
+  }
+
+  // 頁面拿到的就是這個 Blob 物件，之後建立 Blob URL 時可以找到來源 URL
+  if (xhr.responseType === "blob" && xhr.response instanceof Blob) {
+    responseBlobs.set(xhr.response, {
+      url: xhr.responseURL,
+      lastModified: headers.lastModified,
+    });
+  }
+
+  reportAudioResponse(xhr.responseURL, headers);
+}
+
+/**
+ * 讀取判斷語音訊息所需的回應標頭
+ * 只使用 CORS 公開的標頭，Content-Disposition 由背景腳本的 webRequest 取得
+ *
+ * @param {Function} getHeader - 依名稱取得標頭值的函數
+ * @returns {Object} - 回應標頭
+ * @private
+ */
+function getResponseHeaders(getHeader) {
+  return {
+    contentType: getHeader("content-type"),
+    contentLength: getHeader("content-length"),
+    lastModified: getHeader("last-modified"),
+  };
+}
+
+/**
+ * 向背景腳本回報音訊回應的 URL 和標頭
+ * 背景腳本依 URL 的資源識別碼與 webRequest 擷取到的同一個檔案合併
+ *
+ * @param {string} url - 回應的最終 URL
+ * @param {Object} headers - 回應標頭
+ * @private
+ */
+function reportAudioResponse(url, headers) {
+  logger.debug("回報音訊回應", { url: url.substring(0, 50) + "..." });
+
+  callContent(MESSAGE_ACTIONS.REPORT_AUDIO_RESPONSE, {
+    audioUrl: url,
+    contentType: headers.contentType,
+    contentLength: headers.contentLength,
+    lastModified: headers.lastModified,
+    timestamp: new Date().toISOString(),
+  }).catch((error) => {
+    logger.warn("回報音訊回應失敗", {
+      code: error.code,
+      error: error.message,
+    });
+  });
+}
+
+/**
+ * 取得 fetch 請求的 HTTP 方法
+ *
+ * @param {Array} args - fetch 的參數
+ * @returns {string} - HTTP 方法
+ * @private
+ */
+function getFetchMethod(args) {
+  const [input, init] = args;
+  if (init && init.method) {
+    return init.method.toUpperCase();
+  }
+  if (input instanceof Request) {
+    return input.method.toUpperCase();
+  }
+  return "GET";
+}
@@ -25,6 +25,29 @@ export const MODULE_NAMES = {
   RIGHT_CLICK_HANDLER: "right-click-handler",
   ELEMENT_REGISTRATION_HANDLER: "element-registration-handler",
   AUDIO_URL_REGISTRATION_HANDLER: "audio-url-registration-handler",
+  VOICE_MESSAGE_MATCHER: "voice-message-matcher",
+  NOTIFICATION_UI: "notification-ui",
+  TAB_NOTIFIER: "tab-notifier",
+  TAB_LIFECYCLE: "tab-lifecycle",
+  ALARM_MANAGER: "alarm-manager",
+  URL_CACHE: "url-cache",
+  MEDIA_RELOADER: "media-reloader",
+  PENDING_DOWNLOADS: "pending-downloads",
+  MEDIA_PRIMER: "media-primer",
+  MEDIA_ELEMENT_MONITOR: "media-element-monitor",
+  MEDIA_BINDING_HANDLER: "media-binding-handler",
+  NETWORK_MONITOR: "network-monitor",
+  BLOB_RETENTION_CACHE: "blob-retention-cache",
+  BLOB_TRANSFER: "blob-transfer",
+  OFFSCREEN: "offscreen",
+  OFFSCREEN_MANAGER: "offscreen-manager",
+  PAGE_CONTEXT_REGISTRAR: "page-context-registrar",
+  PAGE_CONTEXT_HANDLER: "page-context-handler",
+  CONTENT_CHANNEL: "content-channel",
+  PAGE_CHANNEL: "page-channel",
+  MESSAGE_PROTOCOL: "message-protocol",
+  RPC: "rpc",
+  DOWNLOAD_GATE: "download-gate",
 };
 
 // ===========================================
@@ -38,6 +61,39 @@ export const BLOB_MONITOR_CONSTANTS = {
   MIN_VALID_AUDIO_SIZE: 20 * 1024, // 音訊的最小合理大小 (20KB)
   MAX_VALID_AUDIO_SIZE: 200 * 1024 * 1024, // 音訊的最大合理大小 (200MB)
   POSSIBLE_AUDIO_TYPES: ["audio", "video/mp4", "mp4", "mp3", "mpeg"], // 可能為音訊的檔案類型
+  MSE_AUDIO_MIME_PATTERN: /^audio\//i, // 需要擷取 MediaSource 片段的 SourceBuffer 類型
+  MSE_BUFFERED_TOLERANCE: 0.1, // 判斷緩衝範圍是否連續及是否到達結尾的容忍度（秒）
+};
+
+// ===========================================
+// Blob 保留快取相關常數（頁面上下文）
+// ===========================================
+export const BLOB_RETENTION_CONSTANTS = {
+  MAX_ENTRIES: 50, // 最多保留的 Blob 數量
+  MAX_TOTAL_SIZE: 100 * 1024 * 1024, // 保留的 Blob 總大小上限 (100MB)
+};
+
+// ===========================================
+// Blob 分段傳輸相關常數
+// ===========================================
+export const BLOB_TRANSFER_CONSTANTS = {
+  PORT_NAME: "blobTransfer", // 內容腳本連線到 offscreen 文件的 Port 名稱
+  CHUNK_SIZE: 1024 * 1024, // 每個分段的大小 (1MB)
+};
+
+// ===========================================
+// Offscreen 文件相關常數
+// ===========================================
+export const OFFSCREEN_CONSTANTS = {
+  DOCUMENT_PATH: "offscreen/offscreen.html", // offscreen 文件路徑
+  MESSAGE_TARGET: "offscreen", // 背景腳本發送給 offscreen 文件的訊息目標
+  AUDIO_DECODE_TIMEOUT: 10000, // 下載並解碼音訊的最長時間，10 秒
+  // 可以在 offscreen 文件中轉換成的音訊格式
+  CONVERSION_FORMATS: {
+    WAV: "wav",
+  },
+  WAV_MIME_TYPE: "audio/wav", // 轉換後 WAV 檔案的 MIME 類型
+  WAV_SAMPLE_RATE: 44100, // 轉換成 WAV 時的取樣率
 };
 
 // ===========================================
@@ -57,19 +113,24 @@ export const WEB_REQUEST_CONSTANTS = {
     "video/mp4",
     "application/octet-stream",
   ],
+
+  // Content-Disposition 中語音訊息檔名的格式：audioclip-<發送時間毫秒>-<持續時間毫秒>.mp4
+  AUDIOCLIP_FILENAME_PATTERN: /audioclip-(\d+)-(\d+)\.[a-z0-9]+/i,
 };
 
 // ===========================================
 // 支援的網站相關常數
 // ===========================================
+// 語音訊息檔案所在的 CDN 網域，比對時包含其子網域
+const CDN_DOMAINS = ["fbcdn.net", "cdninstagram.com", "fbsbx.com"];
+
 export const SUPPORTED_SITES = {
   PATTERNS: ["*://*.facebook.com/*", "*://*.messenger.com/*"],
   DOMAINS: ["facebook.com", "messenger.com"],
-  CDN_PATTERNS: [
-    "*://*.fbcdn.net/*",
-    "*://*.cdninstagram.com/*",
-    "*://*.fbsbx.com/*",
-  ],
+  CDN_PATTERNS: CDN_DOMAINS.map((domain) => `*://*.${domain}/*`),
+  CDN_DOMAINS,
+  // 對話網址，例如 /t/<id>、/e2ee/t/<id>、/messages/t/<id>、/messages/e2ee/t/<id>
+  THREAD_URL_PATTERN: /\/(?:messages\/)?(e2ee\/)?t\/([^/?#]+)/,
 };
 
 // 語音訊息 URL 的匹配模式 - 合併 SUPPORTED_SITES 中的模式
@@ -89,12 +150,70 @@ export const MESSAGE_SOURCES = {
 
 export const MESSAGE_ACTIONS = {
   RIGHT_CLICK: "rightClickOnVoiceMessage",
+  REGISTER_ELEMENT: "registerVoiceMessageElement",
   REGISTER_AUDIO_URL: "registerAudioUrl",
+  REPORT_AUDIO_RESPONSE: "reportAudioResponse",
   REGISTER_BLOB_URL: "registerBlobUrl",
   DOWNLOAD_BLOB: "downloadBlobContent",
   BLOB_DETECTED: "blobUrlDetected",
   UPDATE_ELEMENT: "updateVoiceMessageElement",
   GET_AUDIO_DURATION: "getAudioDuration",
+  SHOW_NOTIFICATION: "showNotification",
+  RELOAD_MEDIA: "reloadVoiceMessageMedia",
+  BIND_MEDIA_URL: "bindVoiceMessageMedia",
+  BLOB_TRANSFER_COMPLETE: "blobTransferComplete",
+  REVOKE_OFFSCREEN_URL: "revokeOffscreenObjectUrl",
+  GET_OFFSCREEN_AUDIO_DURATION: "getOffscreenAudioDuration",
+  FETCH_OFFSCREEN_AUDIO: "fetchOffscreenAudio",
+  PAGE_CONTEXT_INITIALIZED: "pageContextInitialized",
+  CONTENT_SCRIPT_READY: "contentScriptReady",
+  CHANNEL_OFFER: "pageContextChannelOffer",
+  GET_PAGE_CONTEXT_INJECTION: "getPageContextInjection",
+  PAGE_CONTEXT_INJECTED: "pageContextInjected",
+  GET_PAGE_BLOB: "getPageBlob",
+};
+
+// 訊息協定，所有 MESSAGE_ACTIONS 的訊息都帶有協定版本並依結構定義驗證
+export const MESSAGE_PROTOCOL = {
+  VERSION: 1, // 目前的協定版本，訊息格式不相容時遞增
+  MAX_URL_LENGTH: 8192, // URL 欄位的最大長度
+  MAX_ID_LENGTH: 256, // ID 欄位的最大長度
+  MAX_TEXT_LENGTH: 1024, // 一般文字欄位的最大長度
+};
+
+// 請求/回應呼叫的逾時設定
+export const RPC_CONSTANTS = {
+  DEFAULT_TIMEOUT: 10000, // 一般請求的等待時間，10 秒
+  DOWNLOAD_TIMEOUT: 5 * 60 * 1000, // 等待下載開始的時間，包含使用者選擇儲存位置，5 分鐘
+  BLOB_TRANSFER_TIMEOUT: 10 * 60 * 1000, // 等待 Blob 傳輸並下載完成的時間，10 分鐘
+};
+
+// 錯誤回應的錯誤代碼
+export const MESSAGE_ERROR_CODES = {
+  UNSUPPORTED_VERSION: "UNSUPPORTED_VERSION", // 協定版本不符
+  UNKNOWN_ACTION: "UNKNOWN_ACTION", // 沒有定義的訊息動作
+  INVALID_MESSAGE: "INVALID_MESSAGE", // 訊息欄位缺少、型別錯誤或超出限制
+  NO_RECEIVER: "NO_RECEIVER", // 沒有接收端，例如標籤頁沒有內容腳本
+  NO_RESPONSE: "NO_RESPONSE", // 接收端沒有回應
+  TIMEOUT: "TIMEOUT", // 等待回應逾時
+  DOWNLOAD_FAILED: "DOWNLOAD_FAILED", // 下載失敗
+  DOWNLOAD_BLOCKED: "DOWNLOAD_BLOCKED", // 下載未通過安全檢查，錯誤說明可直接顯示給使用者
+  INTERNAL_ERROR: "INTERNAL_ERROR", // 處理訊息時發生未預期的錯誤
+};
+
+// ===========================================
+// 頁面上下文注入相關常數
+// ===========================================
+export const PAGE_CONTEXT_INJECTION = {
+  SCRIPT_ID: "voice-message-page-context", // 動態註冊的內容腳本 ID
+  // 頁面上下文的載入方式
+  PATHS: {
+    MAIN_WORLD: "mainWorld", // document_start 時由 MAIN world 內容腳本載入
+    SCRIPT_TAG: "scriptTag", // 由內容腳本插入 script 標籤（備用）
+  },
+  // 交付通道驗證碼的同步 DOM 事件，頁面上下文請求驗證碼，內容腳本以事件的 detail 回傳
+  NONCE_REQUEST_EVENT: "voice-message-channel-nonce-request",
+  NONCE_DELIVERY_EVENT: "voice-message-channel-nonce",
 };
 
 // ===========================================
@@ -105,10 +224,61 @@ export const TIME_CONSTANTS = {
   AUDIO_LOAD_TIMEOUT: 3000, // 3 秒
   ELEMENT_DETECTION_INTERVAL: 1000, // 1 秒
   URL_CACHE_EXPIRATION: 10 * 60 * 1000, // 10分鐘
+  URL_EXPIRY_MARGIN: 5 * 60 * 1000, // 簽名 URL 在過期前 5 分鐘就視為需要更新
+  URL_REFRESH_TIMEOUT: 15000, // 等待頁面重新取得 URL 的時間，15 秒
+  MEDIA_RELOAD_DURATION: 1500, // 觸發載入後，同一則語音訊息不重複觸發的時間，1.5 秒
+  URL_PROBE_TIMEOUT: 5000, // 確認簽名 URL 是否仍然有效的等待時間，5 秒
+  PENDING_DOWNLOAD_TIMEOUT: 30000, // 等待語音訊息 URL 出現的時間，30 秒
+  MEDIA_PRIME_WINDOW: 1000, // 點擊播放按鈕後，頁面呼叫 play() 的等待時間，1 秒
+  PLAY_CLICK_BINDING_WINDOW: 1000, // 點擊播放按鈕後的 play() 視為該語音訊息的播放，1 秒
+};
+
+// chrome.alarms 排程的名稱，Service Worker 休眠後仍會喚醒執行
+export const ALARM_NAMES = {
+  STORE_CLEANUP: "storeCleanup",
+  URL_CACHE_PRUNE: "urlCachePrune",
 };
 
+// 兩個毫秒精確度的持續時間之間的基本容忍度，較粗略的來源由 duration-utils.js 放寬
 export const MATCHING_TOLERANCE = 5; // 毫秒
 
+// 持續時間來源的精確度（毫秒），由產生持續時間的一方標記，不從數值本身推斷
+export const DURATION_PRECISION = {
+  MILLISECOND: 1, // 解碼音訊、媒體元素的 duration、audioclip 檔名
+  SECOND: 1000, // 只有整數秒的 aria-valuemax
+};
+
+// 多訊號匹配的權重與判斷門檻
+export const MATCHING_CONSTANTS = {
+  WEIGHTS: {
+    DURATION: 1, // 持續時間越接近分數越高
+    SAME_TAB: 1, // 來自同一個標籤頁
+    SEND_ORDER: 3, // 發送時間順序與 DOM 順序一致
+    CAPTURE_ORDER: 1, // 擷取順序與 DOM 順序一致（僅作參考）
+  },
+  // 最佳與次佳候選的分數差距低於此值時視為無法判斷
+  MIN_SCORE_GAP: 1.5,
+};
+
+// ===========================================
+// 儲存相關常數
+// ===========================================
+export const STORAGE_CONSTANTS = {
+  // chrome.storage.session 中語音訊息項目的鍵名
+  VOICE_MESSAGES_KEY: "voiceMessagesItems",
+  // chrome.storage.session 中已處理 URL 快取的鍵名
+  URL_CACHE_KEY: "processedUrlCache",
+  // chrome.storage.session 中最後一次右鍵點擊資訊的鍵名
+  RIGHT_CLICK_INFO_KEY: "lastRightClickedInfo",
+  // chrome.storage.session 中等待中下載工作所在標籤頁的鍵名
+  PENDING_DOWNLOADS_KEY: "pendingDownloadTabs",
+  // 合併連續寫入 session storage 的等待時間（毫秒）
+  // 保持很短：Service Worker 在等待期間被終止時，這段時間內的變更會遺失
+  PERSIST_DEBOUNCE: 50,
+  // 語音訊息項目的最大存活時間（毫秒）
+  ITEM_MAX_AGE: 60 * 60 * 1000, // 1 小時
+};
+
 // ===========================================
 // UI 相關常數
 // ===========================================
@@ -117,13 +287,45 @@ export const UI_CONSTANTS = {
   BADGE_COLOR: "#4CAF50",
   CONTEXT_MENU_ID: "downloadVoiceMessage",
   CONTEXT_MENU_TITLE: "Download Voice Message",
+  CONTEXT_MENU_WAV_ID: "downloadVoiceMessageAsWav",
+  CONTEXT_MENU_WAV_TITLE: "Download Voice Message as WAV",
+  NOTIFICATION_DURATION: 5000, // 頁面提示顯示時間（毫秒）
 };
 
 // ===========================================
 // DOM 相關常數
 // ===========================================
 export const DOM_CONSTANTS = {
-  // 語音訊息滑桿的 aria-label
+  // 標記在語音訊息滑桿上的屬性
+  VOICE_MESSAGE_ID_ATTRIBUTE: "data-voice-message-id",
+  VOICE_MESSAGE_STATUS_ATTRIBUTE: "data-voice-message-status",
+  // 標記在包含滑桿和播放按鈕的語音訊息容器上，值為滑桿的元素 ID
+  VOICE_MESSAGE_CONTAINER_ATTRIBUTE: "data-voice-message-container",
+  // 標記在語音訊息滑桿上，請頁面上下文以靜音方式預先載入點擊該語音訊息後播放的音訊，值為截止時間
+  MEDIA_PRIME_ATTRIBUTE: "data-voice-message-prime-until",
+
+  // 語音訊息滑桿的狀態
+  VOICE_MESSAGE_STATUS: {
+    DETECTED: "detected",
+    READY: "ready",
+  },
+
+  // 不依賴介面語言的語音訊息結構特徵
+  VOICE_MESSAGE_STRUCTURE: {
+    // 滑桿 aria-valuemax 的合理範圍（秒）
+    MIN_DURATION_SEC: 0.5,
+    MAX_DURATION_SEC: 1200,
+    // 從滑桿向上尋找語音訊息容器的最大層數
+    MAX_CONTAINER_DEPTH: 6,
+    // 波形容器中至少需要的波形條數量
+    MIN_WAVEFORM_BARS: 10,
+    // 播放按鈕圖示的 SVG path
+    PLAY_BUTTON_SVG_PATHS: [
+      "M10 25.5v-15a1.5 1.5 0 012.17-1.34l15 7.5a1.5 1.5 0 010 2.68l-15 7.5A1.5 1.5 0 0110 25.5z",
+    ],
+  },
+
+  // 語音訊息滑桿的 aria-label（快速路徑，結構偵測為主要判斷方式）
   VOICE_MESSAGE_SLIDER_ARIA_LABEL: [
     "音訊滑桿",
     "音频时间刷",
@@ -227,6 +429,8 @@ export const FILENAME_CONSTANTS = {
 export const ID_CONSTANTS = {
   // 語音訊息 ID 前綴
   VOICE_MESSAGE_ID_PREFIX: "voice-msg-",
+  // 請求關聯 ID 前綴
+  RPC_ID_PREFIX: "rpc-",
 };
 
 // ===========================================
@@ -235,3 +439,25 @@ export const ID_CONSTANTS = {
 export const DOWNLOAD_CONSTANTS = {
   SAVE_AS: true,
 };
+
+// ===========================================
+// 下載安全檢查相關常數
+// ===========================================
+export const DOWNLOAD_GATE_CONSTANTS = {
+  // 允許下載的 MIME 類型
+  ALLOWED_MIME_TYPES: [
+    "audio/mp4",
+    "audio/x-m4a",
+    "audio/aac",
+    "audio/mpeg",
+    "audio/mp3",
+    "audio/ogg",
+    "audio/wav",
+    "video/mp4",
+  ],
+  // 伺服器或頁面未標示實際類型時使用的 MIME 類型，只依檔案內容判斷
+  // 完全沒有類型時同樣只依檔頭判斷，不需要列在這裡
+  GENERIC_MIME_TYPES: ["application/octet-stream", "binary/octet-stream"],
+  MIN_FILE_SIZE: 16, // 最小檔案大小，至少要能檢查檔頭
+  SNIFF_BYTE_COUNT: 16, // 檢查檔頭時讀取的位元組數
+};
@@ -0,0 +1,92 @@
+/**
+ * duration-utils.js
+ * 集中處理持續時間的精確度與匹配容忍度
+ * 滑桿的 aria-valuemax 有時只有整數秒，而音訊分析和 Content-Disposition 則精確到毫秒，
+ * 產生持續時間的一方標記來源的精確度，容忍度依兩個來源中較粗略的一方調整
+ */
+
+import { DURATION_PRECISION, MATCHING_TOLERANCE } from "./constants.js";
+
+/**
+ * 依以秒表示的持續時間文字判斷精確度
+ * 精確度取決於來源的格式而不是數值，例如 aria-valuemax="12" 為 1000 毫秒，"12.3" 為 100 毫秒，
+ * 而解碼音訊得到的 12300 毫秒仍是毫秒精確度
+ *
+ * @param {string|null} secondsText - 以秒表示的持續時間文字，例如 aria-valuemax 的值
+ * @returns {number} - 精確度（毫秒），無法判斷時視為整數秒
+ */
+export function getSecondsTextPrecision(secondsText) {
+  const match = String(secondsText ?? "")
+    .trim()
+    .match(/^\d+(?:\.(\d+))?$/);
+  if (!match) {
+    return DURATION_PRECISION.SECOND;
+  }
+
+  const decimals = Math.min(match[1] ? match[1].length : 0, 3);
+  return DURATION_PRECISION.SECOND / 10 ** decimals;
+}
+
+/**
+ * 取得兩個持續時間之間的匹配容忍度
+ * 兩者皆為毫秒精確度時使用 MATCHING_TOLERANCE，否則放寬到較粗略一方的精確度，
+ * 因為整數秒的數值可能是實際長度無條件捨去或進位後的結果
+ *
+ * @param {number} [precision1Ms] - 第一個持續時間來源的精確度（毫秒），默認為毫秒精確度
+ * @param {number} [precision2Ms] - 第二個持續時間來源的精確度（毫秒），默認為毫秒精確度
+ * @returns {number} - 容忍度（毫秒）
+ */
+export function getDurationTolerance(
+  precision1Ms = DURATION_PRECISION.MILLISECOND,
+  precision2Ms = DURATION_PRECISION.MILLISECOND
+) {
+  return Math.max(MATCHING_TOLERANCE, precision1Ms, precision2Ms);
+}
+
+/**
+ * 判斷兩個持續時間是否在容忍度範圍內匹配
+ *
+ * @param {number} duration1Ms - 第一個持續時間（毫秒）
+ * @param {number} duration2Ms - 第二個持續時間（毫秒）
+ * @param {number} [precision1Ms] - 第一個持續時間來源的精確度（毫秒）
+ * @param {number} [precision2Ms] - 第二個持續時間來源的精確度（毫秒）
+ * @returns {boolean} - 如果兩個持續時間匹配則返回 true
+ */
+export function isDurationMatch(
+  duration1Ms,
+  duration2Ms,
+  precision1Ms,
+  precision2Ms
+) {
+  if (typeof duration1Ms !== "number" || typeof duration2Ms !== "number") {
+    return false;
+  }
+
+  return (
+    Math.abs(duration1Ms - duration2Ms) <=
+    getDurationTolerance(precision1Ms, precision2Ms)
+  );
+}
+
+/**
+ * 計算兩個持續時間的接近程度，用於在多個候選中評分
+ *
+ * @param {number} duration1Ms - 第一個持續時間（毫秒）
+ * @param {number} duration2Ms - 第二個持續時間（毫秒）
+ * @param {number} [precision1Ms] - 第一個持續時間來源的精確度（毫秒）
+ * @param {number} [precision2Ms] - 第二個持續時間來源的精確度（毫秒）
+ * @returns {number} - 0 到 1 之間的數值，完全相同為 1，超出容忍度為 0
+ */
+export function getDurationCloseness(
+  duration1Ms,
+  duration2Ms,
+  precision1Ms,
+  precision2Ms
+) {
+  if (!isDurationMatch(duration1Ms, duration2Ms, precision1Ms, precision2Ms)) {
+    return 0;
+  }
+
+  const toleranceMs = getDurationTolerance(precision1Ms, precision2Ms);
+  return 1 - Math.abs(duration1Ms - duration2Ms) / (toleranceMs + 1);
+}
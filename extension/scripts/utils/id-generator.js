@@ -21,6 +21,23 @@ export function generateVoiceMessageId() {
   return id;
 }
 
+// 同一毫秒內產生的請求關聯 ID 以計數器區分
+let rpcIdCounter = 0;
+
+/**
+ * 生成請求的關聯 ID，用於對應請求與回應
+ * 格式：rpc-{timestamp}-{計數器}-{隨機字串}
+ *
+ * @returns {string} 關聯 ID
+ */
+export function generateRpcId() {
+  rpcIdCounter = (rpcIdCounter + 1) % Number.MAX_SAFE_INTEGER;
+  const randomString = Math.random().toString(36).substring(2, 8);
+  return `${
+    ID_CONSTANTS.RPC_ID_PREFIX
+  }${Date.now()}-${rpcIdCounter}-${randomString}`;
+}
+
 /**
  * 檢查 ID 是否為語音訊息 ID
  *
@@ -28,7 +45,10 @@ export function generateVoiceMessageId() {
  * @returns {boolean} - 如果 ID 是語音訊息 ID 則返回 true
  */
 export function isVoiceMessageId(id) {
-  return typeof id === "string" && id.startsWith(ID_CONSTANTS.VOICE_MESSAGE_ID_PREFIX);
+  return (
+    typeof id === "string" &&
+    id.startsWith(ID_CONSTANTS.VOICE_MESSAGE_ID_PREFIX)
+  );
 }
 
 /**
@@ -0,0 +1,472 @@
+/**
+ * message-protocol.js
+ * 定義擴充功能各部分之間的訊息協定：每個 MESSAGE_ACTIONS 的欄位結構、協定版本，以及統一的錯誤回應格式
+ * 背景腳本、內容腳本、offscreen 文件和頁面上下文都以相同的規則建立與驗證訊息
+ */
+
+import {
+  BLOB_MONITOR_CONSTANTS,
+  DURATION_PRECISION,
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MESSAGE_PROTOCOL,
+  OFFSCREEN_CONSTANTS,
+  PAGE_CONTEXT_INJECTION,
+} from "./constants.js";
+import { isCdnUrl, isSupportedSiteBlobUrl } from "./url-utils.js";
+
+// 每個訊息都可以帶有的協定欄位，不屬於個別動作的結構
+const ENVELOPE_FIELDS = ["action", "protocolVersion", "target", "rpcId"];
+
+// URL 欄位可以限制的來源，值為檢查函數，用於 url({ formats: [...] })
+const URL_FORMATS = {
+  PAGE_BLOB: isSupportedSiteBlobUrl,
+  CDN: isCdnUrl,
+};
+
+/**
+ * URL 欄位
+ *
+ * @param {Object} [options] - 額外的規則，例如 { required: true }、{ formats: [URL_FORMATS.CDN] }
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function url(options = {}) {
+  return {
+    type: "string",
+    maxLength: MESSAGE_PROTOCOL.MAX_URL_LENGTH,
+    ...options,
+  };
+}
+
+/**
+ * ID 欄位
+ *
+ * @param {Object} [options] - 額外的規則
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function id(options = {}) {
+  return {
+    type: "string",
+    maxLength: MESSAGE_PROTOCOL.MAX_ID_LENGTH,
+    ...options,
+  };
+}
+
+/**
+ * 一般文字欄位
+ *
+ * @param {Object} [options] - 額外的規則，例如 { values: [...] } 限制可用的值
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function text(options = {}) {
+  return {
+    type: "string",
+    maxLength: MESSAGE_PROTOCOL.MAX_TEXT_LENGTH,
+    ...options,
+  };
+}
+
+/**
+ * 數字欄位
+ *
+ * @param {Object} [options] - 額外的規則，例如 { min: 0 }
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function number(options = {}) {
+  return { type: "number", ...options };
+}
+
+/**
+ * 持續時間欄位（毫秒）
+ *
+ * @param {Object} [options] - 額外的規則
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function duration(options = {}) {
+  return number({
+    min: 0,
+    max: BLOB_MONITOR_CONSTANTS.MAX_VALID_DURATION,
+    ...options,
+  });
+}
+
+/**
+ * 持續時間精確度欄位（毫秒），由產生持續時間的一方標記
+ *
+ * @param {Object} [options] - 額外的規則
+ * @returns {Object} - 欄位規則
+ * @private
+ */
+function durationPrecision(options = {}) {
+  return number({
+    min: DURATION_PRECISION.MILLISECOND,
+    max: DURATION_PRECISION.SECOND,
+    ...options,
+  });
+}
+
+// 相同持續時間滑桿中的順序，滑桿已不在頁面上時 index 為 -1
+const DURATION_ORDER_FIELDS = {
+  index: number({ required: true, min: -1 }),
+  count: number({ required: true, min: 0 }),
+};
+
+/**
+ * 每個訊息動作的欄位結構
+ * 沒有列出的欄位一律視為無效；選用欄位可以是 null 或省略
+ */
+export const MESSAGE_SCHEMAS = {
+  // 內容腳本 → 背景腳本
+  [MESSAGE_ACTIONS.RIGHT_CLICK]: {
+    elementId: id(),
+    downloadUrl: url(),
+    lastModified: text(),
+    durationMs: duration({ required: true }),
+    durationPrecisionMs: durationPrecision(),
+    durationOrder: { type: "object", fields: DURATION_ORDER_FIELDS },
+    pageUrl: url(),
+  },
+  [MESSAGE_ACTIONS.REGISTER_ELEMENT]: {
+    elementId: id({ required: true }),
+    durationMs: duration({ required: true }),
+    durationPrecisionMs: durationPrecision(),
+    durationOrder: { type: "object", fields: DURATION_ORDER_FIELDS },
+    pageUrl: url(),
+  },
+  [MESSAGE_ACTIONS.GET_PAGE_CONTEXT_INJECTION]: {},
+  [MESSAGE_ACTIONS.PAGE_CONTEXT_INJECTED]: {
+    injectionPath: text({
+      required: true,
+      values: Object.values(PAGE_CONTEXT_INJECTION.PATHS),
+    }),
+    pageUrl: url(),
+  },
+
+  // 頁面上下文 → 內容腳本 → 背景腳本
+  [MESSAGE_ACTIONS.REGISTER_AUDIO_URL]: {
+    audioUrl: url({ required: true, formats: [URL_FORMATS.CDN] }),
+    durationMs: duration({ required: true }),
+    durationPrecisionMs: durationPrecision(),
+    sentAtMs: number({ min: 0 }),
+    lastModified: text(),
+    blobType: text(),
+    blobSize: number({ min: 0 }),
+    timestamp: text(),
+  },
+  [MESSAGE_ACTIONS.REPORT_AUDIO_RESPONSE]: {
+    audioUrl: url({ required: true, formats: [URL_FORMATS.CDN] }),
+    contentType: text(),
+    contentLength: text(),
+    lastModified: text(),
+    timestamp: text(),
+  },
+  [MESSAGE_ACTIONS.REGISTER_BLOB_URL]: {
+    blobUrl: url({ required: true, formats: [URL_FORMATS.PAGE_BLOB] }),
+    blobType: text(),
+    blobSize: number({ min: 0 }),
+    durationMs: duration({ required: true }),
+    durationPrecisionMs: durationPrecision(),
+    sentAtMs: number({ min: 0 }),
+    lastModified: text(),
+    sourceUrl: url({ formats: [URL_FORMATS.CDN] }),
+    timestamp: text(),
+  },
+  [MESSAGE_ACTIONS.BIND_MEDIA_URL]: {
+    elementId: id({ required: true }),
+    url: url({
+      required: true,
+      formats: [URL_FORMATS.PAGE_BLOB, URL_FORMATS.CDN],
+    }),
+    durationMs: duration(),
+    durationPrecisionMs: durationPrecision(),
+    timestamp: text(),
+  },
+  [MESSAGE_ACTIONS.BLOB_DETECTED]: {
+    blobUrl: url(),
+    blobType: text(),
+    blobSize: number({ min: 0 }),
+    timestamp: text(),
+    error: text(),
+  },
+
+  // 頁面上下文 ⇄ 內容腳本
+  [MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED]: {
+    url: url(),
+    hostname: text(),
+  },
+  [MESSAGE_ACTIONS.CONTENT_SCRIPT_READY]: {},
+  [MESSAGE_ACTIONS.CHANNEL_OFFER]: {
+    nonce: id({ required: true }),
+  },
+  [MESSAGE_ACTIONS.GET_PAGE_BLOB]: {
+    blobUrl: url({ required: true }),
+  },
+
+  // 背景腳本 → 內容腳本
+  [MESSAGE_ACTIONS.UPDATE_ELEMENT]: {
+    elementId: id({ required: true }),
+    downloadUrl: url(),
+  },
+  [MESSAGE_ACTIONS.GET_AUDIO_DURATION]: {
+    url: url({ required: true }),
+    metadata: {
+      type: "object",
+      fields: {
+        contentType: text(),
+        contentLength: text(),
+        lastModified: text(),
+      },
+    },
+    timestamp: number({ min: 0 }),
+  },
+  [MESSAGE_ACTIONS.SHOW_NOTIFICATION]: {
+    text: text({ required: true }),
+    level: text({ values: ["info", "warning", "error"] }),
+    persistent: { type: "boolean" },
+  },
+  [MESSAGE_ACTIONS.RELOAD_MEDIA]: {
+    elementId: id({ required: true }),
+  },
+  [MESSAGE_ACTIONS.DOWNLOAD_BLOB]: {
+    blobUrl: url({ required: true }),
+    lastModified: text(),
+    sentAtMs: number({ min: 0 }),
+    requestId: id({ required: true }),
+    convertTo: text({
+      values: Object.values(OFFSCREEN_CONSTANTS.CONVERSION_FORMATS),
+    }),
+  },
+
+  // 背景腳本 ⇄ offscreen 文件
+  [MESSAGE_ACTIONS.GET_OFFSCREEN_AUDIO_DURATION]: {
+    url: url({ required: true }),
+  },
+  [MESSAGE_ACTIONS.FETCH_OFFSCREEN_AUDIO]: {
+    url: url({ required: true }),
+    format: text({
+      values: Object.values(OFFSCREEN_CONSTANTS.CONVERSION_FORMATS),
+    }),
+  },
+  [MESSAGE_ACTIONS.REVOKE_OFFSCREEN_URL]: {
+    objectUrl: url({ required: true }),
+  },
+  [MESSAGE_ACTIONS.BLOB_TRANSFER_COMPLETE]: {
+    objectUrl: url({ required: true }),
+    blobType: text(),
+    blobSize: number({ min: 0 }),
+    headerBytes: text(),
+    lastModified: text(),
+    sentAtMs: number({ min: 0 }),
+    requestId: id(),
+  },
+};
+
+/**
+ * 建立帶有協定版本的訊息
+ *
+ * @param {string} action - 訊息動作，MESSAGE_ACTIONS 之一
+ * @param {Object} [payload] - 訊息內容
+ * @returns {Object} - 訊息物件
+ */
+export function createMessage(action, payload = {}) {
+  return {
+    ...payload,
+    action,
+    protocolVersion: MESSAGE_PROTOCOL.VERSION,
+  };
+}
+
+/**
+ * 建立成功回應
+ *
+ * @param {Object} [result] - 回應內容
+ * @returns {Object} - { success: true, protocolVersion, ...result }
+ */
+export function createSuccessResponse(result = {}) {
+  return {
+    ...result,
+    success: true,
+    protocolVersion: MESSAGE_PROTOCOL.VERSION,
+  };
+}
+
+/**
+ * 建立錯誤回應
+ * 所有接收端都以此格式回報失敗，發送端只需檢查 success 並讀取 error.code 和 error.message
+ *
+ * @param {string} code - 錯誤代碼，MESSAGE_ERROR_CODES 之一
+ * @param {string} message - 錯誤說明
+ * @param {Object} [details] - 額外資訊，例如驗證失敗的動作
+ * @returns {Object} - { success: false, protocolVersion, error: { code, message, details } }
+ */
+export function createErrorResponse(code, message, details) {
+  const error = { code, message };
+  if (details) {
+    error.details = details;
+  }
+
+  return {
+    success: false,
+    protocolVersion: MESSAGE_PROTOCOL.VERSION,
+    error,
+  };
+}
+
+/**
+ * 取得回應中的錯誤說明
+ *
+ * @param {Object} response - 回應物件
+ * @param {string} fallback - 回應沒有錯誤說明時使用的文字
+ * @returns {string} - 錯誤說明
+ */
+export function getResponseErrorMessage(response, fallback) {
+  return (response && response.error && response.error.message) || fallback;
+}
+
+/**
+ * 依協定版本和欄位結構驗證訊息
+ *
+ * @param {*} message - 收到的訊息
+ * @returns {Object|null} - 無效時返回錯誤回應，有效時返回 null
+ */
+export function validateMessage(message) {
+  if (!isPlainObject(message) || typeof message.action !== "string") {
+    return createErrorResponse(
+      MESSAGE_ERROR_CODES.INVALID_MESSAGE,
+      "訊息格式錯誤"
+    );
+  }
+
+  if (message.protocolVersion !== MESSAGE_PROTOCOL.VERSION) {
+    return createErrorResponse(
+      MESSAGE_ERROR_CODES.UNSUPPORTED_VERSION,
+      `不支援的協定版本: ${message.protocolVersion}`,
+      { action: message.action, expected: MESSAGE_PROTOCOL.VERSION }
+    );
+  }
+
+  const schema = Object.prototype.hasOwnProperty.call(
+    MESSAGE_SCHEMAS,
+    message.action
+  )
+    ? MESSAGE_SCHEMAS[message.action]
+    : null;
+  if (!schema) {
+    return createErrorResponse(
+      MESSAGE_ERROR_CODES.UNKNOWN_ACTION,
+      "未定義的訊息動作",
+      { action: message.action.substring(0, MESSAGE_PROTOCOL.MAX_ID_LENGTH) }
+    );
+  }
+
+  const problem = validateFields(message, schema, "", ENVELOPE_FIELDS);
+  if (problem) {
+    return createErrorResponse(MESSAGE_ERROR_CODES.INVALID_MESSAGE, problem, {
+      action: message.action,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * 驗證物件的所有欄位
+ *
+ * @param {Object} value - 要驗證的物件
+ * @param {Object} fields - 欄位規則
+ * @param {string} path - 物件在訊息中的路徑，用於錯誤說明
+ * @param {Array<string>} [ignoredFields] - 不需驗證的欄位
+ * @returns {string|null} - 第一個問題的說明，沒有問題時返回 null
+ * @private
+ */
+function validateFields(value, fields, path, ignoredFields = []) {
+  for (const name of Object.keys(value)) {
+    if (
+      !ignoredFields.includes(name) &&
+      !Object.prototype.hasOwnProperty.call(fields, name)
+    ) {
+      return `未定義的欄位: ${path}${name}`;
+    }
+  }
+
+  for (const [name, rule] of Object.entries(fields)) {
+    const problem = validateField(value[name], rule, `${path}${name}`);
+    if (problem) {
+      return problem;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 依規則驗證單一欄位
+ *
+ * @param {*} value - 欄位值
+ * @param {Object} rule - 欄位規則 { type, required, maxLength, min, max, values, formats, fields }
+ * @param {string} path - 欄位在訊息中的路徑
+ * @returns {string|null} - 問題的說明，沒有問題時返回 null
+ * @private
+ */
+function validateField(value, rule, path) {
+  if (value === null || value === undefined) {
+    return rule.required ? `缺少必要欄位: ${path}` : null;
+  }
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") {
+        return `欄位型別錯誤: ${path} 應為字串`;
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return `欄位過長: ${path} 超過 ${rule.maxLength} 個字元`;
+      }
+      if (rule.values && !rule.values.includes(value)) {
+        return `欄位值無效: ${path}`;
+      }
+      if (rule.formats && !rule.formats.some((isFormat) => isFormat(value))) {
+        return `URL 來源無效: ${path}`;
+      }
+      return null;
+
+    case "number":
+      if (typeof value !== "number" || !isFinite(value)) {
+        return `欄位型別錯誤: ${path} 應為有限數字`;
+      }
+      if (
+        (rule.min !== undefined && value < rule.min) ||
+        (rule.max !== undefined && value > rule.max)
+      ) {
+        return `欄位超出範圍: ${path}`;
+      }
+      return null;
+
+    case "boolean":
+      return typeof value === "boolean"
+        ? null
+        : `欄位型別錯誤: ${path} 應為布林值`;
+
+    case "object":
+      if (!isPlainObject(value)) {
+        return `欄位型別錯誤: ${path} 應為物件`;
+      }
+      return validateFields(value, rule.fields, `${path}.`);
+
+    default:
+      return `未知的欄位型別: ${path}`;
+  }
+}
+
+/**
+ * @param {*} value - 要檢查的值
+ * @returns {boolean} - 是否為一般物件
+ * @private
+ */
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
@@ -0,0 +1,285 @@
+/**
+ * rpc.js
+ * 在頁面上下文、內容腳本、背景腳本和 offscreen 文件之間以請求/回應的方式呼叫
+ * chrome.runtime.sendMessage、chrome.tabs.sendMessage 和頁面上下文的私有 MessagePort 都包裝為 Promise：
+ * 每個請求帶有關聯 ID，逾時或接收端回傳錯誤回應時，以帶有錯誤代碼的 Error 拒絕
+ */
+
+import { Logger } from "./logger.js";
+import {
+  MESSAGE_ERROR_CODES,
+  MODULE_NAMES,
+  RPC_CONSTANTS,
+} from "./constants.js";
+import { generateRpcId } from "./id-generator.js";
+import {
+  createErrorResponse,
+  createMessage,
+  createSuccessResponse,
+  getResponseErrorMessage,
+  validateMessage,
+} from "./message-protocol.js";
+
+// 創建模組特定的日誌記錄器
+const logger = Logger.createModuleLogger(MODULE_NAMES.RPC);
+
+/**
+ * 建立帶有錯誤代碼的 Error
+ *
+ * @param {string} code - 錯誤代碼，MESSAGE_ERROR_CODES 之一
+ * @param {string} message - 錯誤說明
+ * @param {Object} [details] - 額外資訊
+ * @returns {Error} - 帶有 code 和 details 的 Error
+ */
+export function createRpcError(code, message, details) {
+  const error = new Error(message);
+  error.code = code;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+/**
+ * 經由 chrome.runtime.sendMessage 發送請求並等待回應
+ * 內容腳本和 offscreen 文件用來呼叫背景腳本，背景腳本用來呼叫 offscreen 文件
+ *
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @param {Object} [options] - 選項
+ * @param {number} [options.timeout] - 等待回應的時間（毫秒）
+ * @returns {Promise<Object>} - 接收端的成功回應
+ */
+export function callRuntime(action, payload, options = {}) {
+  const request = createRequest(action, payload);
+
+  return sendRequest(request, options.timeout, (settle) =>
+    chrome.runtime.sendMessage(request, (response) =>
+      settle(response, getLastError(request))
+    )
+  );
+}
+
+/**
+ * 經由 chrome.tabs.sendMessage 發送請求給標籤頁的內容腳本並等待回應
+ *
+ * @param {number} tabId - 標籤頁 ID
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @param {Object} [options] - 選項
+ * @param {number} [options.timeout] - 等待回應的時間（毫秒）
+ * @returns {Promise<Object>} - 內容腳本的成功回應
+ */
+export function callTab(tabId, action, payload, options = {}) {
+  const request = createRequest(action, payload);
+
+  return sendRequest(request, options.timeout, (settle) =>
+    chrome.tabs.sendMessage(tabId, request, (response) =>
+      settle(response, getLastError(request))
+    )
+  );
+}
+
+/**
+ * 處理經由 chrome.runtime.onMessage 收到的請求
+ * 依協定驗證訊息後交給對應的處理器，處理器完成後才回應，處理器拋出的錯誤以錯誤回應傳回
+ *
+ * @param {Object} handlers - 訊息動作對應的處理器，處理器接收訊息並返回回應內容或 Promise
+ * @param {Object} message - 收到的訊息
+ * @param {Function} sendResponse - 回應函數
+ * @returns {boolean} - 是否需要保持連接開啟
+ */
+export function serveRequest(handlers, message, sendResponse) {
+  const validationError = validateMessage(message);
+  if (validationError) {
+    logger.warn("拒絕無效的請求", { error: validationError.error });
+    sendResponse(validationError);
+    return false;
+  }
+
+  const handler = handlers[message.action];
+  if (!handler) {
+    logger.warn("未處理的訊息類型", { action: message.action });
+    sendResponse(
+      createErrorResponse(
+        MESSAGE_ERROR_CODES.UNKNOWN_ACTION,
+        "此執行環境不處理此訊息動作",
+        { action: message.action }
+      )
+    );
+    return false;
+  }
+
+  runHandler(handler, message).then(sendResponse);
+  return true; // 保持連接開啟，以便異步回應
+}
+
+/**
+ * 在 MessagePort 上建立雙向的請求/回應呼叫
+ * 頁面上下文與內容腳本之間的私有通道兩端各自建立，呼叫對方並處理對方的請求
+ *
+ * @param {MessagePort} port - 私有通道的 port
+ * @param {Object} handlers - 訊息動作對應的處理器
+ * @returns {Object} - { call(action, payload, options) }
+ */
+export function createPortRpc(port, handlers) {
+  // 等待回應的請求，以關聯 ID 對應
+  const pendingCalls = new Map();
+
+  port.onmessage = (event) => {
+    const data = event.data;
+
+    // 對方對我方請求的回應
+    if (data && data.rpcReplyTo) {
+      const settle = pendingCalls.get(data.rpcReplyTo);
+      if (settle) {
+        settle(data.response);
+      }
+      return;
+    }
+
+    // 對方的請求
+    const rpcId = data && data.rpcId;
+    serveRequest(handlers, data, (response) => {
+      if (rpcId) {
+        port.postMessage({ rpcReplyTo: rpcId, response });
+      }
+    });
+  };
+
+  return {
+    call(action, payload, options = {}) {
+      const request = createRequest(action, payload);
+
+      return sendRequest(request, options.timeout, (settle) => {
+        pendingCalls.set(request.rpcId, settle);
+        port.postMessage(request);
+      }).finally(() => pendingCalls.delete(request.rpcId));
+    },
+  };
+}
+
+/**
+ * 建立帶有關聯 ID 的請求
+ *
+ * @param {string} action - 訊息動作
+ * @param {Object} [payload] - 訊息內容
+ * @returns {Object} - 請求訊息
+ * @private
+ */
+function createRequest(action, payload = {}) {
+  return createMessage(action, { ...payload, rpcId: generateRpcId() });
+}
+
+/**
+ * 發送請求並等待回應，只接受第一個結果
+ *
+ * @param {Object} request - 請求訊息
+ * @param {number} [timeout] - 等待回應的時間（毫秒）
+ * @param {Function} send - 發送函數，參數為 settle(response, error)
+ * @returns {Promise<Object>} - 接收端的成功回應
+ * @private
+ */
+function sendRequest(request, timeout = RPC_CONSTANTS.DEFAULT_TIMEOUT, send) {
+  return new Promise((resolve, reject) => {
+    let isSettled = false;
+
+    const settle = (response, error) => {
+      if (isSettled) {
+        return;
+      }
+      isSettled = true;
+      clearTimeout(timer);
+
+      if (error) {
+        reject(error);
+      } else if (!response) {
+        reject(
+          createRpcError(MESSAGE_ERROR_CODES.NO_RESPONSE, "接收端沒有回應", {
+            action: request.action,
+            rpcId: request.rpcId,
+          })
+        );
+      } else if (!response.success) {
+        reject(
+          createRpcError(
+            (response.error && response.error.code) ||
+              MESSAGE_ERROR_CODES.INTERNAL_ERROR,
+            getResponseErrorMessage(response, "接收端回傳錯誤"),
+            response.error && response.error.details
+          )
+        );
+      } else {
+        resolve(response);
+      }
+    };
+
+    const timer = setTimeout(
+      () =>
+        settle(
+          null,
+          createRpcError(MESSAGE_ERROR_CODES.TIMEOUT, "等待回應逾時", {
+            action: request.action,
+            rpcId: request.rpcId,
+          })
+        ),
+      timeout
+    );
+
+    try {
+      send(settle);
+    } catch (error) {
+      settle(
+        null,
+        createRpcError(MESSAGE_ERROR_CODES.NO_RECEIVER, error.message, {
+          action: request.action,
+        })
+      );
+    }
+  });
+}
+
+/**
+ * 取得 chrome.runtime.lastError 並轉換為帶有錯誤代碼的 Error
+ *
+ * @param {Object} request - 請求訊息
+ * @returns {Error|null} - 沒有錯誤時返回 null
+ * @private
+ */
+function getLastError(request) {
+  if (!chrome.runtime.lastError) {
+    return null;
+  }
+
+  return createRpcError(
+    MESSAGE_ERROR_CODES.NO_RECEIVER,
+    chrome.runtime.lastError.message,
+    { action: request.action }
+  );
+}
+
+/**
+ * 執行處理器並將結果或錯誤轉換為回應
+ *
+ * @param {Function} handler - 處理器
+ * @param {Object} message - 請求訊息
+ * @returns {Promise<Object>} - 成功或錯誤回應
+ * @private
+ */
+function runHandler(handler, message) {
+  return Promise.resolve()
+    .then(() => handler(message))
+    .then((result) => createSuccessResponse(result))
+    .catch((error) => {
+      logger.error("處理請求時發生錯誤", {
+        action: message.action,
+        rpcId: message.rpcId,
+        error: error.message,
+      });
+
+      const code = Object.values(MESSAGE_ERROR_CODES).includes(error.code)
+        ? error.code
+        : MESSAGE_ERROR_CODES.INTERNAL_ERROR;
+      return createErrorResponse(code, error.message, error.details);
+    });
+}
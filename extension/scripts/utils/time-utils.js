@@ -54,15 +54,20 @@ export function formatDateForFilename(date) {
 }
 
 /**
- * 根據 Last-Modified 標頭或當前時間生成語音訊息檔案名稱
+ * 根據發送時間、Last-Modified 標頭或當前時間生成語音訊息檔案名稱
+ * 優先使用 audioclip 檔名中的發送時間，因為它是語音訊息真正的發送時間
  *
  * @param {string} [lastModified] - Last-Modified 標頭值
+ * @param {number} [sentAtMs] - 語音訊息的發送時間（毫秒）
  * @returns {string} - 格式化的檔案名稱（不含副檔名）
  */
-export function generateVoiceMessageFilename(lastModified) {
-  const date = lastModified
-    ? parseLastModifiedHeader(lastModified)
-    : new Date();
+export function generateVoiceMessageFilename(lastModified, sentAtMs) {
+  let date = new Date();
+  if (sentAtMs) {
+    date = new Date(sentAtMs);
+  } else if (lastModified) {
+    date = parseLastModifiedHeader(lastModified);
+  }
   const formattedDate = formatDateForFilename(date || new Date());
   return `${FILENAME_CONSTANTS.VOICE_MESSAGE_FILENAME_PREFIX}${formattedDate}`;
 }
@@ -0,0 +1,77 @@
+/**
+ * url-utils.js
+ * 依主機名稱判斷 URL 是否來自支援的網站或 CDN
+ * 所有需要確認來源的地方都使用同一套比對規則：網域本身或其子網域，不以字串包含判斷
+ */
+
+import { SUPPORTED_SITES } from "./constants.js";
+
+/**
+ * 檢查主機名稱是否為指定網域之一或其子網域
+ *
+ * @param {string} hostname - 主機名稱
+ * @param {Array<string>} domains - 網域，例如 ["fbcdn.net"]
+ * @returns {boolean} - 是否符合
+ */
+export function matchesDomain(hostname, domains) {
+  return domains.some(
+    (domain) => hostname === domain || hostname.endsWith(`.${domain}`)
+  );
+}
+
+/**
+ * @param {string} hostname - 主機名稱
+ * @returns {boolean} - 是否為支援的 CDN 主機
+ */
+export function isCdnHost(hostname) {
+  return matchesDomain(hostname, SUPPORTED_SITES.CDN_DOMAINS);
+}
+
+/**
+ * @param {*} url - 要檢查的 URL
+ * @returns {boolean} - 是否為支援的 CDN 上的 HTTPS URL
+ */
+export function isCdnUrl(url) {
+  const parsedUrl = parseUrl(url);
+  return (
+    !!parsedUrl &&
+    parsedUrl.protocol === "https:" &&
+    isCdnHost(parsedUrl.hostname)
+  );
+}
+
+/**
+ * @param {*} url - 要檢查的 URL
+ * @returns {boolean} - 是否為支援的網站頁面以 HTTPS 建立的 Blob URL
+ */
+export function isSupportedSiteBlobUrl(url) {
+  if (typeof url !== "string" || !url.startsWith("blob:")) {
+    return false;
+  }
+
+  const parsedUrl = parseUrl(url.substring("blob:".length));
+  return (
+    !!parsedUrl &&
+    parsedUrl.protocol === "https:" &&
+    matchesDomain(parsedUrl.hostname, SUPPORTED_SITES.DOMAINS)
+  );
+}
+
+/**
+ * 解析 URL，格式錯誤時返回 null
+ *
+ * @param {*} url - 要解析的 URL
+ * @returns {URL|null} - 解析結果
+ * @private
+ */
+function parseUrl(url) {
+  if (typeof url !== "string") {
+    return null;
+  }
+
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * wav-encoder.js
+ * 將 Web Audio 解碼後的音訊編碼為 16 位元 PCM 的 WAV 檔案
+ */
+
+// WAV 檔頭（RIFF、fmt 和 data 區塊標頭）的位元組數
+const WAV_HEADER_SIZE = 44;
+
+// 每個取樣的位元組數（16 位元 PCM）
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * 將解碼後的音訊編碼為 WAV 檔案內容
+ * 各聲道的取樣交錯排列，超出 [-1, 1] 的取樣值會被截斷
+ *
+ * @param {AudioBuffer} audioBuffer - 解碼後的音訊
+ * @returns {Uint8Array} - WAV 檔案的位元組
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const blockAlign = numberOfChannels * BYTES_PER_SAMPLE;
+  const dataSize = length * blockAlign;
+  const bytes = new Uint8Array(WAV_HEADER_SIZE + dataSize);
+  const view = new DataView(bytes.buffer);
+
+  writeAscii(view, 0, "RIFF");
+  view.setUint32(4, WAV_HEADER_SIZE - 8 + dataSize, true);
+  writeAscii(view, 8, "WAVE");
+
+  writeAscii(view, 12, "fmt ");
+  view.setUint32(16, 16, true); // fmt 區塊大小
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);
+
+  writeAscii(view, 36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    channels.push(audioBuffer.getChannelData(channel));
+  }
+
+  let offset = WAV_HEADER_SIZE;
+  for (let i = 0; i < length; i++) {
+    for (const samples of channels) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(
+        offset,
+        sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+        true
+      );
+      offset += BYTES_PER_SAMPLE;
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * 在指定位置寫入 ASCII 字串
+ *
+ * @param {DataView} view - 檔案內容
+ * @param {number} offset - 起始位置
+ * @param {string} text - ASCII 字串
+ * @private
+ */
+function writeAscii(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
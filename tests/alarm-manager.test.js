@@ -0,0 +1,89 @@
+const ALARM_NAME = "cleanup";
+const INTERVAL_MS = 5 * 60000;
+
+describe("AlarmManager", () => {
+  let alarmManager;
+  let existingAlarms;
+  let onAlarm;
+
+  beforeEach(() => {
+    existingAlarms = {};
+    chrome.alarms = {
+      get: jest.fn((name, callback) => callback(existingAlarms[name])),
+      create: jest.fn(),
+      clear: jest.fn(),
+      onAlarm: {
+        addListener: jest.fn((listener) => (onAlarm = listener)),
+      },
+    };
+
+    jest.isolateModules(() => {
+      alarmManager = require("../extension/scripts/background/alarm-manager.js");
+    });
+    alarmManager.initAlarmManager();
+  });
+
+  afterEach(() => {
+    delete chrome.alarms;
+  });
+
+  describe("registerAlarmTask", () => {
+    test("排程不存在時應該建立排程", () => {
+      alarmManager.registerAlarmTask(ALARM_NAME, INTERVAL_MS, jest.fn());
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(ALARM_NAME, {
+        delayInMinutes: 5,
+        periodInMinutes: 5,
+      });
+    });
+
+    test("Service Worker 重啟後應該沿用週期相同的現有排程", () => {
+      existingAlarms[ALARM_NAME] = {
+        name: ALARM_NAME,
+        periodInMinutes: 5,
+        scheduledTime: Date.now() + 60000,
+      };
+
+      alarmManager.registerAlarmTask(ALARM_NAME, INTERVAL_MS, jest.fn());
+
+      expect(chrome.alarms.create).not.toHaveBeenCalled();
+    });
+
+    test("週期改變時應該重新建立排程", () => {
+      existingAlarms[ALARM_NAME] = {
+        name: ALARM_NAME,
+        periodInMinutes: 10,
+        scheduledTime: Date.now() + 60000,
+      };
+
+      alarmManager.registerAlarmTask(ALARM_NAME, INTERVAL_MS, jest.fn());
+
+      expect(chrome.alarms.create).toHaveBeenCalledWith(ALARM_NAME, {
+        delayInMinutes: 5,
+        periodInMinutes: 5,
+      });
+    });
+  });
+
+  describe("onAlarm", () => {
+    test("應該只註冊一次監聽器", () => {
+      alarmManager.initAlarmManager();
+
+      expect(chrome.alarms.onAlarm.addListener).toHaveBeenCalledTimes(1);
+    });
+
+    test("應該執行對應的維護工作，工作失敗時不拋出錯誤", async () => {
+      const task = jest.fn().mockRejectedValue(new Error("cleanup failed"));
+      alarmManager.registerAlarmTask(ALARM_NAME, INTERVAL_MS, task);
+
+      await expect(onAlarm({ name: ALARM_NAME })).resolves.toBeUndefined();
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    test("應該清除未註冊的排程", async () => {
+      await onAlarm({ name: "legacyAlarm" });
+
+      expect(chrome.alarms.clear).toHaveBeenCalledWith("legacyAlarm");
+    });
+  });
+});
@@ -0,0 +1,48 @@
+import { parseAudioclipFilename } from "../extension/scripts/page-context/audio-analyzer.js";
+
+describe("AudioAnalyzer", () => {
+  describe("parseAudioclipFilename", () => {
+    test("應該從 Content-Disposition 解析發送時間和持續時間", () => {
+      expect(
+        parseAudioclipFilename(
+          "attachment; filename=audioclip-1742393117000-30999.mp4"
+        )
+      ).toEqual({
+        sentAtMs: 1742393117000,
+        durationMs: 30999,
+        durationPrecisionMs: 1,
+      });
+    });
+
+    test("應該接受帶引號的檔名和其他副檔名", () => {
+      expect(
+        parseAudioclipFilename(
+          'inline; filename="audioclip-1742393117000-4500.m4a"'
+        )
+      ).toEqual({
+        sentAtMs: 1742393117000,
+        durationMs: 4500,
+        durationPrecisionMs: 1,
+      });
+    });
+
+    test("應該拒絕不是 audioclip 的檔名", () => {
+      expect(
+        parseAudioclipFilename("attachment; filename=photo-123-456.jpg")
+      ).toBeNull();
+    });
+
+    test("應該拒絕持續時間為 0 的檔名", () => {
+      expect(
+        parseAudioclipFilename(
+          "attachment; filename=audioclip-1742393117000-0.mp4"
+        )
+      ).toBeNull();
+    });
+
+    test("沒有標頭時應該返回 null", () => {
+      expect(parseAudioclipFilename(null)).toBeNull();
+      expect(parseAudioclipFilename("")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+describe("BlobMonitor", () => {
+  let getBlobForDownload;
+  let retainBlob;
+  let setupRevokeMonitor;
+  let originalRevoke;
+
+  beforeEach(() => {
+    // 頁面上下文的模組在載入時保存原始的 URL.revokeObjectURL
+    originalRevoke = jest.fn();
+    URL.revokeObjectURL = originalRevoke;
+    global.fetch = jest.fn();
+
+    jest.isolateModules(() => {
+      ({
+        getBlobForDownload,
+      } = require("../extension/scripts/page-context/blob-monitor.js"));
+      ({
+        retainBlob,
+        setupRevokeMonitor,
+      } = require("../extension/scripts/page-context/blob-retention-cache.js"));
+    });
+    setupRevokeMonitor();
+  });
+
+  describe("getBlobForDownload", () => {
+    test("頁面撤銷 Blob URL 後應該仍能取得保留的 Blob", async () => {
+      const blob = new Blob(["voice"], { type: "audio/mp4" });
+      retainBlob("blob:https://www.messenger.com/1", blob);
+
+      URL.revokeObjectURL("blob:https://www.messenger.com/1");
+
+      expect(originalRevoke).not.toHaveBeenCalled();
+      await expect(
+        getBlobForDownload("blob:https://www.messenger.com/1")
+      ).resolves.toBe(blob);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    test("沒有保留的 Blob 時應該讀取 Blob URL", async () => {
+      const blob = new Blob(["voice"], { type: "audio/mp4" });
+      global.fetch.mockResolvedValue({ ok: true, blob: async () => blob });
+
+      await expect(
+        getBlobForDownload("blob:https://www.messenger.com/2")
+      ).resolves.toBe(blob);
+      expect(global.fetch).toHaveBeenCalledWith(
+        "blob:https://www.messenger.com/2"
+      );
+    });
+
+    test("沒有保留的 Blob 時應該直接撤銷", () => {
+      URL.revokeObjectURL("blob:https://www.messenger.com/3");
+
+      expect(originalRevoke).toHaveBeenCalledWith(
+        "blob:https://www.messenger.com/3"
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  findPlayButtonIn,
+  isVoiceMessagePlayButton,
+  isVoiceMessageSlider,
+} from "../extension/scripts/content/dom-utils.js";
+import { DOM_CONSTANTS } from "../extension/scripts/utils/constants.js";
+
+const PLAY_ICON_PATH =
+  DOM_CONSTANTS.VOICE_MESSAGE_STRUCTURE.PLAY_BUTTON_SVG_PATHS[0];
+const OTHER_ICON_PATH = "M12 2a10 10 0 100 20 10 10 0 000-20z";
+
+/**
+ * 建立語音訊息的 DOM 結構並加入頁面
+ *
+ * @param {Object} [options] - 結構的差異
+ * @param {string} [options.iconPath] - 按鈕圖示的 SVG path
+ * @param {string} [options.waveform] - 波形的 HTML
+ * @param {string} [options.sliderAttributes] - 滑桿的屬性
+ * @returns {Object} - { container, slider, button }
+ */
+function createVoiceMessage({
+  iconPath = PLAY_ICON_PATH,
+  waveform = createBars(30),
+  sliderAttributes = 'aria-valuemin="0" aria-valuemax="12.5"',
+} = {}) {
+  const container = document.createElement("div");
+  container.innerHTML = `
+    <div role="button"><svg><path d="${iconPath}"></path></svg></div>
+    <div role="slider" ${sliderAttributes}>${waveform}</div>
+  `;
+  document.body.appendChild(container);
+
+  return {
+    container,
+    slider: container.querySelector('[role="slider"]'),
+    button: container.querySelector('[role="button"]'),
+  };
+}
+
+/**
+ * 建立一組波形條
+ *
+ * @param {number} count - 波形條數量
+ * @param {string} [content] - 每個波形條的內容
+ * @returns {string} - 波形條的 HTML
+ */
+function createBars(count, content = "") {
+  return `<div>${`<span>${content}</span>`.repeat(count)}</div>`;
+}
+
+describe("DomUtils", () => {
+  afterEach(() => {
+    document.body.innerHTML = "";
+  });
+
+  describe("isVoiceMessageSlider", () => {
+    test("應該以波形條或 canvas 波形辨識語音訊息滑桿", () => {
+      expect(isVoiceMessageSlider(createVoiceMessage().slider)).toBe(true);
+      expect(
+        isVoiceMessageSlider(
+          createVoiceMessage({ waveform: "<canvas></canvas>" }).slider
+        )
+      ).toBe(true);
+    });
+
+    test("應該要求 aria-valuemin 為 0 且 aria-valuemax 在持續時間範圍內", () => {
+      for (const sliderAttributes of [
+        'aria-valuemax="12.5"',
+        'aria-valuemin="1" aria-valuemax="12.5"',
+        'aria-valuemin="0" aria-valuemax="0.1"',
+        'aria-valuemin="0" aria-valuemax="3600"',
+      ]) {
+        expect(
+          isVoiceMessageSlider(createVoiceMessage({ sliderAttributes }).slider)
+        ).toBe(false);
+      }
+    });
+
+    test("應該拒絕沒有已知播放圖示的容器", () => {
+      expect(
+        isVoiceMessageSlider(
+          createVoiceMessage({ iconPath: OTHER_ICON_PATH }).slider
+        )
+      ).toBe(false);
+    });
+
+    test("應該拒絕不像波形條的子元素", () => {
+      const withText = createBars(30, "message");
+      const nested = createBars(30, "<span></span>");
+      const mixed = `<div>${"<span></span><b></b>".repeat(15)}</div>`;
+
+      for (const waveform of ["", createBars(5), withText, nested, mixed]) {
+        expect(
+          isVoiceMessageSlider(createVoiceMessage({ waveform }).slider)
+        ).toBe(false);
+      }
+    });
+  });
+
+  describe("findPlayButtonIn", () => {
+    test("應該只找出帶有已知播放圖示的按鈕", () => {
+      const { container, button } = createVoiceMessage();
+      const otherButton = document.createElement("div");
+      otherButton.setAttribute("role", "button");
+      otherButton.innerHTML = `<svg><path d="${OTHER_ICON_PATH}"></path></svg>`;
+      container.prepend(otherButton);
+
+      expect(findPlayButtonIn(container)).toBe(button);
+      expect(
+        findPlayButtonIn(
+          createVoiceMessage({ iconPath: OTHER_ICON_PATH }).container
+        )
+      ).toBeNull();
+    });
+  });
+
+  describe("isVoiceMessagePlayButton", () => {
+    test("應該只接受同一則語音訊息中帶有已知播放圖示的按鈕", () => {
+      expect(isVoiceMessagePlayButton(createVoiceMessage().button)).toBe(true);
+      expect(
+        isVoiceMessagePlayButton(
+          createVoiceMessage({ iconPath: OTHER_ICON_PATH }).button
+        )
+      ).toBe(false);
+    });
+  });
+});
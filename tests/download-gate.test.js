@@ -0,0 +1,184 @@
+import {
+  checkFetchedDownload,
+  checkRemoteUrl,
+  checkTransferredDownload,
+} from "../extension/scripts/background/download-gate.js";
+import {
+  BLOB_MONITOR_CONSTANTS,
+  MESSAGE_ERROR_CODES,
+} from "../extension/scripts/utils/constants.js";
+
+const EXTENSION_ORIGIN = "chrome-extension://abcdefghijklmnop";
+const OBJECT_URL = `blob:${EXTENSION_ORIGIN}/0b5e6c1a`;
+const CDN_URL =
+  "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-1.mp4?oh=abc&oe=67E1A2B3";
+
+// 各音訊格式的檔頭
+const HEADERS = {
+  mp4: [0x00, 0x00, 0x00, 0x18, ..."ftypmp42"].map(toByte),
+  ogg: [..."OggS", 0x00, 0x02].map(toByte),
+  aac: [0xff, 0xf1, 0x50, 0x80],
+  mp3: [..."ID3", 0x04, 0x00].map(toByte),
+  mpegFrame: [0xff, 0xfb, 0x90, 0x64],
+  wav: [..."RIFF", 0x24, 0x00, 0x00, 0x00, ..."WAVE"].map(toByte),
+  html: [..."<!DOCTYPE html>"].map(toByte),
+};
+
+function toByte(value) {
+  return typeof value === "string" ? value.charCodeAt(0) : value;
+}
+
+function createTransfer(overrides = {}) {
+  return {
+    objectUrl: OBJECT_URL,
+    blobType: "audio/mp4",
+    blobSize: 1024,
+    headerBytes: Buffer.from(HEADERS.mp4).toString("base64"),
+    ...overrides,
+  };
+}
+
+function expectBlocked(callback) {
+  expect(callback).toThrow(
+    expect.objectContaining({ code: MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED })
+  );
+}
+
+describe("DownloadGate", () => {
+  beforeEach(() => {
+    chrome.runtime.getURL = jest.fn((path) => `${EXTENSION_ORIGIN}/${path}`);
+  });
+
+  describe("checkTransferredDownload", () => {
+    test("應該依檔頭辨識支援的音訊格式", () => {
+      const cases = [
+        ["mp4", ".mp4"],
+        ["ogg", ".ogg"],
+        ["aac", ".aac"],
+        ["mp3", ".mp3"],
+        ["mpegFrame", ".mp3"],
+        ["wav", ".wav"],
+      ];
+
+      for (const [header, extension] of cases) {
+        const format = checkTransferredDownload(
+          createTransfer({
+            blobType: "",
+            headerBytes: Buffer.from(HEADERS[header]).toString("base64"),
+          })
+        );
+        expect(format.extension).toBe(extension);
+      }
+    });
+
+    test("應該拒絕不符合任何音訊格式的檔頭", () => {
+      expectBlocked(() =>
+        checkTransferredDownload(
+          createTransfer({
+            headerBytes: Buffer.from(HEADERS.html).toString("base64"),
+          })
+        )
+      );
+      expectBlocked(() =>
+        checkTransferredDownload(createTransfer({ headerBytes: "not base64!" }))
+      );
+      expectBlocked(() =>
+        checkTransferredDownload(createTransfer({ headerBytes: null }))
+      );
+    });
+
+    test("應該只允許音訊 MIME 類型或未標示的類型，未標示時依檔頭判斷", () => {
+      for (const blobType of [
+        "audio/mp4",
+        "Audio/MP4; codecs=mp4a.40.2",
+        "video/mp4",
+        "application/octet-stream",
+        "",
+        null,
+      ]) {
+        expect(
+          checkTransferredDownload(createTransfer({ blobType })).name
+        ).toBe("mp4");
+      }
+
+      for (const blobType of ["text/html", "application/javascript"]) {
+        expectBlocked(() =>
+          checkTransferredDownload(createTransfer({ blobType }))
+        );
+      }
+
+      for (const blobType of ["", null]) {
+        expectBlocked(() =>
+          checkTransferredDownload(
+            createTransfer({
+              blobType,
+              headerBytes: Buffer.from(HEADERS.html).toString("base64"),
+            })
+          )
+        );
+      }
+    });
+
+    test("應該拒絕大小不合理的檔案", () => {
+      expectBlocked(() =>
+        checkTransferredDownload(createTransfer({ blobSize: 8 }))
+      );
+      expectBlocked(() =>
+        checkTransferredDownload(
+          createTransfer({
+            blobSize: BLOB_MONITOR_CONSTANTS.MAX_VALID_AUDIO_SIZE + 1,
+          })
+        )
+      );
+    });
+
+    test("應該只允許擴充功能建立的 Blob URL", () => {
+      for (const objectUrl of [
+        "blob:https://www.messenger.com/0b5e6c1a",
+        "blob:chrome-extension://other/0b5e6c1a",
+        CDN_URL,
+      ]) {
+        expectBlocked(() =>
+          checkTransferredDownload(createTransfer({ objectUrl }))
+        );
+      }
+    });
+  });
+
+  describe("checkRemoteUrl", () => {
+    test("應該只允許支援的 CDN 上的 HTTPS URL", () => {
+      expect(() => checkRemoteUrl(CDN_URL)).not.toThrow();
+
+      for (const url of [
+        "http://scontent.xx.fbcdn.net/audioclip-1.mp4",
+        "https://fbcdn.net.evil.example/audioclip-1.mp4",
+        "data:audio/mp4;base64,AAAA",
+        OBJECT_URL,
+      ]) {
+        expectBlocked(() => checkRemoteUrl(url));
+      }
+    });
+  });
+
+  describe("checkFetchedDownload", () => {
+    test("應該檢查下載到的同一份內容", () => {
+      expect(
+        checkFetchedDownload(createTransfer({ finalUrl: CDN_URL }))
+      ).toEqual({ name: "mp4", extension: ".mp4" });
+
+      expectBlocked(() =>
+        checkFetchedDownload(
+          createTransfer({ finalUrl: CDN_URL, blobType: "text/html" })
+        )
+      );
+    });
+
+    test("應該拒絕重新導向到其他網域的內容", () => {
+      expectBlocked(() =>
+        checkFetchedDownload(
+          createTransfer({ finalUrl: "https://evil.example/audioclip-1.mp4" })
+        )
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  getSecondsTextPrecision,
+  getDurationTolerance,
+  isDurationMatch,
+  getDurationCloseness,
+} from "../extension/scripts/utils/duration-utils.js";
+import {
+  DURATION_PRECISION,
+  MATCHING_TOLERANCE,
+} from "../extension/scripts/utils/constants.js";
+
+const { MILLISECOND, SECOND } = DURATION_PRECISION;
+
+describe("DurationUtils", () => {
+  describe("getSecondsTextPrecision", () => {
+    test("應該依小數位數判斷 aria-valuemax 的精確度", () => {
+      expect(getSecondsTextPrecision("12")).toBe(SECOND);
+      expect(getSecondsTextPrecision("12.3")).toBe(100);
+      expect(getSecondsTextPrecision("12.34")).toBe(10);
+      expect(getSecondsTextPrecision("12.345")).toBe(MILLISECOND);
+      expect(getSecondsTextPrecision("12.3456")).toBe(MILLISECOND);
+    });
+
+    test("應該把無法解析的文字視為整數秒", () => {
+      expect(getSecondsTextPrecision(null)).toBe(SECOND);
+      expect(getSecondsTextPrecision("")).toBe(SECOND);
+      expect(getSecondsTextPrecision("abc")).toBe(SECOND);
+    });
+  });
+
+  describe("getDurationTolerance", () => {
+    test("兩個毫秒精確度的來源應該使用 MATCHING_TOLERANCE", () => {
+      expect(getDurationTolerance()).toBe(MATCHING_TOLERANCE);
+      expect(getDurationTolerance(MILLISECOND, MILLISECOND)).toBe(
+        MATCHING_TOLERANCE
+      );
+    });
+
+    test("應該放寬到較粗略一方的精確度", () => {
+      expect(getDurationTolerance(MILLISECOND, SECOND)).toBe(SECOND);
+      expect(getDurationTolerance(100, MILLISECOND)).toBe(100);
+    });
+  });
+
+  describe("isDurationMatch", () => {
+    test("數值是整數秒但來源精確到毫秒時不應該放寬容忍度", () => {
+      expect(isDurationMatch(12000, 12300)).toBe(false);
+      expect(isDurationMatch(12000, 12000 + MATCHING_TOLERANCE)).toBe(true);
+      expect(isDurationMatch(12300, 12310, MILLISECOND, MILLISECOND)).toBe(
+        false
+      );
+    });
+
+    test("整數秒的滑桿應該匹配一秒內的毫秒持續時間", () => {
+      expect(isDurationMatch(12000, 12300, SECOND, MILLISECOND)).toBe(true);
+      expect(isDurationMatch(12000, 11400, SECOND, MILLISECOND)).toBe(true);
+      expect(isDurationMatch(12000, 13200, SECOND, MILLISECOND)).toBe(false);
+    });
+
+    test("缺少持續時間時應該返回 false", () => {
+      expect(isDurationMatch(null, 12000)).toBe(false);
+      expect(isDurationMatch(12000, undefined)).toBe(false);
+    });
+  });
+
+  describe("getDurationCloseness", () => {
+    test("越接近的持續時間分數越高", () => {
+      const exact = getDurationCloseness(12000, 12000, SECOND, MILLISECOND);
+      const near = getDurationCloseness(12000, 12100, SECOND, MILLISECOND);
+      const far = getDurationCloseness(12000, 12900, SECOND, MILLISECOND);
+
+      expect(exact).toBe(1);
+      expect(near).toBeGreaterThan(far);
+      expect(far).toBeGreaterThan(0);
+    });
+
+    test("超出容忍度時應該返回 0", () => {
+      expect(getDurationCloseness(12000, 12300)).toBe(0);
+    });
+  });
+});
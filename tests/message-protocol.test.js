@@ -0,0 +1,172 @@
+import {
+  createMessage,
+  validateMessage,
+} from "../extension/scripts/utils/message-protocol.js";
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  MESSAGE_PROTOCOL,
+} from "../extension/scripts/utils/constants.js";
+
+const PAGE_BLOB_URL = "blob:https://www.messenger.com/0b5e6c1a";
+const CDN_URL =
+  "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-1.mp4?oh=abc&oe=67E1A2B3";
+
+function createBlobRegistration(overrides = {}) {
+  return createMessage(MESSAGE_ACTIONS.REGISTER_BLOB_URL, {
+    blobUrl: PAGE_BLOB_URL,
+    blobType: "audio/mp4",
+    blobSize: 1024,
+    durationMs: 5000,
+    timestamp: "2026-10-19T00:00:00.000Z",
+    ...overrides,
+  });
+}
+
+describe("MessageProtocol", () => {
+  describe("validateMessage", () => {
+    test("應該接受符合結構的訊息", () => {
+      expect(validateMessage(createBlobRegistration())).toBeNull();
+      expect(
+        validateMessage({ ...createBlobRegistration(), rpcId: "rpc-1" })
+      ).toBeNull();
+    });
+
+    test("應該拒絕格式錯誤或版本不符的訊息", () => {
+      expect(validateMessage(null).error.code).toBe(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(validateMessage({ action: 1 }).error.code).toBe(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(
+        validateMessage({
+          ...createBlobRegistration(),
+          protocolVersion: MESSAGE_PROTOCOL.VERSION + 1,
+        }).error.code
+      ).toBe(MESSAGE_ERROR_CODES.UNSUPPORTED_VERSION);
+    });
+
+    test("應該拒絕未定義的動作", () => {
+      expect(validateMessage(createMessage("notAnAction")).error.code).toBe(
+        MESSAGE_ERROR_CODES.UNKNOWN_ACTION
+      );
+      expect(validateMessage(createMessage("toString")).error.code).toBe(
+        MESSAGE_ERROR_CODES.UNKNOWN_ACTION
+      );
+    });
+
+    test("應該拒絕缺少、多餘或型別錯誤的欄位", () => {
+      const missing = createBlobRegistration();
+      delete missing.durationMs;
+
+      for (const message of [
+        missing,
+        createBlobRegistration({ extra: true }),
+        createBlobRegistration({ blobSize: "1024" }),
+        createBlobRegistration({ blobSize: -1 }),
+        createBlobRegistration({ durationMs: Infinity }),
+      ]) {
+        expect(validateMessage(message).error.code).toBe(
+          MESSAGE_ERROR_CODES.INVALID_MESSAGE
+        );
+      }
+    });
+
+    test("應該拒絕超出限制的值", () => {
+      const tooLong = `${CDN_URL}&${"a".repeat(
+        MESSAGE_PROTOCOL.MAX_URL_LENGTH
+      )}`;
+
+      expect(
+        validateMessage(createBlobRegistration({ sourceUrl: tooLong })).error
+          .code
+      ).toBe(MESSAGE_ERROR_CODES.INVALID_MESSAGE);
+      expect(
+        validateMessage(
+          createMessage(MESSAGE_ACTIONS.SHOW_NOTIFICATION, {
+            text: "Hello",
+            level: "debug",
+          })
+        ).error.code
+      ).toBe(MESSAGE_ERROR_CODES.INVALID_MESSAGE);
+    });
+
+    test("應該驗證巢狀物件的欄位", () => {
+      const message = createMessage(MESSAGE_ACTIONS.REGISTER_ELEMENT, {
+        elementId: "voice-1",
+        durationMs: 5000,
+        durationOrder: { index: 0, count: 1 },
+      });
+      expect(validateMessage(message)).toBeNull();
+
+      message.durationOrder.extra = 1;
+      expect(validateMessage(message).error.code).toBe(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE
+      );
+    });
+
+    test("應該只接受支援網站頁面建立的 Blob URL", () => {
+      for (const blobUrl of [
+        "blob:https://www.facebook.com/0b5e6c1a",
+        PAGE_BLOB_URL,
+      ]) {
+        expect(validateMessage(createBlobRegistration({ blobUrl }))).toBeNull();
+      }
+
+      for (const blobUrl of [
+        "blob:https://evil.example/0b5e6c1a",
+        "blob:https://messenger.com.evil.example/0b5e6c1a",
+        "blob:http://www.messenger.com/0b5e6c1a",
+        "blob:chrome-extension://abc/0b5e6c1a",
+        CDN_URL,
+      ]) {
+        expect(
+          validateMessage(createBlobRegistration({ blobUrl })).error.code
+        ).toBe(MESSAGE_ERROR_CODES.INVALID_MESSAGE);
+      }
+    });
+
+    test("應該只接受支援的 CDN 上的 HTTPS URL", () => {
+      const createAudioRegistration = (audioUrl) =>
+        createMessage(MESSAGE_ACTIONS.REGISTER_AUDIO_URL, {
+          audioUrl,
+          durationMs: 5000,
+        });
+
+      expect(validateMessage(createAudioRegistration(CDN_URL))).toBeNull();
+      expect(
+        validateMessage(
+          createAudioRegistration("https://fbsbx.com/audioclip-1.mp4")
+        )
+      ).toBeNull();
+
+      for (const audioUrl of [
+        "http://scontent.xx.fbcdn.net/audioclip-1.mp4",
+        "https://fbcdn.net.evil.example/audioclip-1.mp4",
+        "https://evil.example/fbcdn.net/audioclip-1.mp4",
+        "data:audio/mp4;base64,AAAA",
+        PAGE_BLOB_URL,
+        "not a url",
+      ]) {
+        expect(
+          validateMessage(createAudioRegistration(audioUrl)).error.code
+        ).toBe(MESSAGE_ERROR_CODES.INVALID_MESSAGE);
+      }
+    });
+
+    test("應該允許媒體 URL 為頁面的 Blob URL 或 CDN URL", () => {
+      const createBinding = (url) =>
+        createMessage(MESSAGE_ACTIONS.BIND_MEDIA_URL, {
+          elementId: "voice-1",
+          url,
+        });
+
+      expect(validateMessage(createBinding(PAGE_BLOB_URL))).toBeNull();
+      expect(validateMessage(createBinding(CDN_URL))).toBeNull();
+      expect(
+        validateMessage(createBinding("https://evil.example/a.mp4")).error.code
+      ).toBe(MESSAGE_ERROR_CODES.INVALID_MESSAGE);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_SOURCES,
+  PAGE_CONTEXT_INJECTION,
+} from "../extension/scripts/utils/constants.js";
+import { createMessage } from "../extension/scripts/utils/message-protocol.js";
+
+/**
+ * 建立一對互通的 port，訊息以微任務非同步送達
+ *
+ * @returns {Object} - { port1, port2 }
+ */
+function createFakeChannel() {
+  const createPort = () => ({
+    onmessage: null,
+    close: jest.fn(),
+    postMessage(data) {
+      queueMicrotask(() => this.peer.onmessage?.({ data }));
+    },
+  });
+  const port1 = createPort();
+  const port2 = createPort();
+  port1.peer = port2;
+  port2.peer = port1;
+  return { port1, port2 };
+}
+
+/**
+ * 模擬頁面腳本以 window.postMessage 送出的通道
+ *
+ * @param {string|undefined} nonce - 通道附上的驗證碼
+ * @returns {Object} - 送出的 port
+ */
+function postChannelOffer(nonce) {
+  const { port2 } = createFakeChannel();
+  window.postMessage(
+    {
+      type: MESSAGE_SOURCES.PAGE_CONTEXT,
+      message: createMessage(MESSAGE_ACTIONS.CHANNEL_OFFER, { nonce }),
+    },
+    window.location.origin,
+    [port2]
+  );
+  return port2;
+}
+
+/**
+ * 以頁面腳本的身分請求驗證碼，返回收到的驗證碼
+ *
+ * @param {EventTarget} target - 送出請求的目標
+ * @returns {string|null} - 收到的驗證碼
+ */
+function requestNonceAsPage(target) {
+  let nonce = null;
+  const listener = (event) => {
+    nonce = event.detail;
+  };
+  target.addEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_DELIVERY_EVENT,
+    listener
+  );
+  target.dispatchEvent(
+    new CustomEvent(PAGE_CONTEXT_INJECTION.NONCE_REQUEST_EVENT)
+  );
+  target.removeEventListener(
+    PAGE_CONTEXT_INJECTION.NONCE_DELIVERY_EVENT,
+    listener
+  );
+  return nonce;
+}
+
+describe("PageChannel", () => {
+  let pageChannel;
+  let contentChannel;
+  let windowListeners;
+  let nonceCount;
+
+  beforeEach(() => {
+    nonceCount = 0;
+    crypto.randomUUID = jest.fn(() => `nonce-${++nonceCount}`);
+    global.MessageChannel = jest.fn(createFakeChannel);
+
+    // 記錄模組在 window 上註冊的監聽器，測試結束後移除
+    windowListeners = [];
+    const addEventListener = window.addEventListener;
+    jest
+      .spyOn(window, "addEventListener")
+      .mockImplementation((type, listener, options) => {
+        windowListeners.push([type, listener]);
+        return addEventListener.call(window, type, listener, options);
+      });
+
+    // jsdom 的 postMessage 不會設置 source 和 ports，這裡同步派送完整的訊息事件
+    jest
+      .spyOn(window, "postMessage")
+      .mockImplementation((data, origin, ports) => {
+        const event = new Event("message");
+        Object.defineProperties(event, {
+          data: { value: data },
+          origin: { value: origin },
+          source: { value: window },
+          ports: { value: ports || [] },
+        });
+        window.dispatchEvent(event);
+      });
+
+    jest.isolateModules(() => {
+      pageChannel = require("../extension/scripts/content/page-channel.js");
+      contentChannel = require("../extension/scripts/page-context/content-channel.js");
+    });
+  });
+
+  afterEach(() => {
+    // 移除模組註冊的監聽器，避免影響下一個測試
+    windowListeners.forEach(([type, listener]) =>
+      window.removeEventListener(type, listener)
+    );
+    jest.restoreAllMocks();
+  });
+
+  describe("MAIN world 頁面上下文", () => {
+    test("頁面上下文先執行時，內容腳本應該直接交付驗證碼並建立通道", async () => {
+      contentChannel.initContentChannel();
+      pageChannel.initPageChannel();
+
+      expect(pageChannel.isPageChannelReady()).toBe(true);
+      await expect(
+        contentChannel.callContent(MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED, {
+          url: "https://www.messenger.com/t/1",
+        })
+      ).resolves.toMatchObject({ success: true });
+    });
+
+    test("內容腳本先執行時，應該回應頁面上下文的驗證碼請求並建立通道", async () => {
+      pageChannel.initPageChannel();
+      contentChannel.initContentChannel();
+
+      expect(pageChannel.isPageChannelReady()).toBe(true);
+      await expect(
+        contentChannel.callContent(MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED)
+      ).resolves.toMatchObject({ success: true });
+    });
+
+    test("應該只回應第一個驗證碼請求", () => {
+      pageChannel.initPageChannel();
+      contentChannel.initContentChannel();
+
+      expect(requestNonceAsPage(window)).toBeNull();
+    });
+  });
+
+  describe("驗證碼", () => {
+    test("應該拒絕沒有驗證碼或驗證碼不符的通道", () => {
+      pageChannel.initPageChannel();
+
+      postChannelOffer(undefined);
+      postChannelOffer("forged-nonce");
+
+      expect(pageChannel.isPageChannelReady()).toBe(false);
+    });
+
+    test("應該只接受第一個帶有正確驗證碼的通道", () => {
+      pageChannel.initPageChannel();
+      contentChannel.initContentChannel();
+      const port = postChannelOffer("nonce-1");
+
+      expect(pageChannel.isPageChannelReady()).toBe(true);
+      expect(port.onmessage).toBeNull();
+    });
+  });
+
+  describe("備用的 script 標籤", () => {
+    let script;
+
+    beforeEach(() => {
+      script = document.createElement("script");
+      script.src = "chrome-extension://abc/scripts/page-context.js";
+    });
+
+    afterEach(() => {
+      delete document.currentScript;
+    });
+
+    test("改為備用注入時應該關閉先前接受的通道並更換驗證碼", () => {
+      pageChannel.initPageChannel();
+      const forgedNonce = requestNonceAsPage(window);
+      const forgedPort = postChannelOffer(forgedNonce);
+      expect(pageChannel.isPageChannelReady()).toBe(true);
+
+      pageChannel.requireChannelNonce(script);
+
+      expect(forgedPort.close).toHaveBeenCalled();
+      expect(pageChannel.isPageChannelReady()).toBe(false);
+      postChannelOffer(forgedNonce);
+      expect(pageChannel.isPageChannelReady()).toBe(false);
+    });
+
+    test("應該只把驗證碼交給執行中的注入腳本，且不放在 DOM 屬性中", async () => {
+      pageChannel.initPageChannel();
+      pageChannel.requireChannelNonce(script);
+
+      expect(requestNonceAsPage(window)).toBeNull();
+      expect(requestNonceAsPage(script)).toBeNull();
+      expect(script.getAttributeNames()).toEqual(["src"]);
+
+      Object.defineProperty(document, "currentScript", {
+        configurable: true,
+        value: script,
+      });
+      contentChannel.initContentChannel();
+
+      expect(pageChannel.isPageChannelReady()).toBe(true);
+      await expect(
+        contentChannel.callContent(MESSAGE_ACTIONS.PAGE_CONTEXT_INITIALIZED)
+      ).resolves.toMatchObject({ success: true });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import {
+  MESSAGE_ACTIONS,
+  STORAGE_CONSTANTS,
+  TIME_CONSTANTS,
+} from "../extension/scripts/utils/constants.js";
+
+const CDN_URL =
+  "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-1.mp4?oh=abc&oe=67E1A2B3";
+
+/**
+ * 建立擷取到的下載 URL 項目
+ *
+ * @param {Object} [overrides] - 要覆寫的欄位
+ * @returns {Object} - 語音訊息項目
+ */
+function createCapturedItem(overrides = {}) {
+  return {
+    id: "captured-1",
+    isPending: true,
+    downloadUrl: CDN_URL,
+    durationMs: 5000,
+    timestamp: 1,
+    tabId: 1,
+    ...overrides,
+  };
+}
+
+/**
+ * 取得送到指定標籤頁的提示訊息
+ *
+ * @param {number} tabId - 標籤頁 ID
+ * @returns {Object[]} - { text, level, persistent }
+ */
+function getNotifications(tabId) {
+  return chrome.tabs.sendMessage.mock.calls
+    .filter(
+      ([targetTabId, message]) =>
+        targetTabId === tabId &&
+        message.action === MESSAGE_ACTIONS.SHOW_NOTIFICATION
+    )
+    .map(([, { text, level, persistent }]) => ({ text, level, persistent }));
+}
+
+describe("PendingDownloads", () => {
+  let pendingDownloads;
+  let dataStore;
+  let voiceMessages;
+  let onResolved;
+  let storedJobs;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    storedJobs = [];
+    chrome.storage = {
+      session: {
+        get: jest.fn(async () => ({
+          [STORAGE_CONSTANTS.PENDING_DOWNLOADS_KEY]: storedJobs,
+        })),
+        set: jest.fn(async (values) => {
+          storedJobs = values[STORAGE_CONSTANTS.PENDING_DOWNLOADS_KEY];
+        }),
+      },
+    };
+    chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+      callback({ success: true, primed: true })
+    );
+    onResolved = jest.fn();
+
+    jest.isolateModules(() => {
+      pendingDownloads = require("../extension/scripts/background/pending-downloads.js");
+      dataStore = require("../extension/scripts/background/data-store.js");
+    });
+    voiceMessages = dataStore.createDataStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /**
+   * 為 voice-1 元素建立等待中的下載工作
+   *
+   * @param {Object} [overrides] - 要覆寫的右鍵點擊資訊
+   */
+  function createJob(overrides = {}) {
+    pendingDownloads.createPendingDownload(
+      voiceMessages,
+      { elementId: "voice-1", durationMs: 5000, tabId: 1, ...overrides },
+      onResolved
+    );
+  }
+
+  describe("tryResolveJob", () => {
+    test("已經有符合的 URL 時應該立即完成，不顯示等待提示", () => {
+      dataStore.saveItem(voiceMessages, createCapturedItem());
+
+      createJob();
+
+      expect(onResolved).toHaveBeenCalledWith(
+        expect.objectContaining({ elementId: "voice-1", downloadUrl: CDN_URL })
+      );
+      expect(getNotifications(1).map(({ persistent }) => persistent)).toEqual([
+        false,
+      ]);
+    });
+
+    test("同一個標籤頁註冊符合的 URL 後應該只完成一次", () => {
+      createJob();
+      expect(onResolved).not.toHaveBeenCalled();
+      expect(getNotifications(1)[0]).toMatchObject({ persistent: true });
+
+      dataStore.saveItem(voiceMessages, createCapturedItem());
+      dataStore.saveItem(
+        voiceMessages,
+        createCapturedItem({ id: "captured-2" })
+      );
+
+      expect(onResolved).toHaveBeenCalledTimes(1);
+      expect(storedJobs).toEqual([]);
+    });
+
+    test("其他標籤頁的 URL 和無法確定的匹配不應該完成工作", () => {
+      createJob({ durationOrder: { index: 0, count: 2 } });
+
+      dataStore.saveItem(voiceMessages, createCapturedItem({ tabId: 2 }));
+      dataStore.saveItem(
+        voiceMessages,
+        createCapturedItem({ id: "captured-2" })
+      );
+
+      expect(onResolved).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("expireJob", () => {
+    test("逾時前應該最後再檢查一次", () => {
+      createJob();
+      // 直接寫入項目，不觸發更新通知
+      voiceMessages.items.set("captured-1", createCapturedItem());
+
+      jest.advanceTimersByTime(TIME_CONSTANTS.PENDING_DOWNLOAD_TIMEOUT);
+
+      expect(onResolved).toHaveBeenCalledTimes(1);
+    });
+
+    test("逾時且仍找不到 URL 時應該通知使用者並結束工作", () => {
+      createJob();
+
+      jest.advanceTimersByTime(TIME_CONSTANTS.PENDING_DOWNLOAD_TIMEOUT);
+      dataStore.saveItem(voiceMessages, createCapturedItem());
+
+      expect(onResolved).not.toHaveBeenCalled();
+      expect(getNotifications(1).pop()).toMatchObject({ level: "error" });
+      expect(storedJobs).toEqual([]);
+    });
+  });
+
+  describe("initPendingDownloads", () => {
+    test("應該通知 Service Worker 重啟前仍在等待的標籤頁", async () => {
+      storedJobs = [{ key: "element:voice-0", tabId: 3 }];
+
+      await pendingDownloads.initPendingDownloads();
+
+      expect(getNotifications(3)).toEqual([
+        expect.objectContaining({ level: "error", persistent: false }),
+      ]);
+      expect(storedJobs).toEqual([]);
+    });
+
+    test("應該保留並且不通知重啟後新建立的工作", async () => {
+      createJob();
+      chrome.tabs.sendMessage.mockClear();
+
+      await pendingDownloads.initPendingDownloads();
+
+      expect(getNotifications(1)).toEqual([]);
+      expect(storedJobs).toEqual([{ key: "element:voice-1", tabId: 1 }]);
+    });
+  });
+});
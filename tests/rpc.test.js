@@ -0,0 +1,248 @@
+import {
+  callRuntime,
+  callTab,
+  serveRequest,
+} from "../extension/scripts/utils/rpc.js";
+import {
+  createErrorResponse,
+  createMessage,
+  createSuccessResponse,
+} from "../extension/scripts/utils/message-protocol.js";
+import {
+  MESSAGE_ACTIONS,
+  MESSAGE_ERROR_CODES,
+  RPC_CONSTANTS,
+} from "../extension/scripts/utils/constants.js";
+
+const NOTIFICATION = { text: "Hello", level: "info" };
+
+/**
+ * 讓 chrome.runtime.sendMessage 以指定的回應呼叫回呼函數
+ *
+ * @param {*} response - 接收端的回應
+ * @param {Object} [lastError] - 呼叫回呼函數時的 chrome.runtime.lastError
+ */
+function respondWith(response, lastError) {
+  chrome.runtime.sendMessage = jest.fn((message, callback) => {
+    chrome.runtime.lastError = lastError;
+    callback(response);
+    delete chrome.runtime.lastError;
+  });
+}
+
+/**
+ * 以 serveRequest 處理請求並取得回應
+ *
+ * @param {Object} handlers - 訊息動作對應的處理器
+ * @param {Object} message - 請求訊息
+ * @returns {Promise<Object>} - { keepOpen, response }
+ */
+async function serve(handlers, message) {
+  let sendResponse;
+  const responded = new Promise((resolve) => (sendResponse = resolve));
+
+  // 無效的請求會在 serveRequest 返回前同步回應
+  const keepOpen = serveRequest(handlers, message, sendResponse);
+  return { keepOpen, response: await responded };
+}
+
+describe("Rpc", () => {
+  describe("callRuntime", () => {
+    test("應該以成功回應解析", async () => {
+      respondWith(createSuccessResponse({ durationMs: 5000 }));
+
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).resolves.toMatchObject({ success: true, durationMs: 5000 });
+
+      const [request] = chrome.runtime.sendMessage.mock.calls[0];
+      expect(request).toMatchObject({
+        action: MESSAGE_ACTIONS.SHOW_NOTIFICATION,
+        rpcId: expect.any(String),
+        ...NOTIFICATION,
+      });
+    });
+
+    test("應該以錯誤回應的錯誤代碼和說明拒絕，沒有代碼時為 INTERNAL_ERROR", async () => {
+      respondWith(
+        createErrorResponse(
+          MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED,
+          "Download blocked",
+          { reason: "mime" }
+        )
+      );
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).rejects.toMatchObject({
+        code: MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED,
+        message: "Download blocked",
+        details: { reason: "mime" },
+      });
+
+      respondWith({ success: false });
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).rejects.toMatchObject({ code: MESSAGE_ERROR_CODES.INTERNAL_ERROR });
+    });
+
+    test("接收端沒有回應時應該以 NO_RESPONSE 拒絕", async () => {
+      respondWith(undefined);
+
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).rejects.toMatchObject({ code: MESSAGE_ERROR_CODES.NO_RESPONSE });
+    });
+
+    test("沒有接收端時應該以 NO_RECEIVER 拒絕", async () => {
+      respondWith(undefined, {
+        message: "Receiving end does not exist.",
+      });
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).rejects.toMatchObject({
+        code: MESSAGE_ERROR_CODES.NO_RECEIVER,
+        message: "Receiving end does not exist.",
+      });
+
+      chrome.runtime.sendMessage = jest.fn(() => {
+        throw new Error("Extension context invalidated.");
+      });
+      await expect(
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION)
+      ).rejects.toMatchObject({ code: MESSAGE_ERROR_CODES.NO_RECEIVER });
+    });
+
+    describe("逾時", () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test("超過等待時間時應該以 TIMEOUT 拒絕，並忽略之後的回應", async () => {
+        let respond;
+        chrome.runtime.sendMessage = jest.fn((message, callback) => {
+          respond = callback;
+        });
+
+        const call = callRuntime(
+          MESSAGE_ACTIONS.SHOW_NOTIFICATION,
+          NOTIFICATION,
+          { timeout: 1000 }
+        );
+        jest.advanceTimersByTime(1000);
+        respond(createSuccessResponse());
+
+        await expect(call).rejects.toMatchObject({
+          code: MESSAGE_ERROR_CODES.TIMEOUT,
+        });
+      });
+
+      test("未指定等待時間時應該使用 DEFAULT_TIMEOUT", async () => {
+        chrome.runtime.sendMessage = jest.fn();
+        const onRejected = jest.fn();
+
+        callRuntime(MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION).catch(
+          onRejected
+        );
+        jest.advanceTimersByTime(RPC_CONSTANTS.DEFAULT_TIMEOUT - 1);
+        await Promise.resolve();
+        expect(onRejected).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        await Promise.resolve();
+        expect(onRejected).toHaveBeenCalledWith(
+          expect.objectContaining({ code: MESSAGE_ERROR_CODES.TIMEOUT })
+        );
+      });
+    });
+  });
+
+  describe("callTab", () => {
+    test("應該將請求送到指定的標籤頁", async () => {
+      chrome.tabs.sendMessage = jest.fn((tabId, message, callback) =>
+        callback(createSuccessResponse())
+      );
+
+      await callTab(7, MESSAGE_ACTIONS.SHOW_NOTIFICATION, NOTIFICATION);
+
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        7,
+        expect.objectContaining({ action: MESSAGE_ACTIONS.SHOW_NOTIFICATION }),
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe("serveRequest", () => {
+    const request = createMessage(
+      MESSAGE_ACTIONS.SHOW_NOTIFICATION,
+      NOTIFICATION
+    );
+
+    test("應該以處理器的結果回應成功", async () => {
+      const handler = jest.fn(async () => ({ shown: true }));
+
+      const { keepOpen, response } = await serve(
+        { [MESSAGE_ACTIONS.SHOW_NOTIFICATION]: handler },
+        request
+      );
+
+      expect(keepOpen).toBe(true);
+      expect(handler).toHaveBeenCalledWith(request);
+      expect(response).toMatchObject({ success: true, shown: true });
+    });
+
+    test("應該拒絕無效的請求和沒有處理器的動作，且不呼叫處理器", async () => {
+      const handler = jest.fn();
+      const handlers = { [MESSAGE_ACTIONS.SHOW_NOTIFICATION]: handler };
+
+      const invalid = await serve(handlers, { ...request, level: "debug" });
+      const unhandled = await serve(
+        handlers,
+        createMessage(MESSAGE_ACTIONS.GET_PAGE_CONTEXT_INJECTION)
+      );
+
+      expect(invalid.keepOpen).toBe(false);
+      expect(invalid.response.error.code).toBe(
+        MESSAGE_ERROR_CODES.INVALID_MESSAGE
+      );
+      expect(unhandled.keepOpen).toBe(false);
+      expect(unhandled.response.error.code).toBe(
+        MESSAGE_ERROR_CODES.UNKNOWN_ACTION
+      );
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test("應該保留處理器錯誤的已知代碼，其餘錯誤回應 INTERNAL_ERROR", async () => {
+      const blocked = new Error("Download blocked");
+      blocked.code = MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED;
+      const unexpected = new Error("boom");
+      unexpected.code = "ENOENT";
+
+      const responses = [];
+      for (const error of [blocked, unexpected]) {
+        const { response } = await serve(
+          {
+            [MESSAGE_ACTIONS.SHOW_NOTIFICATION]: () => {
+              throw error;
+            },
+          },
+          request
+        );
+        responses.push(response);
+      }
+
+      expect(responses[0]).toMatchObject({
+        success: false,
+        error: {
+          code: MESSAGE_ERROR_CODES.DOWNLOAD_BLOCKED,
+          message: "Download blocked",
+        },
+      });
+      expect(responses[1].error.code).toBe(MESSAGE_ERROR_CODES.INTERNAL_ERROR);
+    });
+  });
+});
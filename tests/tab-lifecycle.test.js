@@ -0,0 +1,97 @@
+const THREAD_A_URL = "https://www.messenger.com/t/100";
+const THREAD_B_URL = "https://www.messenger.com/t/200";
+
+/**
+ * 等待標籤頁事件的非同步處理完成
+ *
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+describe("TabLifecycle", () => {
+  let tabLifecycle;
+  let dataStore;
+  let voiceMessages;
+  let onRemoved;
+  let onUpdated;
+
+  beforeEach(() => {
+    chrome.storage = {
+      session: {
+        get: jest.fn().mockResolvedValue({}),
+        set: jest.fn().mockResolvedValue(),
+      },
+    };
+    chrome.tabs.query = jest.fn((queryInfo, callback) =>
+      callback([{ id: 1, url: THREAD_A_URL }])
+    );
+    chrome.tabs.onRemoved = {
+      addListener: jest.fn((listener) => (onRemoved = listener)),
+    };
+    chrome.tabs.onUpdated = {
+      addListener: jest.fn((listener) => (onUpdated = listener)),
+    };
+
+    jest.isolateModules(() => {
+      tabLifecycle = require("../extension/scripts/background/tab-lifecycle.js");
+      dataStore = require("../extension/scripts/background/data-store.js");
+    });
+    voiceMessages = dataStore.createDataStore();
+    tabLifecycle.initTabLifecycle(voiceMessages);
+  });
+
+  afterEach(() => {
+    clearTimeout(voiceMessages.persistTimer);
+  });
+
+  /**
+   * @param {string} id - 項目 ID
+   * @param {number} tabId - 標籤頁 ID
+   * @param {string|null} threadKey - 對話識別碼
+   */
+  function saveItem(id, tabId, threadKey) {
+    dataStore.saveItem(voiceMessages, { id, tabId, threadKey });
+  }
+
+  test("應該記錄已開啟標籤頁的對話，未知的標籤頁沒有對話", () => {
+    expect(tabLifecycle.getTabThreadKey(1)).toBe("messenger:100");
+    expect(tabLifecycle.getTabThreadKey(2)).toBeNull();
+    expect(tabLifecycle.getTabThreadKey(-1)).toBeNull();
+  });
+
+  test("標籤頁關閉時應該只移除該標籤頁的項目", async () => {
+    saveItem("a", 1, "messenger:100");
+    saveItem("b", 2, "messenger:100");
+
+    onRemoved(1);
+    await flushPromises();
+
+    expect(Array.from(voiceMessages.items.keys())).toEqual(["b"]);
+    expect(tabLifecycle.getTabThreadKey(1)).toBeNull();
+  });
+
+  test("切換對話時應該移除該標籤頁中不屬於新對話的項目", async () => {
+    saveItem("a", 1, "messenger:100");
+    saveItem("b", 1, "messenger:200");
+    saveItem("c", 1, null);
+    saveItem("d", 2, "messenger:100");
+
+    onUpdated(1, { url: THREAD_B_URL });
+    await flushPromises();
+
+    expect(Array.from(voiceMessages.items.keys()).sort()).toEqual(["b", "d"]);
+    expect(tabLifecycle.getTabThreadKey(1)).toBe("messenger:200");
+  });
+
+  test("網址變更但仍在同一個對話時不應該移除項目", async () => {
+    saveItem("a", 1, "messenger:100");
+
+    onUpdated(1, { url: `${THREAD_A_URL}?ref=notification` });
+    onUpdated(1, { status: "complete" });
+    await flushPromises();
+
+    expect(voiceMessages.items.has("a")).toBe(true);
+  });
+});
@@ -0,0 +1,128 @@
+import {
+  getAssetKey,
+  getUrlExpiry,
+  isUrlExpiringSoon,
+  isUrlProcessed,
+  markUrlProcessed,
+} from "../extension/scripts/background/url-cache.js";
+
+describe("UrlCache", () => {
+  beforeEach(() => {
+    chrome.storage = {
+      session: {
+        get: jest.fn(async () => ({})),
+        set: jest.fn(async () => {}),
+      },
+    };
+  });
+
+  describe("getAssetKey", () => {
+    test("簽名參數不同的 CDN URL 應該得到相同的識別碼", () => {
+      const first =
+        "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-1.mp4?_nc_cat=1&oh=abc&oe=67E1A2B3";
+      const resigned =
+        "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-1.mp4?_nc_cat=2&oh=def&oe=67E1FFFF";
+
+      expect(getAssetKey(first)).toBe(getAssetKey(resigned));
+    });
+
+    test("不同地區的 CDN 主機應該得到相同的識別碼", () => {
+      expect(
+        getAssetKey("https://scontent-tpe1-1.xx.fbcdn.net/v/audioclip-1.mp4")
+      ).toBe(getAssetKey("https://video.xx.fbcdn.net/v/audioclip-1.mp4"));
+    });
+
+    test("不同路徑的 CDN URL 應該得到不同的識別碼", () => {
+      expect(
+        getAssetKey("https://scontent.xx.fbcdn.net/v/audioclip-1.mp4?oh=a")
+      ).not.toBe(
+        getAssetKey("https://scontent.xx.fbcdn.net/v/audioclip-2.mp4?oh=a")
+      );
+    });
+
+    test("非 CDN URL 應該只移除簽名和追蹤參數", () => {
+      expect(
+        getAssetKey("https://example.com/audio.mp4?id=1&oh=abc&_nc_ht=x#t=5")
+      ).toBe("https://example.com/audio.mp4?id=1");
+    });
+
+    test("不是 CDN 子網域的相似主機名稱不應該視為 CDN", () => {
+      expect(getAssetKey("https://evilfbcdn.net/v/audio.mp4?oh=a")).toBe(
+        "https://evilfbcdn.net/v/audio.mp4"
+      );
+    });
+
+    test("無法解析的 URL 應該原樣返回", () => {
+      expect(getAssetKey("not a url")).toBe("not a url");
+    });
+  });
+
+  describe("getUrlExpiry", () => {
+    test("應該把十六進位的 oe 參數轉換為毫秒", () => {
+      expect(
+        getUrlExpiry("https://scontent.xx.fbcdn.net/v/a.mp4?oh=x&oe=67E1A2B3")
+      ).toBe(0x67e1a2b3 * 1000);
+    });
+
+    test("沒有 oe 參數或格式錯誤時應該返回 null", () => {
+      expect(getUrlExpiry("https://scontent.xx.fbcdn.net/v/a.mp4")).toBeNull();
+      expect(
+        getUrlExpiry("https://scontent.xx.fbcdn.net/v/a.mp4?oe=xyz")
+      ).toBeNull();
+      expect(getUrlExpiry("blob:https://www.messenger.com/1234")).toBeNull();
+      expect(getUrlExpiry("not a url")).toBeNull();
+    });
+  });
+
+  describe("isUrlExpiringSoon", () => {
+    const urlExpiringAt = (ms) =>
+      `https://scontent.xx.fbcdn.net/v/a.mp4?oe=${Math.floor(
+        ms / 1000
+      ).toString(16)}`;
+
+    test("應該把預留時間內到期的 URL 視為即將過期", () => {
+      expect(isUrlExpiringSoon(urlExpiringAt(Date.now() + 60 * 1000))).toBe(
+        true
+      );
+      expect(isUrlExpiringSoon(urlExpiringAt(Date.now() - 60 * 1000))).toBe(
+        true
+      );
+    });
+
+    test("距離到期還很久或沒有過期時間的 URL 不應該視為過期", () => {
+      expect(
+        isUrlExpiringSoon(urlExpiringAt(Date.now() + 60 * 60 * 1000))
+      ).toBe(false);
+      expect(isUrlExpiringSoon("https://scontent.xx.fbcdn.net/v/a.mp4")).toBe(
+        false
+      );
+    });
+  });
+
+  describe("isUrlProcessed", () => {
+    const url =
+      "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-10.mp4?oh=abc&oe=67E1A2B3";
+    const resignedUrl =
+      "https://scontent.xx.fbcdn.net/v/t42.3356-2/audioclip-10.mp4?oh=def&oe=67E1FFFF";
+
+    test("同一個標籤頁重新簽名的 URL 應該視為已處理", () => {
+      markUrlProcessed(url, 1);
+
+      expect(isUrlProcessed(url, 1)).toBe(true);
+      expect(isUrlProcessed(resignedUrl, 1)).toBe(true);
+    });
+
+    test("其他標籤頁載入同一個檔案時不應該視為已處理", () => {
+      markUrlProcessed(url, 2);
+
+      expect(isUrlProcessed(url, 3)).toBe(false);
+      expect(isUrlProcessed(url, -1)).toBe(false);
+    });
+
+    test("過期的項目不應該視為已處理", () => {
+      markUrlProcessed(url, 4, -1);
+
+      expect(isUrlProcessed(url, 4)).toBe(false);
+    });
+  });
+});
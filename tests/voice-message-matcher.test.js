@@ -0,0 +1,159 @@
+import { findBestMatch } from "../extension/scripts/background/voice-message-matcher.js";
+import { MATCHING_CONSTANTS } from "../extension/scripts/utils/constants.js";
+
+const CDN_BASE = "https://scontent.xx.fbcdn.net/v/t42.3356-2";
+
+let nextId = 0;
+
+/**
+ * 建立擷取到的下載 URL 項目
+ *
+ * @param {Object} [overrides] - 要覆寫的欄位
+ * @returns {Object} - 語音訊息項目
+ */
+function createCapturedItem(overrides = {}) {
+  const id = `captured-${++nextId}`;
+  return {
+    id,
+    isPending: true,
+    downloadUrl: `${CDN_BASE}/audioclip-${id}.mp4?oh=abc`,
+    durationMs: 5000,
+    timestamp: nextId,
+    tabId: 1,
+    ...overrides,
+  };
+}
+
+/**
+ * @param {Object[]} items - 語音訊息項目
+ * @returns {Object} - 只包含 items 的語音訊息資料存儲
+ */
+function createStore(items) {
+  return { items: new Map(items.map((item) => [item.id, item])) };
+}
+
+/**
+ * 建立要匹配的元素資訊
+ *
+ * @param {Object} [overrides] - 要覆寫的欄位
+ * @returns {Object} - 元素資訊
+ */
+function createTarget(overrides = {}) {
+  return { elementId: "voice-1", durationMs: 5000, tabId: 1, ...overrides };
+}
+
+describe("VoiceMessageMatcher", () => {
+  describe("findBestMatch", () => {
+    test("沒有持續時間相符的候選時應該返回空結果", () => {
+      const store = createStore([createCapturedItem({ durationMs: 9000 })]);
+
+      expect(findBestMatch(store, createTarget())).toEqual({
+        item: null,
+        ambiguous: false,
+        candidates: [],
+      });
+    });
+
+    test("只有一個候選但頁面上有多則相同持續時間的語音訊息時應該回報無法判斷", () => {
+      const captured = createCapturedItem();
+      const store = createStore([captured]);
+
+      expect(findBestMatch(store, createTarget())).toMatchObject({
+        item: captured,
+        ambiguous: false,
+      });
+      expect(
+        findBestMatch(
+          store,
+          createTarget({ durationOrder: { index: 0, count: 2 } })
+        )
+      ).toMatchObject({ item: captured, ambiguous: true });
+    });
+
+    test("應該將同一個檔案的 CDN URL 和 Blob URL 視為同一個候選，並優先使用 CDN URL", () => {
+      const cdnItem = createCapturedItem({ sentAtMs: 1000 });
+      const blobItem = createCapturedItem({
+        downloadUrl: "blob:https://www.messenger.com/0b5e6c1a",
+        sentAtMs: 1000,
+      });
+      const result = findBestMatch(
+        createStore([blobItem, cdnItem]),
+        createTarget()
+      );
+
+      expect(result.item).toBe(cdnItem);
+      expect(result.ambiguous).toBe(false);
+      expect(result.candidates).toHaveLength(1);
+    });
+
+    test("應該排除其他標籤頁、其他對話和已確切綁定到其他元素的檔案", () => {
+      const boundItem = createCapturedItem();
+      const store = createStore([
+        createCapturedItem({ tabId: 2 }),
+        createCapturedItem({ threadKey: "thread-b" }),
+        boundItem,
+        {
+          id: "voice-2",
+          isExactBinding: true,
+          downloadUrl: boundItem.downloadUrl,
+          durationMs: 5000,
+          tabId: 1,
+        },
+      ]);
+
+      expect(
+        findBestMatch(store, createTarget({ threadKey: "thread-a" })).item
+      ).toBeNull();
+    });
+
+    test("發送時間順序與 DOM 順序一致時應該確定對應的候選", () => {
+      const earlier = createCapturedItem({ sentAtMs: 1000 });
+      const later = createCapturedItem({ sentAtMs: 2000 });
+      const store = createStore([later, earlier]);
+
+      const first = findBestMatch(
+        store,
+        createTarget({ durationOrder: { index: 0, count: 2 } })
+      );
+      const second = findBestMatch(
+        store,
+        createTarget({ durationOrder: { index: 1, count: 2 } })
+      );
+
+      expect(first).toMatchObject({ item: earlier, ambiguous: false });
+      expect(second).toMatchObject({ item: later, ambiguous: false });
+      expect(first.candidates[0].score - first.candidates[1].score).toBe(
+        MATCHING_CONSTANTS.WEIGHTS.SEND_ORDER
+      );
+    });
+
+    test("分數差距低於 MIN_SCORE_GAP 時應該回報無法判斷", () => {
+      // 沒有發送時間時只能依擷取順序，分數差距不足以確定
+      const store = createStore([
+        createCapturedItem({ blobSize: 1000 }),
+        createCapturedItem({ blobSize: 2000 }),
+      ]);
+      const result = findBestMatch(
+        store,
+        createTarget({ durationOrder: { index: 0, count: 2 } })
+      );
+
+      expect(result.candidates[0].score - result.candidates[1].score).toBe(
+        MATCHING_CONSTANTS.WEIGHTS.CAPTURE_ORDER
+      );
+      expect(MATCHING_CONSTANTS.WEIGHTS.CAPTURE_ORDER).toBeLessThan(
+        MATCHING_CONSTANTS.MIN_SCORE_GAP
+      );
+      expect(result.ambiguous).toBe(true);
+    });
+
+    test("持續時間相同且沒有順序資訊時應該回報無法判斷", () => {
+      const store = createStore([
+        createCapturedItem({ sentAtMs: 1000 }),
+        createCapturedItem({ sentAtMs: 2000 }),
+      ]);
+
+      expect(findBestMatch(store, createTarget()).ambiguous).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { encodeWav } from "../extension/scripts/utils/wav-encoder.js";
+
+/**
+ * 建立只實作 encodeWav 需要的介面的 AudioBuffer
+ */
+function createAudioBuffer(channels, sampleRate) {
+  return {
+    numberOfChannels: channels.length,
+    sampleRate,
+    length: channels[0].length,
+    getChannelData: (channel) => Float32Array.from(channels[channel]),
+  };
+}
+
+function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+describe("WavEncoder", () => {
+  describe("encodeWav", () => {
+    test("應該寫入 16 位元 PCM 的 WAV 檔頭", () => {
+      const bytes = encodeWav(createAudioBuffer([[0, 0, 0]], 16000));
+      const view = new DataView(bytes.buffer);
+
+      expect(readAscii(bytes, 0, 4)).toBe("RIFF");
+      expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+      expect(readAscii(bytes, 8, 4)).toBe("WAVE");
+      expect(readAscii(bytes, 12, 4)).toBe("fmt ");
+      expect(view.getUint16(20, true)).toBe(1);
+      expect(view.getUint16(22, true)).toBe(1);
+      expect(view.getUint32(24, true)).toBe(16000);
+      expect(view.getUint32(28, true)).toBe(32000);
+      expect(view.getUint16(32, true)).toBe(2);
+      expect(view.getUint16(34, true)).toBe(16);
+      expect(readAscii(bytes, 36, 4)).toBe("data");
+      expect(view.getUint32(40, true)).toBe(6);
+      expect(bytes.length).toBe(44 + 6);
+    });
+
+    test("應該交錯排列各聲道的取樣並截斷超出範圍的值", () => {
+      const bytes = encodeWav(
+        createAudioBuffer(
+          [
+            [1, -1],
+            [2, -2],
+          ],
+          44100
+        )
+      );
+      const view = new DataView(bytes.buffer);
+
+      expect(view.getUint16(22, true)).toBe(2);
+      expect(view.getUint32(40, true)).toBe(8);
+      expect(view.getInt16(44, true)).toBe(0x7fff);
+      expect(view.getInt16(46, true)).toBe(0x7fff);
+      expect(view.getInt16(48, true)).toBe(-0x8000);
+      expect(view.getInt16(50, true)).toBe(-0x8000);
+    });
+  });
+});
@@ -19,6 +19,9 @@ module.exports = {
 
     // popup 腳本
     "popup/popup": "./extension/popup/popup.js",
+
+    // offscreen 文件腳本 (重組分段傳輸的 Blob)
+    "offscreen/offscreen": "./extension/offscreen/offscreen.js",
   },
 
   output: {
@@ -53,6 +56,7 @@ module.exports = {
               "**/scripts/**/*.js", // 忽略所有 JS 文件，因為它們會被 Webpack 處理
               "**/onboarding/**/*.js", // 忽略 onboarding JS 文件
               "**/popup/**/*.js", // 忽略 popup JS 文件
+              "**/offscreen/**/*.js", // 忽略 offscreen JS 文件
               "**/.DS_Store", // 忽略 macOS 系統文件
             ],
           },